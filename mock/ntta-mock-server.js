@@ -0,0 +1,573 @@
+/**
+ * Local mock of the NTTA Customer Portal API
+ *
+ * Serves the endpoints recorded in openapi-spec.yaml so the app can be developed
+ * and demoed without hitting sptrips.ntta.org. Responses are built from the spec
+ * examples; transhistory is backed by a generated, seeded set of trips with real
+ * paging, date range and TrnsTypes / Transponder / Plates filtering.
+ *
+ * The spec's example user (JOHNDOE123) signs into the spec account 1234567; any
+ * other username gets its own account with a separate trip history, so several
+ * accounts can be signed in at once.
+ *
+ * Usage:
+ *   npm run mock:server           # starts on http://localhost:4010
+ *   npm run dev:mock              # vite with /api proxied to the mock
+ *
+ * Configuration (environment variables):
+ *   MOCK_PORT                 Port to listen on (default 4010)
+ *   MOCK_SEED                 Seed for generated data (default 42)
+ *   MOCK_HISTORY_DAYS         Days of trip history to generate (default 800)
+ *   MOCK_TOLLS_PER_DAY        Average tolls on a weekday (default 4)
+ *   MOCK_TOKEN_TTL            Access token lifetime in seconds (default 1800)
+ *   MOCK_SCENARIO             Comma separated error scenarios (see SCENARIOS)
+ *   MOCK_SLOW_MS              Delay used by the slow-pages scenario (default 3000)
+ *   MOCK_ERROR_RATE           Failure rate used by the flaky scenario (default 0.2)
+ *
+ * Scenarios can also be changed while running:
+ *   curl -X POST localhost:4010/__mock/scenario -d '{"scenario":"auth-expired"}'
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { randomUUID } from 'node:crypto';
+import { parse as parseYaml } from 'yaml';
+
+const SPEC_PATH = fileURLToPath(new URL('../openapi-spec.yaml', import.meta.url));
+const API_PREFIX = '/CustomerPortal/api';
+const SPEC_CUSTOMER_ID = '1234567';
+
+const config = {
+  port: parseInt(process.env.MOCK_PORT || '4010', 10),
+  seed: parseInt(process.env.MOCK_SEED || '42', 10),
+  historyDays: parseInt(process.env.MOCK_HISTORY_DAYS || '800', 10),
+  tollsPerDay: parseFloat(process.env.MOCK_TOLLS_PER_DAY || '4'),
+  tokenTtlSeconds: parseInt(process.env.MOCK_TOKEN_TTL || '1800', 10),
+  slowMs: parseInt(process.env.MOCK_SLOW_MS || '3000', 10),
+  errorRate: parseFloat(process.env.MOCK_ERROR_RATE || '0.2'),
+};
+
+// Error scenarios
+//   auth-expired  every authenticated request returns 401
+//   server-error  every transhistory request returns 500
+//   slow-pages    transhistory pages are delayed by MOCK_SLOW_MS
+//   flaky         transhistory requests fail with 500 at MOCK_ERROR_RATE
+const SCENARIOS = ['auth-expired', 'server-error', 'slow-pages', 'flaky'];
+
+let activeScenarios = parseScenarios(process.env.MOCK_SCENARIO || '');
+
+function parseScenarios(value) {
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+  const unknown = requested.filter(s => !SCENARIOS.includes(s));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scenario(s): ${unknown.join(', ')}. Available: ${SCENARIOS.join(', ')}`);
+  }
+  return new Set(requested);
+}
+
+// ---------------------------------------------------------------------------
+// Spec examples
+// ---------------------------------------------------------------------------
+
+function loadSpecExamples() {
+  const spec = parseYaml(readFileSync(SPEC_PATH, 'utf8'));
+  const examples = [];
+
+  Object.entries(spec.paths || {}).forEach(([path, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      const [status, response] = Object.entries(operation.responses || {})[0] || [];
+      const example = response?.content?.['application/json']?.example;
+      const pattern = path
+        .split('/')
+        .map(segment => (segment === SPEC_CUSTOMER_ID ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('/');
+
+      examples.push({
+        method: method.toUpperCase(),
+        path,
+        pattern: new RegExp(`^${pattern}$`, 'i'),
+        status: parseInt(status, 10) || 200,
+        example,
+      });
+    });
+  });
+
+  return examples;
+}
+
+const specExamples = loadSpecExamples();
+
+function getExample(method, path) {
+  const entry = specExamples.find(e => e.method === method && e.path.toLowerCase() === path.toLowerCase());
+  if (!entry) {
+    throw new Error(`openapi-spec.yaml has no example for ${method} ${path}`);
+  }
+  return structuredClone(entry.example);
+}
+
+const specPath = (suffix) => `${API_PREFIX}/${suffix}`;
+const customerPath = (suffix) => specPath(`customers/${SPEC_CUSTOMER_ID}/${suffix}`);
+
+const customerInfo = getExample('GET', customerPath('customerinfo'));
+const accountSummary = getExample('GET', customerPath('accountsummary'));
+const vehicles = getExample('GET', customerPath('vehicles/1/5/true'));
+const notifications = getExample('POST', customerPath('notifications'));
+const tripTemplate = getExample('POST', customerPath('transhistory'))[0];
+
+// ---------------------------------------------------------------------------
+// Generated trip history
+// ---------------------------------------------------------------------------
+
+// Small seeded PRNG (mulberry32) so every run produces the same history
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Toll roads and gantries, with a typical per-gantry TollTag rate
+const ROADS = [
+  {
+    location: 'Dallas North Tollway',
+    lanePrefix: 'DNT',
+    gantries: [
+      { plaza: 'Wycliff Avenue', rate: 0.74 },
+      { plaza: 'Mockingbird Lane', rate: 0.56 },
+      { plaza: 'Royal Lane', rate: 0.97 },
+      { plaza: 'Spring Valley Road', rate: 0.65 },
+      { plaza: 'Parker Road', rate: 1.12 },
+      { plaza: 'Sam Rayburn Tollway', rate: 0.88 },
+    ],
+  },
+  {
+    location: 'President George Bush Turnpike',
+    lanePrefix: 'PGBT',
+    gantries: [
+      { plaza: 'Kelly Boulevard ', rate: 0.81 },
+      { plaza: 'Belt Line Road', rate: 1.09 },
+      { plaza: 'Jupiter Road', rate: 0.93 },
+      { plaza: 'Shiloh Road', rate: 0.64 },
+    ],
+  },
+  {
+    location: 'Sam Rayburn Tollway',
+    lanePrefix: 'SRT',
+    gantries: [
+      { plaza: 'Denton Creek', rate: 1.37 },
+      { plaza: 'Preston Road', rate: 1.21 },
+      { plaza: 'Hillcrest Road', rate: 0.58 },
+    ],
+  },
+  {
+    location: 'DFWI35E',
+    lanePrefix: 'I35E',
+    gantries: [
+      { plaza: 'I-35E PLAZA', rate: 1.76 },
+    ],
+  },
+  {
+    location: 'Chisholm Trail Parkway',
+    lanePrefix: 'CTP',
+    gantries: [
+      { plaza: 'Altamesa Boulevard', rate: 1.04 },
+      { plaza: 'Sycamore School Road', rate: 0.86 },
+    ],
+  },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// NTTA returns local wall clock times without an offset
+const toNTTADateTime = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+  `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+function generateTrips(seed) {
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const primaryVehicle = vehicles.find(v => v.TagAgency === 'NTTA') || vehicles[0];
+  const trips = [];
+
+  let customerTripId = 6000000000 + Math.floor(random() * 1e8);
+  let tripId = 8000000000 + Math.floor(random() * 1e8);
+
+  const addTrip = (tripDate, vehicle, road, gantry) => {
+    const posted = new Date(tripDate.getTime() + (2 + random() * 20) * 60 * 60 * 1000);
+    const amount = Math.round(gantry.rate * (0.9 + random() * 0.3) * 100) / 100;
+    const lane = `${road.lanePrefix}-${gantry.plaza.trim().split(' ')[0].toUpperCase()}-${10 + Math.floor(random() * 80)}`;
+    customerTripId += 1 + Math.floor(random() * 5000);
+    tripId += 1 + Math.floor(random() * 5000);
+
+    trips.push({
+      ...tripTemplate,
+      CustomerTripId: customerTripId,
+      TripId: tripId,
+      TxnRefNo: tripId,
+      Entry_TripDateTime: toNTTADateTime(tripDate),
+      Exit_TripDateTime: toNTTADateTime(tripDate),
+      PostedDate: toNTTADateTime(posted),
+      VehicleNumber: vehicle.VehicleNumber,
+      VehicleState: vehicle.State,
+      TagId: vehicle.TagSerialNumber,
+      TagAgency: vehicle.TagAgency,
+      TollAmount: -amount,
+      LocationName: road.location,
+      EntryPlazaName: gantry.plaza,
+      ExitPlazaName: gantry.plaza,
+      EntryLaneName: lane,
+      ExitLaneName: lane,
+      TransactionDescription: `Total Amount charged for the transaction ($${amount.toFixed(2)})`,
+    });
+  };
+
+  // A drive passes one or more consecutive gantries on a road, a few minutes apart
+  const addDrive = (start, vehicle, gantryCount) => {
+    const road = pick(ROADS);
+    const count = Math.min(gantryCount, road.gantries.length);
+    const first = Math.floor(random() * (road.gantries.length - count + 1));
+    const gantries = road.gantries.slice(first, first + count);
+    if (random() < 0.5) gantries.reverse();
+
+    let time = start.getTime();
+    gantries.forEach(gantry => {
+      addTrip(new Date(time), vehicle, road, gantry);
+      time += (2 + random() * 6) * 60 * 1000;
+    });
+  };
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  for (let offset = config.historyDays; offset >= 0; offset--) {
+    const day = new Date(today);
+    day.setDate(today.getDate() - offset);
+    const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+
+    // Weekday commute on the primary vehicle, morning and evening
+    if (!isWeekend && random() < 0.85) {
+      const gantries = Math.max(1, Math.round(config.tollsPerDay / 2));
+      const morning = new Date(day);
+      morning.setHours(7, Math.floor(random() * 90), Math.floor(random() * 60));
+      addDrive(morning, primaryVehicle, gantries);
+
+      const evening = new Date(day);
+      evening.setHours(16, 30 + Math.floor(random() * 120), Math.floor(random() * 60));
+      addDrive(evening, primaryVehicle, gantries);
+    }
+
+    // Occasional errands on any vehicle
+    const errandChance = isWeekend ? 0.35 : 0.15;
+    if (random() < errandChance) {
+      const errand = new Date(day);
+      errand.setHours(10 + Math.floor(random() * 9), Math.floor(random() * 60), Math.floor(random() * 60));
+      addDrive(errand, pick(vehicles), 1 + Math.floor(random() * 2));
+    }
+  }
+
+  return trips;
+}
+
+// ---------------------------------------------------------------------------
+// Accounts
+// ---------------------------------------------------------------------------
+
+const MOCK_NAMES = [
+  ['ACME', 'FLEET SERVICES'],
+  ['JANE', 'SMITH'],
+  ['NORTH TEXAS', 'COURIERS'],
+  ['MARIA', 'GARCIA'],
+];
+
+const accounts = new Map();
+
+const hashString = (value) =>
+  [...value].reduce((hash, char) => (Math.imul(hash, 31) + char.charCodeAt(0)) >>> 0, 7);
+
+function getAccount(username) {
+  const isSpecUser = !username || username.toUpperCase() === customerInfo.UserName.toUpperCase();
+  const hash = isSpecUser ? 0 : hashString(username.toUpperCase());
+  const accountId = isSpecUser ? customerInfo.AccountId : 2000000 + (hash % 7000000);
+
+  if (!accounts.has(accountId)) {
+    const [firstName, lastName] = isSpecUser
+      ? [customerInfo.FirstName, customerInfo.LastName]
+      : MOCK_NAMES[hash % MOCK_NAMES.length];
+
+    accounts.set(accountId, {
+      AccountId: accountId,
+      UserName: isSpecUser ? customerInfo.UserName : username.toUpperCase(),
+      FirstName: firstName,
+      LastName: lastName,
+      FullName: `${firstName} ${lastName}`,
+      trips: null,
+    });
+  }
+  return accounts.get(accountId);
+}
+
+// Trip history is generated on first use; the spec account uses MOCK_SEED as is
+function getTrips(account) {
+  if (!account.trips) {
+    const seed = account.AccountId === customerInfo.AccountId
+      ? config.seed
+      : config.seed + account.AccountId;
+    account.trips = generateTrips(seed);
+  }
+  return account.trips;
+}
+
+// ---------------------------------------------------------------------------
+// Request helpers
+// ---------------------------------------------------------------------------
+
+// NTTA request dates look like "9/20/2025 12:00:00 AM" or "9/20/2025, 12:00:00 AM"
+function parseNTTADate(value) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2}):(\d{2})\s*(AM|PM)$/i.exec((value || '').trim());
+  if (!match) return null;
+
+  const [, month, day, year, hours, minutes, seconds, meridiem] = match;
+  let hour = parseInt(hours, 10) % 12;
+  if (meridiem.toUpperCase() === 'PM') hour += 12;
+  return new Date(+year, +month - 1, +day, hour, +minutes, +seconds);
+}
+
+const splitFilter = (value) =>
+  (value || '').split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---------------------------------------------------------------------------
+// Auth
+// ---------------------------------------------------------------------------
+
+const tokens = new Map();
+
+function issueToken(account) {
+  const token = randomUUID().replace(/-/g, '');
+  tokens.set(token, { account, expiresAt: Date.now() + config.tokenTtlSeconds * 1000 });
+  return token;
+}
+
+// Returns the account a request's bearer token belongs to, or null. Tokens are
+// only valid for their own account's /customers/{id}/ routes.
+function getAuthorizedAccount(req, apiPath) {
+  if (activeScenarios.has('auth-expired')) return null;
+
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const entry = tokens.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    tokens.delete(token);
+    return null;
+  }
+
+  const customerId = /^\/customers\/([^/]+)\//i.exec(apiPath)?.[1];
+  if (customerId && customerId !== String(entry.account.AccountId)) return null;
+  return entry.account;
+}
+
+// ---------------------------------------------------------------------------
+// Route handlers
+// ---------------------------------------------------------------------------
+
+async function handleAuthenticate(req, res) {
+  const body = await readBody(req);
+  if (!body.UserName || !body.Password) {
+    return sendJson(res, 400, { message: 'Username and password are required' });
+  }
+
+  const account = getAccount(body.UserName);
+
+  sendJson(res, 210, {
+    access_token: issueToken(account),
+    token_type: 'bearer',
+    expires_in: config.tokenTtlSeconds,
+    AccountId: account.AccountId,
+    UserName: account.UserName,
+    FirstName: account.FirstName,
+    LastName: account.LastName,
+    FullName: account.FullName,
+  });
+}
+
+async function handleTransactions(req, res, params, account) {
+  if (activeScenarios.has('server-error') ||
+      (activeScenarios.has('flaky') && Math.random() < config.errorRate)) {
+    return sendJson(res, 500, { message: 'An error has occurred.', Detail: 'Mock server error' });
+  }
+  if (activeScenarios.has('slow-pages')) {
+    await delay(config.slowMs);
+  }
+
+  const body = await readBody(req);
+  const startDate = parseNTTADate(body.StartDate);
+  const endDate = parseNTTADate(body.EndDate);
+  if (!startDate || !endDate) {
+    return sendJson(res, 400, { message: 'Invalid StartDate or EndDate' });
+  }
+
+  // TransactionDateType "true" filters on trip date, otherwise on posted date
+  const dateField = String(body.TransactionDateType) === 'true' ? 'Entry_TripDateTime' : 'PostedDate';
+  const start = toNTTADateTime(startDate);
+  const end = toNTTADateTime(endDate);
+  const trnsTypes = splitFilter(body.TrnsTypes);
+  const transponders = splitFilter(body.Transponder);
+  const plates = splitFilter(body.Plates);
+
+  const matching = getTrips(account).filter(trip =>
+    trip[dateField] >= start &&
+    trip[dateField] <= end &&
+    (trnsTypes.length === 0 || trnsTypes.includes(trip.TollTransactionTypeCode)) &&
+    (transponders.length === 0 || transponders.includes(trip.TagId)) &&
+    (plates.length === 0 || plates.includes(trip.VehicleNumber))
+  );
+
+  const { PageNumber = 1, PageSize = 50, SortDir = 1, SortColumn = 'POSTEDDATE' } = body.Paging || {};
+  const sortField = String(SortColumn).toUpperCase() === 'POSTEDDATE' ? 'PostedDate' : 'Entry_TripDateTime';
+  const direction = Number(SortDir) === 1 ? -1 : 1;
+  matching.sort((a, b) => a[sortField].localeCompare(b[sortField]) * direction);
+
+  const pageNumber = Math.max(1, parseInt(PageNumber, 10) || 1);
+  const pageSize = Math.max(1, parseInt(PageSize, 10) || 50);
+  const page = matching
+    .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+    .map(trip => ({ ...trip, RecordCount: matching.length, PageNumber: pageNumber }));
+
+  sendJson(res, 200, page);
+}
+
+async function handleVehicles(req, res, [pageNumber, pageSize]) {
+  const size = Math.max(1, parseInt(pageSize, 10) || 5);
+  const start = (Math.max(1, parseInt(pageNumber, 10) || 1) - 1) * size;
+  sendJson(res, 200, vehicles.slice(start, start + size).map(v => ({ ...v, RecordCount: vehicles.length })));
+}
+
+async function handleNotifications(req, res) {
+  const body = await readBody(req);
+  const status = (body.NotifStatus || '').toUpperCase();
+  const matching = notifications.filter(n => !status || status === 'ALL' || n.NotifStatus === status);
+  const pageNumber = Math.max(1, parseInt(body.PageNumber, 10) || 1);
+  const pageSize = Math.max(1, parseInt(body.PageSize, 10) || 10);
+
+  sendJson(res, 200, matching
+    .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+    .map(n => ({ ...n, RecordsCount: matching.length, ReCount: matching.length })));
+}
+
+// Specific handlers take precedence over plain spec examples
+const routes = [
+  { method: 'POST', pattern: /^\/authenticate$/i, auth: false, handler: handleAuthenticate },
+  { method: 'POST', pattern: /^\/customers\/[^/]+\/transhistory$/i, auth: true, handler: handleTransactions },
+  { method: 'GET', pattern: /^\/customers\/[^/]+\/vehicles\/(\d+)\/(\d+)\/\w+$/i, auth: true, handler: handleVehicles },
+  { method: 'POST', pattern: /^\/customers\/[^/]+\/notifications$/i, auth: true, handler: handleNotifications },
+  {
+    method: 'GET',
+    pattern: /^\/customers\/[^/]+\/accountsummary$/i,
+    auth: true,
+    handler: (req, res, params, account) => sendJson(res, 200, {
+      ...accountSummary,
+      AccountId: account.AccountId,
+      FullName: account.FullName,
+    }),
+  },
+];
+
+// Endpoints that can be called before logging in
+const ANONYMOUS_PATHS = [/^\/locationname$/i, /^\/registration$/i, /^\/icn$/i, /^\/applicationparameters$/i];
+
+async function handleControl(req, res) {
+  if (req.method === 'POST') {
+    const body = await readBody(req);
+    activeScenarios = parseScenarios(body.scenario || '');
+    console.log(`Scenarios: ${[...activeScenarios].join(', ') || 'none'}`);
+  }
+  sendJson(res, 200, { scenarios: [...activeScenarios], available: SCENARIOS });
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const path = url.pathname.replace(/\/+$/, '');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (path === '/__mock/scenario') {
+    return handleControl(req, res);
+  }
+
+  // Accept both /CustomerPortal/api/... and the app's own /api/... prefix
+  const apiPath = path.replace(/^\/CustomerPortal(\.LookupData)?\/api/i, '').replace(/^\/api/i, '');
+  const route = routes.find(r => r.method === req.method && r.pattern.test(apiPath));
+
+  if (route) {
+    const account = route.auth ? getAuthorizedAccount(req, apiPath) : null;
+    if (route.auth && !account) {
+      return sendJson(res, 401, { message: 'Authorization has been denied for this request.' });
+    }
+    return route.handler(req, res, apiPath.match(route.pattern).slice(1), account);
+  }
+
+  const entry = specExamples.find(e =>
+    e.method === req.method &&
+    (e.pattern.test(`${API_PREFIX}${apiPath}`) || e.pattern.test(`/CustomerPortal.LookupData/api${apiPath}`))
+  );
+  if (!entry) {
+    return sendJson(res, 404, { message: `No mock for ${req.method} ${path}` });
+  }
+
+  if (!ANONYMOUS_PATHS.some(p => p.test(apiPath)) && !getAuthorizedAccount(req, apiPath)) {
+    return sendJson(res, 401, { message: 'Authorization has been denied for this request.' });
+  }
+
+  sendJson(res, entry.status, entry.example ?? null);
+}
+
+const server = createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error(`${req.method} ${req.url} failed:`, error.message);
+    if (!res.headersSent) {
+      sendJson(res, 400, { message: error.message });
+    }
+  });
+});
+
+server.listen(config.port, () => {
+  console.log(`NTTA mock API listening on http://localhost:${config.port}${API_PREFIX}`);
+  const specAccount = getAccount(customerInfo.UserName);
+  console.log(`Generated ${getTrips(specAccount).length} trips over ${config.historyDays} days for account ${specAccount.AccountId} (seed ${config.seed})`);
+  console.log(`Scenarios: ${[...activeScenarios].join(', ') || 'none'}`);
+});
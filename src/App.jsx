@@ -2,76 +2,147 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import { Box } from '@chakra-ui/react';
 import LoginForm from './components/LoginForm';
 import TransactionViewer from './components/TransactionViewer';
-import { verifyConnection, fetchAccountSummary } from './utils/api';
+import SessionRenewalModal from './components/SessionRenewalModal';
+import VaultLockScreen from './components/VaultLockScreen';
+import { verifyConnection, fetchAccountSummary, setSessionHandlers } from './utils/api';
 import { toaster } from './utils/toaster';
-import { secureSessionStorage } from './utils/secureStorage';
+import { secureSessionStorage, subscribeDecryptionFailures } from './utils/secureStorage';
+import {
+  getSignedInAccounts,
+  getActiveAccountId,
+  setActiveAccountId,
+  removeAccountSession,
+} from './utils/accountSession';
+import { isVaultLocked, lockVault } from './utils/vault';
+import { flushBusinessPurposeSaves } from './utils/businessPurposeStore';
 
 // Idle timeout configuration
 const IDLE_TIMEOUT_MS = 15 * 60 * 1000; // 15 minutes
 
+const isSameAccount = (a, b) => String(a) === String(b);
+
+// Construct full name from the account summary if needed
+const getFullName = (account, summary) => {
+  return account.fullName || summary?.FullName ||
+         (summary?.FirstName && summary?.LastName
+           ? `${summary.FirstName} ${summary.LastName}`
+           : account.username);
+};
+
+// Account fields kept in React state (tokens other than the access token stay in storage)
+const toUser = (account, summary) => ({
+  userId: account.userId,
+  username: account.username,
+  fullName: getFullName(account, summary),
+  accessToken: account.accessToken,
+});
+
 function App() {
-  const [user, setUser] = useState(null);
-  const [accountSummary, setAccountSummary] = useState(null);
+  const [accounts, setAccounts] = useState([]); // Every signed in account
+  const [activeAccountId, setActiveAccount] = useState(null);
+  const [accountSummaries, setAccountSummaries] = useState({}); // { [userId]: summary }
+  const [isAddingAccount, setIsAddingAccount] = useState(false);
   const [isVerifying, setIsVerifying] = useState(true);
+  const [renewalAccount, setRenewalAccount] = useState(null); // Account waiting for re-authentication
+  const [isLocked, setIsLocked] = useState(isVaultLocked()); // Vault passphrase not entered yet
   const idleTimerRef = useRef(null);
+  const accountsRef = useRef([]);
+  const renewalRef = useRef(null);
+  const reportedFailuresRef = useRef(new Set());
+
+  const user = accounts.find((a) => isSameAccount(a.userId, activeAccountId)) || null;
+  const accountSummary = user ? accountSummaries[user.userId] || null : null;
 
   useEffect(() => {
+    accountsRef.current = accounts;
+  }, [accounts]);
+
+  // Renew expired sessions from the API client (see utils/api.js)
+  useEffect(() => {
+    setSessionHandlers({
+      // Prompt for the password; only possible once the account is loaded
+      onReauthenticate: (account) => new Promise((resolve, reject) => {
+        const signedIn = accountsRef.current.find((a) => isSameAccount(a.userId, account.userId));
+        if (!signedIn || renewalRef.current) {
+          reject(new Error('Cannot prompt for re-authentication'));
+          return;
+        }
+        renewalRef.current = { resolve, reject };
+        setRenewalAccount(signedIn);
+      }),
+      onTokenRenewed: (userId, accessToken) => {
+        setAccounts(prev => prev.map(a => (isSameAccount(a.userId, userId) ? { ...a, accessToken } : a)));
+      },
+    });
+
+    return () => setSessionHandlers({ onReauthenticate: null, onTokenRenewed: null });
+  }, []);
+
+  // Let the user know when saved data can't be decrypted (it is kept, not deleted)
+  useEffect(() => subscribeDecryptionFailures((failures) => {
+    const newFailures = failures.filter((f) => !reportedFailuresRef.current.has(`${f.source}|${f.key}`));
+    newFailures.forEach((f) => reportedFailuresRef.current.add(`${f.source}|${f.key}`));
+    if (newFailures.length === 0) return;
+
+    toaster.create({
+      title: 'Saved data could not be decrypted',
+      description: `${newFailures.map((f) => `${f.key}: ${f.reason}`).join('; ')}. Open Vault to review it.`,
+      type: 'warning',
+      duration: 8000,
+    });
+  }), []);
+
+  // Stored sessions can only be read once the vault is unlocked
+  useEffect(() => {
+    if (isLocked || !isVerifying) return;
+
     const initializeApp = async () => {
-      // Use encrypted storage to retrieve credentials
-      const userId = await secureSessionStorage.getItem('userId');
-      const username = await secureSessionStorage.getItem('username');
-      let fullName = await secureSessionStorage.getItem('fullName');
-      const accessToken = await secureSessionStorage.getItem('accessToken');
-
-      // Fix stored "undefined" or "null" strings
-      if (!fullName || fullName === 'undefined' || fullName === 'null') {
-        fullName = null;
-      }
+      // Use encrypted storage to retrieve every signed in account
+      const storedAccounts = await getSignedInAccounts();
+      const loadedAccounts = [];
+      const summaries = {};
+      let expiredCount = 0;
+
+      for (const account of storedAccounts) {
+        const isValid = await verifyConnection(account.userId, account.accessToken);
 
-      if (userId && username && accessToken) {
-        const isValid = await verifyConnection(userId, accessToken);
-
-        if (isValid) {
-          try {
-            const summary = await fetchAccountSummary(userId, accessToken);
-            setAccountSummary(summary);
-
-            // Construct full name from summary if needed
-            const finalFullName = fullName || summary.FullName ||
-                                 (summary.FirstName && summary.LastName
-                                   ? `${summary.FirstName} ${summary.LastName}`
-                                   : username);
-
-            setUser({
-              userId,
-              username,
-              fullName: finalFullName,
-              accessToken,
-            });
-          } catch (error) {
-            toaster.create({
-              title: 'Session expired',
-              description: 'Please log in again',
-              type: 'warning',
-              duration: 3000,
-            });
-            sessionStorage.clear();
-          }
-        } else {
-          toaster.create({
-            title: 'Session expired',
-            description: 'Please log in again',
-            type: 'warning',
-            duration: 3000,
-          });
-          sessionStorage.clear();
+        try {
+          if (!isValid) throw new Error('Session expired');
+          // Re-read the account in case verification renewed its token
+          const current = (await getSignedInAccounts())
+            .find(a => isSameAccount(a.userId, account.userId)) || account;
+          const summary = await fetchAccountSummary(current.userId, current.accessToken);
+          summaries[current.userId] = summary;
+          loadedAccounts.push(toUser(current, summary));
+        } catch (error) {
+          expiredCount++;
+          await removeAccountSession(account.userId);
         }
       }
+
+      if (expiredCount > 0) {
+        toaster.create({
+          title: 'Session expired',
+          description: loadedAccounts.length > 0
+            ? `${expiredCount} account(s) were signed out. Please log in again to use them.`
+            : 'Please log in again',
+          type: 'warning',
+          duration: 3000,
+        });
+      }
+
+      if (loadedAccounts.length > 0) {
+        setAccountSummaries(summaries);
+        setAccounts(loadedAccounts);
+        setActiveAccount(await getActiveAccountId());
+      } else if (storedAccounts.length > 0) {
+        sessionStorage.clear();
+      }
       setIsVerifying(false);
     };
 
     initializeApp();
-  }, []);
+  }, [isLocked]);
 
   // Idle timeout handler
   const handleIdleTimeout = useCallback(() => {
@@ -121,7 +192,7 @@ function App() {
     };
   }, [user, resetIdleTimer]);
 
-  // Session verification (every 5 minutes)
+  // Session verification for the active account (every 5 minutes)
   useEffect(() => {
     if (!user) return;
 
@@ -134,28 +205,19 @@ function App() {
           type: 'error',
           duration: 5000,
         });
-        handleLogout();
+        handleSignOutAccount(user.userId);
       }
     }, 5 * 60 * 1000);
 
     return () => clearInterval(interval);
   }, [user]);
 
+  // LoginForm has already saved the session (see utils/accountSession.js)
   const handleLoginSuccess = async (userData) => {
+    let summary = null;
     try {
-      const summary = await fetchAccountSummary(userData.userId, userData.accessToken);
-      setAccountSummary(summary);
-
-      // Construct full name from summary if needed
-      const finalFullName = summary.FullName ||
-                           (summary.FirstName && summary.LastName
-                             ? `${summary.FirstName} ${summary.LastName}`
-                             : userData.username);
-
-      setUser({
-        ...userData,
-        fullName: finalFullName,
-      });
+      summary = await fetchAccountSummary(userData.userId, userData.accessToken);
+      setAccountSummaries(prev => ({ ...prev, [userData.userId]: summary }));
     } catch (error) {
       toaster.create({
         title: 'Failed to fetch account info',
@@ -163,38 +225,121 @@ function App() {
         type: 'error',
         duration: 3000,
       });
-      setUser(userData);
     }
+
+    const account = toUser(userData, summary);
+    setAccounts(prev => {
+      const others = prev.filter(a => !isSameAccount(a.userId, account.userId));
+      return [...others, account];
+    });
+    setActiveAccount(account.userId);
+    setIsAddingAccount(false);
+  };
+
+  const handleSwitchAccount = async (userId) => {
+    await setActiveAccountId(userId);
+    setActiveAccount(userId);
+  };
+
+  // Sign out of one account; signing out of the last one logs out completely
+  const handleSignOutAccount = async (userId) => {
+    const remaining = await removeAccountSession(userId);
+    if (remaining.length === 0) {
+      handleLogout();
+      return;
+    }
+
+    const { clearTransactionCache } = await import('./utils/transactionCache');
+    await clearTransactionCache(userId);
+
+    setAccounts(prev => prev.filter(a => !isSameAccount(a.userId, userId)));
+    setAccountSummaries(prev => {
+      const next = { ...prev };
+      delete next[userId];
+      return next;
+    });
+    if (isSameAccount(userId, activeAccountId)) {
+      setActiveAccount(remaining[0].userId);
+    }
+  };
+
+  const handleSessionRenewed = (authData) => {
+    renewalRef.current?.resolve(authData);
+    renewalRef.current = null;
+    setRenewalAccount(null);
   };
 
   const handleLogout = async () => {
+    // Fail any request waiting on session renewal
+    renewalRef.current?.reject(new Error('Logged out'));
+    renewalRef.current = null;
+    setRenewalAccount(null);
+
     // Clear both regular and encrypted session storage
     sessionStorage.clear();
     await secureSessionStorage.clear();
 
-    // Clear encrypted transaction cache
+    // Clear encrypted transaction cache for every account
     const { clearTransactionCache } = await import('./utils/transactionCache');
     await clearTransactionCache();
 
-    setUser(null);
-    setAccountSummary(null);
+    setAccounts([]);
+    setActiveAccount(null);
+    setAccountSummaries({});
+    setIsAddingAccount(false);
+  };
+
+  // Hide the app and forget the vault keys; data stays encrypted until unlocked
+  const handleLock = async () => {
+    // Purposes still queued from typing need the keys to be saved
+    await flushBusinessPurposeSaves();
+    lockVault();
+    setIsLocked(true);
   };
 
+  const handleVaultReset = async () => {
+    // The encrypted sessions were deleted with the rest of the data
+    await handleLogout();
+    setIsLocked(false);
+    setIsVerifying(false);
+  };
+
+  if (isLocked) {
+    return <VaultLockScreen onUnlocked={() => setIsLocked(false)} onReset={handleVaultReset} />;
+  }
+
   if (isVerifying) {
     return <Box minH="100vh" bg="gray.50" />;
   }
 
   return (
     <Box minH="100vh" bg="gray.50">
-      {!user ? (
-        <LoginForm onLoginSuccess={handleLoginSuccess} />
+      {!user || isAddingAccount ? (
+        <LoginForm
+          onLoginSuccess={handleLoginSuccess}
+          onCancel={user ? () => setIsAddingAccount(false) : undefined}
+        />
       ) : (
         <TransactionViewer
+          key={user.userId}
           user={user}
           accountSummary={accountSummary}
+          accounts={accounts}
+          onSwitchAccount={handleSwitchAccount}
+          onAddAccount={() => setIsAddingAccount(true)}
+          onSignOutAccount={handleSignOutAccount}
           onLogout={handleLogout}
+          onLock={handleLock}
         />
       )}
+
+      <SessionRenewalModal
+        isOpen={!!renewalAccount}
+        username={renewalAccount?.username}
+        accountId={renewalAccount?.userId}
+        onRenewed={handleSessionRenewed}
+        onLogout={handleLogout}
+      />
     </Box>
   );
 }
@@ -8,12 +8,131 @@ import {
   Flex,
   Spinner,
   Stack,
+  Button,
+  NativeSelectRoot,
+  NativeSelectField,
 } from '@chakra-ui/react';
-import { TriangleAlertIcon } from 'lucide-react';
+import { TriangleAlertIcon, UserPlus, LogOut } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
 import { usePrivacyMode } from '../contexts/PrivacyModeContext';
+import { getDaysUntilThreshold, warningDayOptions } from '../utils/balance';
 
-export default function AccountInfo({ accountSummary, loading, error }) {
+const TREND_WIDTH = 240;
+const TREND_HEIGHT = 48;
+
+// Sparkline of stored balance snapshots
+function BalanceTrend({ history, maskData }) {
+  if (history.length < 2) {
+    return (
+      <Text fontSize="sm" color="gray.600">
+        The trend appears once balances from at least two days have been recorded
+      </Text>
+    );
+  }
+
+  const balances = history.map((snapshot) => snapshot.balance);
+  const min = Math.min(...balances);
+  const max = Math.max(...balances);
+  const range = max - min || 1;
+  const points = history.map((snapshot, index) => {
+    const x = (index / (history.length - 1)) * TREND_WIDTH;
+    const y = TREND_HEIGHT - ((snapshot.balance - min) / range) * (TREND_HEIGHT - 4) - 2;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <Flex align="center" gap={3} wrap="wrap">
+      <svg
+        width={TREND_WIDTH}
+        height={TREND_HEIGHT}
+        viewBox={`0 0 ${TREND_WIDTH} ${TREND_HEIGHT}`}
+        role="img"
+        aria-label="Balance trend"
+      >
+        <polyline points={points.join(' ')} fill="none" stroke="#3182ce" strokeWidth="2" />
+      </svg>
+      <Box fontSize="xs" color="gray.600">
+        <Text>
+          {format(parseISO(history[0].date), 'MMM d')} - {format(parseISO(history[history.length - 1].date), 'MMM d')}
+        </Text>
+        <Text>
+          Low ${maskData(min.toFixed(2), 'money')} • High ${maskData(max.toFixed(2), 'money')}
+        </Text>
+      </Box>
+    </Flex>
+  );
+}
+
+export default function AccountInfo({
+  accountSummary,
+  loading,
+  error,
+  accounts = [],
+  activeAccountId,
+  onSwitchAccount,
+  onAddAccount,
+  onSignOutAccount,
+  balance,
+  balanceHistory = [],
+  spendForecast,
+  warningDays,
+  onWarningDaysChange,
+}) {
   const { maskData } = usePrivacyMode();
+
+  // Switch between the NTTA accounts signed in this session
+  const renderAccountSwitcher = () => {
+    if (!onAddAccount) return null;
+
+    return (
+      <Flex
+        gap={2}
+        mb={4}
+        pb={4}
+        borderBottomWidth="1px"
+        align={{ base: 'stretch', sm: 'center' }}
+        direction={{ base: 'column', sm: 'row' }}
+        data-group="account-switcher"
+      >
+        {accounts.length > 1 ? (
+          <NativeSelectRoot size="sm" flex="1">
+            <NativeSelectField
+              value={String(activeAccountId)}
+              onChange={(e) => onSwitchAccount(e.target.value)}
+              aria-label="Active NTTA account"
+            >
+              {accounts.map((account) => (
+                <option key={account.userId} value={String(account.userId)}>
+                  {maskData(account.fullName || account.username, 'name')} (#{maskData(String(account.userId), 'account')})
+                </option>
+              ))}
+            </NativeSelectField>
+          </NativeSelectRoot>
+        ) : (
+          <Text fontSize="sm" color="gray.600" flex="1">
+            Manage a company fleet account too? Add it to switch between accounts.
+          </Text>
+        )}
+        <Button size="sm" variant="outline" onClick={onAddAccount} data-action="add-account">
+          <UserPlus size={14} />
+          Add Account
+        </Button>
+        {accounts.length > 1 && (
+          <Button
+            size="sm"
+            variant="outline"
+            colorPalette="red"
+            onClick={() => onSignOutAccount(activeAccountId)}
+            data-action="sign-out-account"
+          >
+            <LogOut size={14} />
+            Sign Out of Account
+          </Button>
+        )}
+      </Flex>
+    );
+  };
+
   if (loading) {
     return (
       <Card.Root>
@@ -39,16 +158,31 @@ export default function AccountInfo({ accountSummary, loading, error }) {
   }
 
   if (!accountSummary) {
-    return null;
+    // Keep the switcher reachable when an account's summary couldn't be loaded
+    return onAddAccount ? (
+      <Card.Root>
+        <Card.Body>{renderAccountSwitcher()}</Card.Body>
+      </Card.Root>
+    ) : null;
   }
 
   const getStatusColor = (status) => {
     return status === 'Active' ? 'green' : status === 'Suspended' ? 'red' : 'yellow';
   };
 
+  // The balance endpoint is more current than the summary; fall back to the summary
+  const tollBalance = balance?.TollBalance ?? accountSummary.TollBal;
+  const threshold = accountSummary.ThresholdAmount || 0;
+  const hasReplenishment = accountSummary.ReplenishmentAmnt > 0;
+  const amountDue = (balance?.DueOnAccount || 0) + (balance?.FeesOnAccount || 0);
+  const daysUntilThreshold = getDaysUntilThreshold(tollBalance, threshold, spendForecast?.dailySpend);
+  const showLowBalanceWarning = daysUntilThreshold !== null && daysUntilThreshold <= warningDays;
+
   return (
     <Card.Root>
       <Card.Body>
+        {renderAccountSwitcher()}
+
         <Flex justify="space-between" align="start" mb={4}>
           <Box>
             <Heading size="md" mb={2}>
@@ -68,11 +202,12 @@ export default function AccountInfo({ accountSummary, loading, error }) {
             <Text fontSize="sm" fontWeight="medium" color="gray.600" mb={1}>
               Current Toll Balance
             </Text>
-            <Text fontSize="2xl" fontWeight="bold" color={accountSummary.TollBal > 0 ? 'green.500' : 'red.500'}>
-              ${maskData(Math.abs(accountSummary.TollBal).toFixed(2), 'money')}
+            <Text fontSize="2xl" fontWeight="bold" color={tollBalance > 0 ? 'green.500' : 'red.500'}>
+              ${maskData(Math.abs(tollBalance).toFixed(2), 'money')}
             </Text>
             <Text fontSize="sm" color="gray.600">
-              {accountSummary.TollBal > 0 ? 'Credit' : 'Amount Due'}
+              {tollBalance > 0 ? 'Prepaid credit' : 'Amount Due'}
+              {amountDue > 0 && ` • $${maskData(amountDue.toFixed(2), 'money')} fees/due`}
             </Text>
           </Box>
 
@@ -124,13 +259,64 @@ export default function AccountInfo({ accountSummary, loading, error }) {
           </Box>
         </Grid>
 
-        {accountSummary.ReplenishmentAmnt > 0 && (
-          <Box mt={4} p={3} bg="blue.50" borderRadius="md">
-            <Text fontSize="sm">
-              ✓ Auto-replenishment enabled: ${maskData(accountSummary.ReplenishmentAmnt.toFixed(2), 'money')} when
-              balance falls below ${maskData(accountSummary.ThresholdAmount.toFixed(2), 'money')}
+        <Grid templateColumns={{ base: '1fr', md: 'repeat(2, 1fr)' }} gap={4} mt={4}>
+          <Box p={3} bg={hasReplenishment ? 'blue.50' : 'gray.50'} borderRadius="md" data-group="replenishment">
+            <Text fontSize="sm" fontWeight="medium" color="gray.600" mb={1}>
+              Auto-Replenishment
             </Text>
+            {hasReplenishment ? (
+              <Text fontSize="sm">
+                ✓ ${maskData(accountSummary.ReplenishmentAmnt.toFixed(2), 'money')} when
+                balance falls below ${maskData(threshold.toFixed(2), 'money')}
+              </Text>
+            ) : (
+              <Text fontSize="sm">Not enabled</Text>
+            )}
+            {spendForecast && (
+              <Text fontSize="xs" color="gray.600" mt={1}>
+                Recent spend: ${maskData(spendForecast.dailySpend.toFixed(2), 'money')}/day
+                over {spendForecast.days} day{spendForecast.days !== 1 ? 's' : ''} of loaded tolls
+              </Text>
+            )}
           </Box>
+
+          <Box p={3} bg="gray.50" borderRadius="md" data-group="balance-trend">
+            <Text fontSize="sm" fontWeight="medium" color="gray.600" mb={1}>
+              Balance Trend
+            </Text>
+            <BalanceTrend history={balanceHistory} maskData={maskData} />
+          </Box>
+        </Grid>
+
+        {showLowBalanceWarning && (
+          <Box mt={4} p={3} bg="orange.50" borderRadius="md" borderWidth="1px" borderColor="orange.200" data-alert="low-balance">
+            <Stack direction="row" align="center" gap={2}>
+              <TriangleAlertIcon size={16} color="orange" />
+              <Text fontSize="sm" color="orange.800">
+                {daysUntilThreshold === 0
+                  ? `Your balance is already below the $${maskData(threshold.toFixed(2), 'money')} threshold.`
+                  : `At your recent spend, your balance will drop below $${maskData(threshold.toFixed(2), 'money')} in about ${daysUntilThreshold} day${daysUntilThreshold !== 1 ? 's' : ''}.`}
+                {!hasReplenishment && ' Auto-replenishment is off, so add funds to avoid violations.'}
+              </Text>
+            </Stack>
+          </Box>
+        )}
+
+        {onWarningDaysChange && (
+          <Flex mt={3} align="center" gap={2} justify="flex-end" data-field="warning-days">
+            <Text fontSize="xs" color="gray.600">Warn about a low balance</Text>
+            <NativeSelectRoot size="xs" width="auto">
+              <NativeSelectField
+                value={warningDays}
+                onChange={(e) => onWarningDaysChange(parseInt(e.target.value, 10))}
+                aria-label="Low balance warning horizon"
+              >
+                {warningDayOptions.map((days) => (
+                  <option key={days} value={days}>{days} days ahead</option>
+                ))}
+              </NativeSelectField>
+            </NativeSelectRoot>
+          </Flex>
         )}
       </Card.Body>
     </Card.Root>
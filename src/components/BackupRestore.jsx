@@ -0,0 +1,236 @@
+import { useState, useRef } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Flex,
+  Input,
+  Field,
+  NativeSelectRoot,
+  NativeSelectField,
+} from '@chakra-ui/react';
+import { Download, Upload, TriangleAlertIcon } from 'lucide-react';
+import {
+  createBackup,
+  readBackup,
+  restoreBackup,
+  countOverlappingTransactions,
+  CONFLICT_KEEP_LOCAL,
+  CONFLICT_USE_BACKUP,
+} from '../utils/backup';
+import { downloadBlob } from '../utils/fileExport';
+import { toaster } from '../utils/toaster';
+
+const describeSummary = ({ settings, accounts, transactions }) =>
+  `${settings} saved setting${settings !== 1 ? 's' : ''}, ${transactions} cached transaction${transactions !== 1 ? 's' : ''}` +
+  ` from ${accounts} account${accounts !== 1 ? 's' : ''}`;
+
+export default function BackupRestore() {
+  const fileInputRef = useRef(null);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportConfirm, setExportConfirm] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [backup, setBackup] = useState(null); // Decrypted backup waiting to be restored
+  const [conflict, setConflict] = useState(CONFLICT_KEEP_LOCAL);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [unreadable, setUnreadable] = useState(null); // Keys the restore left alone
+
+  const run = async (task) => {
+    setError('');
+    setBusy(true);
+    try {
+      await task();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = () => run(async () => {
+    if (exportPassphrase !== exportConfirm) {
+      throw new Error('Passphrases do not match');
+    }
+    const { blob, filename, summary } = await createBackup(exportPassphrase);
+    downloadBlob(blob, filename);
+    setExportPassphrase('');
+    setExportConfirm('');
+    toaster.create({
+      title: 'Backup exported',
+      description: describeSummary(summary),
+      type: 'success',
+      duration: 4000,
+    });
+  });
+
+  const handleRead = () => run(async () => {
+    if (!importFile) {
+      throw new Error('Choose a backup file');
+    }
+    const result = await readBackup(importFile, importPassphrase);
+    setBackup({ ...result, overlapping: await countOverlappingTransactions(result.data) });
+  });
+
+  const handleRestore = () => run(async () => {
+    const result = await restoreBackup(backup.data, { conflict });
+    if (result.unreadable.length > 0) {
+      // Let the user see what was skipped before reloading
+      setUnreadable(result.unreadable);
+      return;
+    }
+    // Reload so every view and preference picks up the restored data
+    window.location.reload();
+  });
+
+  const resetImport = () => {
+    setBackup(null);
+    setImportFile(null);
+    setImportPassphrase('');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  return (
+    <Box borderTopWidth="1px" pt={6} data-section="backup-restore">
+      <Heading size="sm" mb={3}>
+        Backup & Restore
+      </Heading>
+      <Text fontSize="sm" color="gray.600" mb={4}>
+        Business purposes, rules, vehicles, settings and cached history are only stored in this
+        browser. Export them to a passphrase-protected file to move them to another machine.
+      </Text>
+
+      <Stack gap={4}>
+        <Stack gap={2}>
+          <Text fontSize="sm" fontWeight="medium">Export Backup</Text>
+          <Flex gap={2} direction={{ base: 'column', sm: 'row' }}>
+            <Field.Root>
+              <Input
+                type="password"
+                size="sm"
+                placeholder="Backup passphrase"
+                value={exportPassphrase}
+                onChange={(e) => setExportPassphrase(e.target.value)}
+                disabled={busy}
+                autoComplete="new-password"
+              />
+            </Field.Root>
+            <Field.Root>
+              <Input
+                type="password"
+                size="sm"
+                placeholder="Confirm passphrase"
+                value={exportConfirm}
+                onChange={(e) => setExportConfirm(e.target.value)}
+                disabled={busy}
+                autoComplete="new-password"
+              />
+            </Field.Root>
+          </Flex>
+          <Button size="sm" variant="outline" onClick={handleExport} loading={busy} data-action="export-backup">
+            <Flex align="center" gap={2}>
+              <Download size={14} />
+              <Text>Export Backup</Text>
+            </Flex>
+          </Button>
+        </Stack>
+
+        <Stack gap={2}>
+          <Text fontSize="sm" fontWeight="medium">Import Backup</Text>
+          {unreadable ? (
+            <Box p={3} bg="orange.50" borderRadius="md" borderWidth="1px" borderColor="orange.200" data-status="restore-skipped">
+              <Stack gap={2}>
+                <Text fontSize="sm" color="orange.800">
+                  Backup restored, except for {unreadable.length} setting{unreadable.length !== 1 ? 's' : ''} that
+                  could not be decrypted on this device and {unreadable.length !== 1 ? 'were' : 'was'} left
+                  unchanged: {unreadable.join(', ')}. See Vault settings for unreadable data.
+                </Text>
+                <Flex justify="flex-end">
+                  <Button size="sm" colorPalette="blue" onClick={() => window.location.reload()} data-action="reload-after-restore">
+                    Reload
+                  </Button>
+                </Flex>
+              </Stack>
+            </Box>
+          ) : !backup ? (
+            <>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+                disabled={busy}
+                style={{ fontSize: '0.875rem' }}
+              />
+              <Input
+                type="password"
+                size="sm"
+                placeholder="Backup passphrase"
+                value={importPassphrase}
+                onChange={(e) => setImportPassphrase(e.target.value)}
+                disabled={busy}
+                autoComplete="off"
+              />
+              <Button size="sm" variant="outline" onClick={handleRead} loading={busy} data-action="read-backup">
+                <Flex align="center" gap={2}>
+                  <Upload size={14} />
+                  <Text>Import Backup</Text>
+                </Flex>
+              </Button>
+            </>
+          ) : (
+            <Box p={3} bg="blue.50" borderRadius="md" borderWidth="1px" borderColor="blue.200">
+              <Stack gap={2}>
+                <Text fontSize="sm">
+                  Backup from {backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'an unknown date'}:{' '}
+                  {describeSummary(backup.summary)}.
+                </Text>
+                {backup.overlapping > 0 && (
+                  <Text fontSize="sm">
+                    {backup.overlapping} cached transaction{backup.overlapping !== 1 ? 's are' : ' is'} already on this device.
+                  </Text>
+                )}
+                <Field.Root>
+                  <Field.Label fontSize="sm">When an entry exists in both</Field.Label>
+                  <NativeSelectRoot size="sm">
+                    <NativeSelectField
+                      value={conflict}
+                      onChange={(e) => setConflict(e.target.value)}
+                      disabled={busy}
+                    >
+                      <option value={CONFLICT_KEEP_LOCAL}>Keep this device's version</option>
+                      <option value={CONFLICT_USE_BACKUP}>Use the backup's version</option>
+                    </NativeSelectField>
+                  </NativeSelectRoot>
+                </Field.Root>
+                <Text fontSize="xs" color="gray.600">
+                  Everything else is merged. The app reloads after restoring.
+                </Text>
+                <Flex gap={2} justify="flex-end">
+                  <Button size="sm" variant="outline" onClick={resetImport} disabled={busy}>
+                    Cancel
+                  </Button>
+                  <Button size="sm" colorPalette="blue" onClick={handleRestore} loading={busy} data-action="restore-backup">
+                    Restore
+                  </Button>
+                </Flex>
+              </Stack>
+            </Box>
+          )}
+        </Stack>
+
+        {error && (
+          <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+            <Stack direction="row" align="center" gap={2}>
+              <TriangleAlertIcon size={16} color="red" />
+              <Text fontSize="sm" color="red.700">{error}</Text>
+            </Stack>
+          </Box>
+        )}
+      </Stack>
+    </Box>
+  );
+}
@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Input,
+  IconButton,
+  Spinner,
+} from '@chakra-ui/react';
+import { NotebookPen, Trash2, X } from 'lucide-react';
+import {
+  getBusinessPurposes,
+  saveBusinessPurpose,
+  removeBusinessPurpose,
+  clearBusinessPurposes,
+  PURPOSE_TYPE_TRIP,
+  PURPOSE_TYPE_GROUP,
+} from '../utils/businessPurposeStore';
+import { toaster } from '../utils/toaster';
+
+// Flatten stored purposes into editable rows, most recently updated first
+const toRows = ({ trips, groups }) => {
+  const rows = [
+    ...Object.entries(groups).map(([key, entry]) => ({ type: PURPOSE_TYPE_GROUP, key, ...entry })),
+    ...Object.entries(trips).map(([key, entry]) => ({ type: PURPOSE_TYPE_TRIP, key, ...entry })),
+  ];
+  return rows
+    .map((row) => ({ ...row, draft: row.purpose, removed: false }))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+};
+
+export default function BusinessPurposeEditor({ isOpen, onClose, accountId, onChange }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadPurposes = async () => {
+      setLoading(true);
+      const purposes = await getBusinessPurposes(accountId);
+      setRows(toRows(purposes));
+      setLoading(false);
+    };
+
+    loadPurposes();
+  }, [isOpen, accountId]);
+
+  const updateRow = (type, key, changes) => {
+    setRows((prev) =>
+      prev.map((row) => (row.type === type && row.key === key ? { ...row, ...changes } : row))
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      for (const row of rows) {
+        if (row.removed || !row.draft.trim()) {
+          await removeBusinessPurpose(accountId, row.type, row.key);
+        } else if (row.draft !== row.purpose) {
+          await saveBusinessPurpose(accountId, {
+            type: row.type,
+            key: row.key,
+            purpose: row.draft,
+            label: row.label,
+          });
+        }
+      }
+
+      toaster.create({
+        title: 'Business Purposes Saved',
+        description: 'Your saved business purposes have been updated',
+        type: 'success',
+        duration: 3000,
+      });
+      onChange?.();
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClearAll = async () => {
+    await clearBusinessPurposes(accountId);
+    setRows([]);
+    toaster.create({
+      title: 'Business Purposes Cleared',
+      description: 'All saved business purposes for this account have been removed',
+      type: 'info',
+      duration: 3000,
+    });
+    onChange?.();
+  };
+
+  if (!isOpen) return null;
+
+  const visibleRows = rows.filter((row) => !row.removed);
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1000}
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      p={4}
+      onClick={onClose}
+    >
+      <Card.Root
+        maxW="700px"
+        w="full"
+        maxH="90vh"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Flex align="center" gap={2}>
+              <NotebookPen size={20} />
+              <Heading size="md">Saved Business Purposes</Heading>
+            </Flex>
+            <Button
+              onClick={onClose}
+              variant="ghost"
+              size="sm"
+              p={1}
+            >
+              <X size={20} />
+            </Button>
+          </Flex>
+          <Text fontSize="sm" color="gray.600" mt={2}>
+            Purposes are saved encrypted on this device and restored when the same
+            transactions are loaded again
+          </Text>
+        </Card.Header>
+
+        <Card.Body overflowY="auto">
+          {loading ? (
+            <Flex justify="center" py={6}>
+              <Spinner size="lg" color="blue.500" />
+            </Flex>
+          ) : visibleRows.length === 0 ? (
+            <Text fontSize="sm" color="gray.600" textAlign="center" py={6}>
+              No saved business purposes
+            </Text>
+          ) : (
+            <Stack gap={3}>
+              {visibleRows.map((row) => (
+                <Box
+                  key={`${row.type}:${row.key}`}
+                  p={3}
+                  borderWidth="1px"
+                  borderRadius="md"
+                  data-purpose-type={row.type}
+                >
+                  <Flex justify="space-between" align="center" mb={2} gap={2}>
+                    <Box>
+                      <Text fontWeight="medium" fontSize="sm">{row.label}</Text>
+                      <Text fontSize="xs" color="gray.600">
+                        {row.type === PURPOSE_TYPE_GROUP ? 'Group' : 'Transaction'}
+                        {row.updatedAt && ` • Updated ${format(new Date(row.updatedAt), 'MMM d, yyyy h:mm a')}`}
+                      </Text>
+                    </Box>
+                    <IconButton
+                      onClick={() => updateRow(row.type, row.key, { removed: true })}
+                      variant="ghost"
+                      size="sm"
+                      colorPalette="red"
+                      aria-label="Clear business purpose"
+                    >
+                      <Trash2 size={16} />
+                    </IconButton>
+                  </Flex>
+                  <Input
+                    size="sm"
+                    value={row.draft}
+                    onChange={(e) => updateRow(row.type, row.key, { draft: e.target.value })}
+                    placeholder="Business purpose"
+                  />
+                </Box>
+              ))}
+            </Stack>
+          )}
+        </Card.Body>
+
+        <Card.Footer>
+          <Flex justify="space-between" w="full">
+            <Button
+              onClick={handleClearAll}
+              variant="outline"
+              colorPalette="red"
+              disabled={loading || rows.length === 0}
+            >
+              Clear All
+            </Button>
+            <Flex gap={2}>
+              <Button
+                onClick={onClose}
+                variant="outline"
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSave}
+                colorPalette="blue"
+                loading={saving}
+                disabled={loading}
+              >
+                Save Changes
+              </Button>
+            </Flex>
+          </Flex>
+        </Card.Footer>
+      </Card.Root>
+    </Box>
+  );
+}
@@ -3,9 +3,11 @@ import { Box, Field, Input, Button, Stack, Text, Heading, Flex, Link, Checkbox,
 import { TriangleAlertIcon } from 'lucide-react';
 import { usePrivacyMode } from '../contexts/PrivacyModeContext';
 import { validateLoginForm, checkRateLimit, clearRateLimit } from '../utils/validation';
-import { secureSessionStorage } from '../utils/secureStorage';
+import { saveAccountSession } from '../utils/accountSession';
 
-export default function LoginForm({ onLoginSuccess }) {
+export default function LoginForm({ onLoginSuccess, onCancel }) {
+  // onCancel is only passed when adding another account to an existing session
+  const isAddingAccount = !!onCancel;
   const { isPrivacyMode } = usePrivacyMode();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
@@ -38,10 +40,12 @@ export default function LoginForm({ onLoginSuccess }) {
       const fullName = response.FullName || response.UserName;
 
       // Use encrypted storage for sensitive data
-      await secureSessionStorage.setItem('userId', response.AccountId);
-      await secureSessionStorage.setItem('username', response.UserName);
-      await secureSessionStorage.setItem('fullName', fullName);
-      await secureSessionStorage.setItem('accessToken', response.accessToken);
+      await saveAccountSession({
+        userId: response.AccountId,
+        username: response.UserName,
+        fullName,
+        accessToken: response.accessToken,
+      });
 
       // Clear rate limit on successful login
       clearRateLimit('login');
@@ -73,10 +77,12 @@ export default function LoginForm({ onLoginSuccess }) {
                 mb={4}
               />
               <Heading size="lg" mb={2}>
-                Toll Expense Tracker
+                {isAddingAccount ? 'Add NTTA Account' : 'Toll Expense Tracker'}
               </Heading>
               <Text color="gray.600" fontSize="sm">
-                Sign in to access your toll transactions
+                {isAddingAccount
+                  ? 'Sign in to another NTTA account to switch between accounts'
+                  : 'Sign in to access your toll transactions'}
               </Text>
             </Box>
 
@@ -141,6 +147,12 @@ export default function LoginForm({ onLoginSuccess }) {
                   Sign In
                 </Button>
 
+                {isAddingAccount && (
+                  <Button variant="outline" onClick={onCancel} disabled={loading}>
+                    Cancel
+                  </Button>
+                )}
+
                 <Stack gap={2} textAlign="center" fontSize="sm">
                   <Link
                     href="https://ssptrips.ntta.org/forgot-credentials/forgotuser"
@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Badge,
+  Spinner,
+  NativeSelectRoot,
+  NativeSelectField,
+} from '@chakra-ui/react';
+import { Bell, TriangleAlertIcon, RefreshCw, X } from 'lucide-react';
+import {
+  NOTIFICATION_TYPE_ALL,
+  notificationTypes,
+  filterNotifications,
+  getNotificationId,
+  getNotificationMessage,
+  getNotificationType,
+  isNotificationRead,
+  getUnreadCount,
+} from '../utils/notifications';
+
+const formatNotificationDate = (value) => {
+  try {
+    return format(parseISO(value), 'MMM d, yyyy h:mm a');
+  } catch {
+    return value || '';
+  }
+};
+
+export default function NotificationsDrawer({
+  isOpen,
+  onClose,
+  notifications = [],
+  reads = {},
+  loading,
+  error,
+  onSetRead,
+  onRefresh,
+}) {
+  const [typeFilter, setTypeFilter] = useState(NOTIFICATION_TYPE_ALL);
+
+  if (!isOpen) return null;
+
+  const visible = filterNotifications(notifications, typeFilter);
+  const unreadCount = getUnreadCount(notifications, reads);
+  const unreadVisibleIds = visible
+    .filter((n) => !isNotificationRead(reads, n))
+    .map(getNotificationId);
+
+  // Only offer the types present on the account
+  const presentTypes = new Set(notifications.map((n) => getNotificationType(n).value));
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1000}
+      display="flex"
+      justifyContent="flex-end"
+      onClick={onClose}
+    >
+      <Card.Root
+        maxW="420px"
+        w="full"
+        h="100vh"
+        borderRadius={0}
+        onClick={(e) => e.stopPropagation()}
+        data-section="notifications"
+      >
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Flex align="center" gap={2}>
+              <Bell size={20} />
+              <Heading size="md">Notifications</Heading>
+              {unreadCount > 0 && (
+                <Badge colorPalette="red" variant="solid">{unreadCount}</Badge>
+              )}
+            </Flex>
+            <Flex gap={1}>
+              <Button
+                onClick={onRefresh}
+                variant="ghost"
+                size="sm"
+                p={1}
+                disabled={loading}
+                aria-label="Refresh notifications"
+              >
+                <RefreshCw size={18} />
+              </Button>
+              <Button
+                onClick={onClose}
+                variant="ghost"
+                size="sm"
+                p={1}
+              >
+                <X size={20} />
+              </Button>
+            </Flex>
+          </Flex>
+          <Text fontSize="sm" color="gray.600" mt={2}>
+            Notices NTTA posts to your account on the customer portal
+          </Text>
+          <Flex gap={2} mt={3} align="center">
+            <NativeSelectRoot size="sm" flex={1}>
+              <NativeSelectField
+                value={typeFilter}
+                onChange={(e) => setTypeFilter(e.target.value)}
+                aria-label="Notification type"
+              >
+                <option value={NOTIFICATION_TYPE_ALL}>All Types</option>
+                {notificationTypes
+                  .filter((type) => presentTypes.has(type.value) || type.value === typeFilter)
+                  .map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+              </NativeSelectField>
+            </NativeSelectRoot>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onSetRead(unreadVisibleIds, true)}
+              disabled={unreadVisibleIds.length === 0}
+              data-action="mark-all-read"
+            >
+              Mark All Read
+            </Button>
+          </Flex>
+        </Card.Header>
+
+        <Card.Body overflowY="auto" pt={0}>
+          {error && (
+            <Box p={3} mb={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+              <Stack direction="row" align="center" gap={2}>
+                <TriangleAlertIcon size={16} color="red" />
+                <Text fontSize="sm" color="red.700">{error}</Text>
+              </Stack>
+            </Box>
+          )}
+
+          {loading ? (
+            <Flex justify="center" py={6}>
+              <Spinner size="lg" color="blue.500" />
+            </Flex>
+          ) : visible.length === 0 ? (
+            <Text fontSize="sm" color="gray.600" textAlign="center" py={6}>
+              {notifications.length === 0 ? 'No notifications on this account' : 'No notifications of this type'}
+            </Text>
+          ) : (
+            <Stack gap={3}>
+              {visible.map((notification) => {
+                const id = getNotificationId(notification);
+                const type = getNotificationType(notification);
+                const isRead = isNotificationRead(reads, notification);
+
+                return (
+                  <Box
+                    key={id}
+                    p={3}
+                    borderWidth="1px"
+                    borderRadius="md"
+                    borderColor={isRead ? undefined : 'blue.300'}
+                    bg={isRead ? undefined : 'blue.50'}
+                    data-notification={id}
+                  >
+                    <Flex justify="space-between" align="center" gap={2} mb={1}>
+                      <Badge colorPalette={type.color} variant="subtle">{type.label}</Badge>
+                      <Text fontSize="xs" color="gray.600">
+                        {formatNotificationDate(notification.RequestedDate)}
+                      </Text>
+                    </Flex>
+                    <Text fontSize="sm" fontWeight={isRead ? 'normal' : 'medium'}>
+                      {getNotificationMessage(notification)}
+                    </Text>
+                    <Flex justify="flex-end" mt={2}>
+                      <Button
+                        size="xs"
+                        variant="ghost"
+                        colorPalette="blue"
+                        onClick={() => onSetRead([id], !isRead)}
+                        data-action="toggle-read"
+                      >
+                        {isRead ? 'Mark Unread' : 'Mark Read'}
+                      </Button>
+                    </Flex>
+                  </Box>
+                );
+              })}
+            </Stack>
+          )}
+        </Card.Body>
+      </Card.Root>
+    </Box>
+  );
+}
@@ -0,0 +1,368 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Grid,
+  Input,
+  Field,
+  Checkbox,
+  IconButton,
+  Badge,
+} from '@chakra-ui/react';
+import { Wand2, X, ArrowUp, ArrowDown, Pencil, Trash2, Plus } from 'lucide-react';
+import {
+  getPurposeRules,
+  savePurposeRules,
+  createEmptyRule,
+  validatePurposeRule,
+  WEEKDAYS,
+} from '../utils/purposeRules';
+import { toaster } from '../utils/toaster';
+
+// One line summary of a rule's conditions
+const describeConditions = (conditions) => {
+  const parts = [];
+  if (conditions.entryPlaza) parts.push(`entry "${conditions.entryPlaza}"`);
+  if (conditions.exitPlaza) parts.push(`exit "${conditions.exitPlaza}"`);
+  if (conditions.vehicle) parts.push(`vehicle ${conditions.vehicle}`);
+  if (conditions.tagId) parts.push(`tag ${conditions.tagId}`);
+  if (conditions.weekdays?.length > 0) {
+    parts.push(WEEKDAYS.filter((d) => conditions.weekdays.includes(d.value)).map((d) => d.label).join('/'));
+  }
+  if (conditions.startTime || conditions.endTime) {
+    parts.push(`${conditions.startTime || '00:00'}-${conditions.endTime || '24:00'}`);
+  }
+  if (conditions.minAmount !== '') parts.push(`≥ $${conditions.minAmount}`);
+  if (conditions.maxAmount !== '') parts.push(`≤ $${conditions.maxAmount}`);
+  return parts.length > 0 ? parts.join(', ') : 'No conditions';
+};
+
+export default function PurposeRulesSettings({ isOpen, onClose, onSave }) {
+  const [rules, setRules] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadRules = async () => {
+      setRules(await getPurposeRules());
+      setEditingId(null);
+      setError('');
+    };
+
+    loadRules();
+  }, [isOpen]);
+
+  const updateRule = (id, changes) => {
+    setRules((prev) => prev.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateConditions = (id, changes) => {
+    setRules((prev) =>
+      prev.map((rule) =>
+        rule.id === id ? { ...rule, conditions: { ...rule.conditions, ...changes } } : rule
+      )
+    );
+  };
+
+  const toggleWeekday = (rule, day) => {
+    const weekdays = rule.conditions.weekdays.includes(day)
+      ? rule.conditions.weekdays.filter((d) => d !== day)
+      : [...rule.conditions.weekdays, day].sort();
+    updateConditions(rule.id, { weekdays });
+  };
+
+  const moveRule = (index, direction) => {
+    setRules((prev) => {
+      const next = [...prev];
+      const target = index + direction;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    const rule = createEmptyRule();
+    setRules((prev) => [...prev, rule]);
+    setEditingId(rule.id);
+  };
+
+  const handleDelete = (id) => {
+    setRules((prev) => prev.filter((rule) => rule.id !== id));
+    if (editingId === id) setEditingId(null);
+  };
+
+  const handleSave = async () => {
+    for (const [index, rule] of rules.entries()) {
+      const validation = validatePurposeRule(rule);
+      if (!validation.valid) {
+        setEditingId(rule.id);
+        setError(`Rule ${index + 1}: ${validation.error}`);
+        return;
+      }
+    }
+
+    await savePurposeRules(rules);
+    toaster.create({
+      title: 'Rules Saved',
+      description: 'Business purpose rules will be applied to loaded transactions',
+      type: 'success',
+      duration: 3000,
+    });
+    onSave?.();
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1000}
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      p={4}
+      onClick={onClose}
+    >
+      <Card.Root
+        maxW="700px"
+        w="full"
+        maxH="90vh"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Flex align="center" gap={2}>
+              <Wand2 size={20} />
+              <Heading size="md">Business Purpose Rules</Heading>
+            </Flex>
+            <Button
+              onClick={onClose}
+              variant="ghost"
+              size="sm"
+              p={1}
+            >
+              <X size={20} />
+            </Button>
+          </Flex>
+          <Text fontSize="sm" color="gray.600" mt={2}>
+            Rules run in order after transactions load. The first matching rule fills in
+            the purpose, which stays flagged until you confirm it.
+          </Text>
+        </Card.Header>
+
+        <Card.Body overflowY="auto">
+          <Stack gap={3}>
+            {rules.length === 0 && (
+              <Text fontSize="sm" color="gray.600" textAlign="center" py={4}>
+                No rules yet
+              </Text>
+            )}
+
+            {rules.map((rule, index) => (
+              <Box key={rule.id} p={3} borderWidth="1px" borderRadius="md" data-rule-id={rule.id}>
+                <Flex justify="space-between" align="center" gap={2}>
+                  <Flex align="center" gap={2} minW={0}>
+                    <Badge colorPalette="gray">{index + 1}</Badge>
+                    <Box minW={0}>
+                      <Text fontWeight="medium" fontSize="sm" truncate>
+                        {rule.name || rule.purpose || 'New rule'}
+                      </Text>
+                      <Text fontSize="xs" color="gray.600" truncate>
+                        {describeConditions(rule.conditions)} → {rule.purpose || '…'}
+                      </Text>
+                    </Box>
+                  </Flex>
+                  <Flex gap={1} flexShrink={0}>
+                    <Checkbox.Root
+                      checked={rule.enabled}
+                      onCheckedChange={(e) => updateRule(rule.id, { enabled: !!e.checked })}
+                      size="sm"
+                      aria-label="Enable rule"
+                    >
+                      <Checkbox.HiddenInput />
+                      <Checkbox.Control />
+                    </Checkbox.Root>
+                    <IconButton onClick={() => moveRule(index, -1)} variant="ghost" size="xs" aria-label="Move rule up" disabled={index === 0}>
+                      <ArrowUp size={14} />
+                    </IconButton>
+                    <IconButton onClick={() => moveRule(index, 1)} variant="ghost" size="xs" aria-label="Move rule down" disabled={index === rules.length - 1}>
+                      <ArrowDown size={14} />
+                    </IconButton>
+                    <IconButton
+                      onClick={() => setEditingId(editingId === rule.id ? null : rule.id)}
+                      variant="ghost"
+                      size="xs"
+                      aria-label="Edit rule"
+                    >
+                      <Pencil size={14} />
+                    </IconButton>
+                    <IconButton onClick={() => handleDelete(rule.id)} variant="ghost" size="xs" colorPalette="red" aria-label="Delete rule">
+                      <Trash2 size={14} />
+                    </IconButton>
+                  </Flex>
+                </Flex>
+
+                {editingId === rule.id && (
+                  <Stack gap={3} mt={3}>
+                    <Grid templateColumns={{ base: '1fr', md: 'repeat(2, 1fr)' }} gap={3}>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Rule Name</Field.Label>
+                        <Input
+                          size="sm"
+                          value={rule.name}
+                          onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+                          placeholder="e.g., Acme commute"
+                        />
+                      </Field.Root>
+                      <Field.Root required>
+                        <Field.Label fontSize="sm">Business Purpose</Field.Label>
+                        <Input
+                          size="sm"
+                          value={rule.purpose}
+                          onChange={(e) => updateRule(rule.id, { purpose: e.target.value })}
+                          placeholder="e.g., Commute to client site Acme"
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Entry Plaza Contains</Field.Label>
+                        <Input
+                          size="sm"
+                          value={rule.conditions.entryPlaza}
+                          onChange={(e) => updateConditions(rule.id, { entryPlaza: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Exit Plaza Contains</Field.Label>
+                        <Input
+                          size="sm"
+                          value={rule.conditions.exitPlaza}
+                          onChange={(e) => updateConditions(rule.id, { exitPlaza: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Vehicle (Plate)</Field.Label>
+                        <Input
+                          size="sm"
+                          value={rule.conditions.vehicle}
+                          onChange={(e) => updateConditions(rule.id, { vehicle: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Tag ID</Field.Label>
+                        <Input
+                          size="sm"
+                          value={rule.conditions.tagId}
+                          onChange={(e) => updateConditions(rule.id, { tagId: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">From Time</Field.Label>
+                        <Input
+                          size="sm"
+                          type="time"
+                          value={rule.conditions.startTime}
+                          onChange={(e) => updateConditions(rule.id, { startTime: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">To Time</Field.Label>
+                        <Input
+                          size="sm"
+                          type="time"
+                          value={rule.conditions.endTime}
+                          onChange={(e) => updateConditions(rule.id, { endTime: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Min Amount ($)</Field.Label>
+                        <Input
+                          size="sm"
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={rule.conditions.minAmount}
+                          onChange={(e) => updateConditions(rule.id, { minAmount: e.target.value })}
+                        />
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Max Amount ($)</Field.Label>
+                        <Input
+                          size="sm"
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={rule.conditions.maxAmount}
+                          onChange={(e) => updateConditions(rule.id, { maxAmount: e.target.value })}
+                        />
+                      </Field.Root>
+                    </Grid>
+
+                    <Box>
+                      <Text fontSize="sm" fontWeight="medium" mb={2}>Days</Text>
+                      <Flex gap={3} wrap="wrap">
+                        {WEEKDAYS.map((day) => (
+                          <Checkbox.Root
+                            key={day.value}
+                            checked={rule.conditions.weekdays.includes(day.value)}
+                            onCheckedChange={() => toggleWeekday(rule, day.value)}
+                            size="sm"
+                          >
+                            <Checkbox.HiddenInput />
+                            <Checkbox.Control />
+                            <Checkbox.Label>{day.label}</Checkbox.Label>
+                          </Checkbox.Root>
+                        ))}
+                      </Flex>
+                    </Box>
+                  </Stack>
+                )}
+              </Box>
+            ))}
+
+            <Button onClick={handleAdd} variant="outline" size="sm" alignSelf="flex-start">
+              <Flex align="center" gap={2}>
+                <Plus size={14} />
+                <Text>Add Rule</Text>
+              </Flex>
+            </Button>
+
+            {error && (
+              <Text fontSize="sm" color="red.600">{error}</Text>
+            )}
+          </Stack>
+        </Card.Body>
+
+        <Card.Footer>
+          <Flex justify="flex-end" w="full" gap={2}>
+            <Button
+              onClick={onClose}
+              variant="outline"
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleSave}
+              colorPalette="blue"
+            >
+              Save Rules
+            </Button>
+          </Flex>
+        </Card.Footer>
+      </Card.Root>
+    </Box>
+  );
+}
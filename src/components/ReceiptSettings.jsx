@@ -8,32 +8,124 @@ import {
   Card,
   Flex,
   Checkbox,
+  Input,
+  Field,
+  NativeSelectRoot,
+  NativeSelectField,
+  Textarea,
+  Image,
 } from '@chakra-ui/react';
-import { Settings, X } from 'lucide-react';
-import { getReceiptSettings, saveReceiptSettings, defaultReceiptSettings } from '../utils/pdfGenerator';
+import { Settings, X, Plus, Trash2, TriangleAlertIcon, ChevronUp, ChevronDown } from 'lucide-react';
+import {
+  receiptProfileFields,
+  createReceiptProfile,
+  getReceiptProfiles,
+  saveReceiptProfiles,
+  validateReceiptProfiles,
+  prepareLogo,
+  receiptPaperSizes,
+  receiptOrientations,
+  receiptFontSizes,
+} from '../utils/receiptProfiles';
+import { receiptColumns } from '../utils/receiptData';
 import { toaster } from '../utils/toaster';
+import BackupRestore from './BackupRestore';
 
-export default function ReceiptSettings({ isOpen, onClose }) {
-  const [settings, setSettings] = useState(defaultReceiptSettings);
+export default function ReceiptSettings({ isOpen, onClose, onSave }) {
+  const [profiles, setProfiles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null); // Profile used for generating receipts
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+  const [unreadable, setUnreadable] = useState(false); // Saved profiles can't be decrypted
 
   useEffect(() => {
     if (isOpen) {
-      setSettings(getReceiptSettings());
+      setError('');
+      getReceiptProfiles().then((stored) => {
+        setUnreadable(!!stored.unreadable);
+        setProfiles(stored.profiles);
+        setSelectedId(stored.selectedId);
+        setEditingId(stored.selectedId);
+      });
     }
   }, [isOpen]);
 
-  const handleToggle = (key) => {
-    setSettings((prev) => ({
-      ...prev,
-      [key]: !prev[key],
+  const editing = profiles.find((p) => p.id === editingId);
+
+  const updateEditing = (update) => {
+    setProfiles((prev) => prev.map((p) => (p.id === editingId ? update(p) : p)));
+  };
+
+  const handleFieldChange = (key, changes) => {
+    updateEditing((p) => ({
+      ...p,
+      fields: { ...p.fields, [key]: { ...p.fields[key], ...changes } },
     }));
   };
 
-  const handleSave = () => {
-    saveReceiptSettings(settings);
+  const handleBrandingChange = (changes) => {
+    updateEditing((p) => ({ ...p, branding: { ...p.branding, ...changes } }));
+  };
+
+  const handleLayoutChange = (changes) => {
+    updateEditing((p) => ({ ...p, layout: { ...p.layout, ...changes } }));
+  };
+
+  const handleToggleColumn = (id) => {
+    const { columns } = editing.layout;
+    handleLayoutChange({
+      columns: columns.includes(id) ? columns.filter((c) => c !== id) : [...columns, id],
+    });
+  };
+
+  const handleMoveColumn = (id, offset) => {
+    const columns = [...editing.layout.columns];
+    const index = columns.indexOf(id);
+    const target = index + offset;
+    if (target < 0 || target >= columns.length) return;
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    handleLayoutChange({ columns });
+  };
+
+  const handleLogoUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError('');
+    try {
+      handleBrandingChange({ logo: await prepareLogo(file) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = () => {
+    const profile = createReceiptProfile(`Profile ${profiles.length + 1}`);
+    setProfiles((prev) => [...prev, profile]);
+    setEditingId(profile.id);
+  };
+
+  const handleDelete = () => {
+    const remaining = profiles.filter((p) => p.id !== editingId);
+    setProfiles(remaining);
+    setEditingId(remaining[0]?.id ?? null);
+  };
+
+  const handleSave = async () => {
+    const validation = validateReceiptProfiles(profiles);
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+
+    const saved = {
+      profiles,
+      selectedId: profiles.some((p) => p.id === selectedId) ? selectedId : profiles[0].id,
+    };
+    await saveReceiptProfiles(saved);
+    onSave?.(saved);
     toaster.create({
       title: 'Settings Saved',
-      description: 'Receipt template preferences have been updated',
+      description: 'Receipt profiles have been updated',
       type: 'success',
       duration: 3000,
     });
@@ -41,10 +133,11 @@ export default function ReceiptSettings({ isOpen, onClose }) {
   };
 
   const handleReset = () => {
-    setSettings(defaultReceiptSettings);
+    const { fields, branding, layout } = createReceiptProfile();
+    updateEditing((p) => ({ ...p, fields, branding, layout }));
     toaster.create({
       title: 'Settings Reset',
-      description: 'Receipt template preferences have been reset to defaults',
+      description: `"${editing?.label}" has been reset to defaults`,
       type: 'info',
       duration: 3000,
     });
@@ -70,6 +163,7 @@ export default function ReceiptSettings({ isOpen, onClose }) {
       <Card.Root
         maxW="500px"
         w="full"
+        maxH="90vh"
         onClick={(e) => e.stopPropagation()}
       >
         <Card.Header>
@@ -89,98 +183,307 @@ export default function ReceiptSettings({ isOpen, onClose }) {
           </Flex>
         </Card.Header>
 
-        <Card.Body>
+        <Card.Body overflowY="auto">
           <Stack gap={6}>
             <Box>
               <Heading size="sm" mb={3}>
-                Personal Information
+                Receipt Profiles
               </Heading>
               <Text fontSize="sm" color="gray.600" mb={4}>
-                Choose which personal information to include on your receipts
+                Keep a profile for each employer or client, and choose one when generating receipts
               </Text>
 
-              <Stack gap={3}>
-                <Checkbox.Root
-                  checked={settings.includeName}
-                  onCheckedChange={() => handleToggle('includeName')}
-                >
-                  <Checkbox.HiddenInput />
-                  <Checkbox.Control />
-                  <Checkbox.Label>
-                    <Box>
-                      <Text fontWeight="medium">Include Name</Text>
-                      <Text fontSize="sm" color="gray.600">
-                        Display your full name on receipts
-                      </Text>
-                    </Box>
-                  </Checkbox.Label>
-                </Checkbox.Root>
-
-                <Checkbox.Root
-                  checked={settings.includeAccountNumber}
-                  onCheckedChange={() => handleToggle('includeAccountNumber')}
-                >
-                  <Checkbox.HiddenInput />
-                  <Checkbox.Control />
-                  <Checkbox.Label>
-                    <Box>
-                      <Text fontWeight="medium">Include Account Number</Text>
-                      <Text fontSize="sm" color="gray.600">
-                        Display your NTTA account number
-                      </Text>
-                    </Box>
-                  </Checkbox.Label>
-                </Checkbox.Root>
-
-                <Checkbox.Root
-                  checked={settings.includeEmail}
-                  onCheckedChange={() => handleToggle('includeEmail')}
-                >
-                  <Checkbox.HiddenInput />
-                  <Checkbox.Control />
-                  <Checkbox.Label>
-                    <Box>
-                      <Text fontWeight="medium">Include Email Address</Text>
-                      <Text fontSize="sm" color="gray.600">
-                        Display your email address
-                      </Text>
-                    </Box>
-                  </Checkbox.Label>
-                </Checkbox.Root>
-
-                <Checkbox.Root
-                  checked={settings.includePhone}
-                  onCheckedChange={() => handleToggle('includePhone')}
-                >
-                  <Checkbox.HiddenInput />
-                  <Checkbox.Control />
-                  <Checkbox.Label>
-                    <Box>
-                      <Text fontWeight="medium">Include Phone Number</Text>
-                      <Text fontSize="sm" color="gray.600">
-                        Display your phone number
-                      </Text>
-                    </Box>
-                  </Checkbox.Label>
-                </Checkbox.Root>
-
-                <Checkbox.Root
-                  checked={settings.includeAddress}
-                  onCheckedChange={() => handleToggle('includeAddress')}
+              {unreadable && (
+                <Box p={3} mb={4} bg="orange.50" borderRadius="md" borderWidth="1px" borderColor="orange.200">
+                  <Text fontSize="sm" color="orange.800">
+                    Your saved profiles could not be decrypted, so a default profile is shown. Saving here
+                    replaces them; see Vault settings for unreadable data.
+                  </Text>
+                </Box>
+              )}
+
+              <Flex gap={2} mb={4}>
+                <NativeSelectRoot size="sm" flex="1">
+                  <NativeSelectField
+                    value={editingId ?? ''}
+                    onChange={(e) => setEditingId(e.target.value)}
+                    aria-label="Profile to edit"
+                  >
+                    {profiles.map((p) => (
+                      <option key={p.id} value={p.id}>{p.label || 'Untitled'}</option>
+                    ))}
+                  </NativeSelectField>
+                </NativeSelectRoot>
+                <Button size="sm" variant="outline" onClick={handleAdd} data-action="add-receipt-profile">
+                  <Plus size={14} />
+                  <Text>New</Text>
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  colorPalette="red"
+                  onClick={handleDelete}
+                  disabled={profiles.length <= 1}
+                  aria-label="Delete profile"
                 >
-                  <Checkbox.HiddenInput />
-                  <Checkbox.Control />
-                  <Checkbox.Label>
-                    <Box>
-                      <Text fontWeight="medium">Include Address</Text>
-                      <Text fontSize="sm" color="gray.600">
-                        Display your mailing address
-                      </Text>
-                    </Box>
-                  </Checkbox.Label>
-                </Checkbox.Root>
-              </Stack>
+                  <Trash2 size={14} />
+                </Button>
+              </Flex>
+
+              {editing && (
+                <Stack gap={3}>
+                  <Field.Root required>
+                    <Field.Label>Profile Name</Field.Label>
+                    <Input
+                      size="sm"
+                      value={editing.label}
+                      onChange={(e) => updateEditing((p) => ({ ...p, label: e.target.value }))}
+                      maxLength={50}
+                      placeholder="e.g. Acme Corp"
+                    />
+                  </Field.Root>
+
+                  <Text fontSize="sm" color="gray.600">
+                    Check the fields to print on receipts. Empty fields use your NTTA account details where available.
+                  </Text>
+
+                  {receiptProfileFields.map(({ key, label, fromAccount }) => (
+                    <Flex key={key} gap={3} align="center">
+                      <Checkbox.Root
+                        checked={editing.fields[key].show}
+                        onCheckedChange={(e) => handleFieldChange(key, { show: !!e.checked })}
+                        minW="130px"
+                      >
+                        <Checkbox.HiddenInput />
+                        <Checkbox.Control />
+                        <Checkbox.Label>
+                          <Text fontSize="sm" fontWeight="medium">{label}</Text>
+                        </Checkbox.Label>
+                      </Checkbox.Root>
+                      <Input
+                        size="sm"
+                        value={editing.fields[key].value}
+                        onChange={(e) => handleFieldChange(key, { value: e.target.value })}
+                        maxLength={key === 'address' ? 200 : 100}
+                        placeholder={fromAccount ? 'From your NTTA account' : ''}
+                        aria-label={label}
+                      />
+                    </Flex>
+                  ))}
+
+                  <Stack gap={3} borderTopWidth="1px" pt={4} data-section="receipt-branding">
+                    <Text fontSize="sm" fontWeight="medium">Branding</Text>
+
+                    <Field.Root>
+                      <Field.Label>Company Logo</Field.Label>
+                      {editing.branding.logo ? (
+                        <Flex gap={3} align="center">
+                          <Image src={editing.branding.logo} alt="Company logo" maxH="40px" maxW="120px" />
+                          <Button size="xs" variant="outline" onClick={() => handleBrandingChange({ logo: null })}>
+                            Remove
+                          </Button>
+                        </Flex>
+                      ) : (
+                        <input
+                          type="file"
+                          accept="image/png,image/jpeg"
+                          onChange={handleLogoUpload}
+                          style={{ fontSize: '0.875rem' }}
+                        />
+                      )}
+                      <Field.HelperText>PNG or JPEG, kept on this device only</Field.HelperText>
+                    </Field.Root>
+
+                    <Field.Root>
+                      <Field.Label>Company Name</Field.Label>
+                      <Input
+                        size="sm"
+                        value={editing.branding.companyName}
+                        onChange={(e) => handleBrandingChange({ companyName: e.target.value })}
+                        maxLength={100}
+                      />
+                    </Field.Root>
+
+                    <Checkbox.Root
+                      checked={editing.branding.signatureBlock}
+                      onCheckedChange={(e) => handleBrandingChange({ signatureBlock: !!e.checked })}
+                    >
+                      <Checkbox.HiddenInput />
+                      <Checkbox.Control />
+                      <Checkbox.Label>
+                        <Box>
+                          <Text fontWeight="medium">Include Signature Block</Text>
+                          <Text fontSize="sm" color="gray.600">
+                            Add an employee attestation with employee and approver signature lines
+                          </Text>
+                        </Box>
+                      </Checkbox.Label>
+                    </Checkbox.Root>
+
+                    {editing.branding.signatureBlock && (
+                      <>
+                        <Field.Root>
+                          <Field.Label>Attestation</Field.Label>
+                          <Textarea
+                            size="sm"
+                            rows={3}
+                            value={editing.branding.attestation}
+                            onChange={(e) => handleBrandingChange({ attestation: e.target.value })}
+                            maxLength={500}
+                          />
+                        </Field.Root>
+                        <Field.Root>
+                          <Field.Label>Approver Name</Field.Label>
+                          <Input
+                            size="sm"
+                            value={editing.branding.approverName}
+                            onChange={(e) => handleBrandingChange({ approverName: e.target.value })}
+                            maxLength={100}
+                            placeholder="Manager who signs off"
+                          />
+                        </Field.Root>
+                      </>
+                    )}
+
+                    <Field.Root>
+                      <Field.Label>Footer Disclaimer</Field.Label>
+                      <Textarea
+                        size="sm"
+                        rows={2}
+                        value={editing.branding.footer}
+                        onChange={(e) => handleBrandingChange({ footer: e.target.value })}
+                        maxLength={500}
+                        placeholder="Printed at the bottom of every page"
+                      />
+                    </Field.Root>
+                  </Stack>
+
+                  <Stack gap={3} borderTopWidth="1px" pt={4} data-section="receipt-layout">
+                    <Text fontSize="sm" fontWeight="medium">Layout</Text>
+
+                    <Flex gap={2}>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Paper</Field.Label>
+                        <NativeSelectRoot size="sm">
+                          <NativeSelectField
+                            value={editing.layout.paperSize}
+                            onChange={(e) => handleLayoutChange({ paperSize: e.target.value })}
+                          >
+                            {receiptPaperSizes.map((option) => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </NativeSelectField>
+                        </NativeSelectRoot>
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Orientation</Field.Label>
+                        <NativeSelectRoot size="sm">
+                          <NativeSelectField
+                            value={editing.layout.orientation}
+                            onChange={(e) => handleLayoutChange({ orientation: e.target.value })}
+                          >
+                            {receiptOrientations.map((option) => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </NativeSelectField>
+                        </NativeSelectRoot>
+                      </Field.Root>
+                      <Field.Root>
+                        <Field.Label fontSize="sm">Table Font</Field.Label>
+                        <NativeSelectRoot size="sm">
+                          <NativeSelectField
+                            value={editing.layout.fontSize}
+                            onChange={(e) => handleLayoutChange({ fontSize: Number(e.target.value) })}
+                          >
+                            {receiptFontSizes.map((size) => (
+                              <option key={size} value={size}>{size} pt</option>
+                            ))}
+                          </NativeSelectField>
+                        </NativeSelectRoot>
+                      </Field.Root>
+                    </Flex>
+
+                    <Checkbox.Root
+                      checked={editing.layout.coverPage}
+                      onCheckedChange={(e) => handleLayoutChange({ coverPage: !!e.checked })}
+                    >
+                      <Checkbox.HiddenInput />
+                      <Checkbox.Control />
+                      <Checkbox.Label>
+                        <Box>
+                          <Text fontWeight="medium">Summary Cover Page</Text>
+                          <Text fontSize="sm" color="gray.600">
+                            List each business purpose with its subtotal and a grand total when several are selected
+                          </Text>
+                        </Box>
+                      </Checkbox.Label>
+                    </Checkbox.Root>
+
+                    <Text fontSize="sm" color="gray.600">
+                      Columns shown in the transaction table, in order
+                    </Text>
+                    <Stack gap={1} data-list="receipt-columns">
+                      {[
+                        ...editing.layout.columns,
+                        ...receiptColumns.map((c) => c.id).filter((id) => !editing.layout.columns.includes(id)),
+                      ].map((id) => {
+                        const column = receiptColumns.find((c) => c.id === id);
+                        const position = editing.layout.columns.indexOf(id);
+                        const isShown = position !== -1;
+                        return (
+                          <Flex key={id} align="center" justify="space-between" gap={2}>
+                            <Checkbox.Root
+                              checked={isShown}
+                              onCheckedChange={() => handleToggleColumn(id)}
+                              disabled={isShown && editing.layout.columns.length === 1}
+                            >
+                              <Checkbox.HiddenInput />
+                              <Checkbox.Control />
+                              <Checkbox.Label>
+                                <Text fontSize="sm">{column.label}</Text>
+                              </Checkbox.Label>
+                            </Checkbox.Root>
+                            {isShown && (
+                              <Flex gap={1}>
+                                <Button
+                                  size="xs"
+                                  variant="ghost"
+                                  onClick={() => handleMoveColumn(id, -1)}
+                                  disabled={position === 0}
+                                  aria-label={`Move ${column.label} up`}
+                                >
+                                  <ChevronUp size={14} />
+                                </Button>
+                                <Button
+                                  size="xs"
+                                  variant="ghost"
+                                  onClick={() => handleMoveColumn(id, 1)}
+                                  disabled={position === editing.layout.columns.length - 1}
+                                  aria-label={`Move ${column.label} down`}
+                                >
+                                  <ChevronDown size={14} />
+                                </Button>
+                              </Flex>
+                            )}
+                          </Flex>
+                        );
+                      })}
+                    </Stack>
+                  </Stack>
+                </Stack>
+              )}
+
+              {error && (
+                <Box mt={4} p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                  <Stack direction="row" align="center" gap={2}>
+                    <TriangleAlertIcon size={16} color="red" />
+                    <Text fontSize="sm" color="red.700">{error}</Text>
+                  </Stack>
+                </Box>
+              )}
             </Box>
+
+            <BackupRestore />
           </Stack>
         </Card.Body>
 
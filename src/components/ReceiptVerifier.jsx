@@ -0,0 +1,330 @@
+import { useState, useEffect, useRef } from 'react';
+import { format, parseISO } from 'date-fns';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Badge,
+  Input,
+} from '@chakra-ui/react';
+import { FileCheck, X, TriangleAlertIcon, Upload, RefreshCw } from 'lucide-react';
+import {
+  verifyReceipt,
+  VERIFY_MATCH,
+  VERIFY_MISMATCH,
+  VERIFY_MISSING,
+} from '../utils/receiptIntegrity';
+
+const STATUS_BADGES = {
+  [VERIFY_MATCH]: { label: 'Matches', colorPalette: 'green' },
+  [VERIFY_MISMATCH]: { label: 'Differs', colorPalette: 'red' },
+  [VERIFY_MISSING]: { label: 'Not cached', colorPalette: 'gray' },
+};
+
+const formatTripDate = (value) => (value ? format(parseISO(value), 'MMM d, yyyy h:mm a') : 'N/A');
+const formatDay = (value) => format(parseISO(value), 'MMM d, yyyy');
+
+// Overall result: differing data first, then incomplete
+const getSummary = (result) => {
+  if (result.counts.mismatch > 0) {
+    return { color: 'red', text: `${result.counts.mismatch} transaction(s) don't match cached NTTA data.` };
+  }
+  if (result.counts.missing > 0) {
+    return {
+      color: 'orange',
+      text: `${result.counts.match} transaction(s) match. ${result.counts.missing} couldn't be checked because ` +
+        "they aren't in the history cached on this device. That doesn't mean the receipt was changed: " +
+        'the cache only holds what was fetched here, for the accounts signed in, since the last logout.',
+    };
+  }
+  return { color: 'green', text: 'Matches cached NTTA data: every transaction is in the NTTA data on this device.' };
+};
+
+const normalizeCode = (value) => value.replace(/[^0-9a-f]/gi, '').toUpperCase();
+const parseTotal = (value) => parseFloat(value.replace(/[$,\s]/g, ''));
+
+// Compare what the user read off the printed receipt with the verified values;
+// null until something is entered
+const comparePrinted = (printed, verified, kind) => {
+  if (!printed.trim()) return null;
+  return kind === 'code'
+    ? normalizeCode(printed) === normalizeCode(verified)
+    : parseTotal(printed).toFixed(2) === verified.toFixed(2);
+};
+
+// `onFetchRange({ startDate, endDate })` loads a date range into the cache
+export default function ReceiptVerifier({ isOpen, onClose, onFetchRange }) {
+  const fileInputRef = useRef(null);
+  const [result, setResult] = useState(null);
+  const [file, setFile] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [fetching, setFetching] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [error, setError] = useState('');
+  const [printed, setPrinted] = useState({ code: '', total: '' });
+
+  useEffect(() => {
+    if (isOpen) {
+      setResult(null);
+      setFile(null);
+      setFileName('');
+      setError('');
+      setPrinted({ code: '', total: '' });
+    }
+  }, [isOpen]);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError('');
+    setResult(null);
+    setPrinted({ code: '', total: '' });
+    setFile(file);
+    setFileName(file.name);
+    setVerifying(true);
+    try {
+      setResult(await verifyReceipt(file));
+    } catch (err) {
+      setError(err.message || 'The receipt could not be verified');
+    } finally {
+      setVerifying(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  // Fetch the days the cache is missing, then check the same receipt again
+  const handleFetchMissing = async () => {
+    setError('');
+    setFetching(true);
+    try {
+      await onFetchRange(result.missingRange);
+      setResult(await verifyReceipt(file));
+    } catch (err) {
+      setError(err.message || 'The transactions could not be fetched');
+    } finally {
+      setFetching(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files?.[0]);
+  };
+
+  if (!isOpen) return null;
+
+  const summary = result && getSummary(result);
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1000}
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      p={4}
+      onClick={onClose}
+    >
+      <Card.Root
+        maxW="600px"
+        w="full"
+        maxH="90vh"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Flex align="center" gap={2}>
+              <FileCheck size={20} />
+              <Heading size="md">Verify Receipt</Heading>
+            </Flex>
+            <Button
+              onClick={onClose}
+              variant="ghost"
+              size="sm"
+              p={1}
+            >
+              <X size={20} />
+            </Button>
+          </Flex>
+          <Text fontSize="sm" color="gray.600" mt={2}>
+            Check that a receipt PDF generated by this app lists transactions that match the NTTA data
+            cached on this device. This is not proof the PDF wasn't edited: compare the code and total
+            printed on the receipt with the verified ones. Only transaction history fetched on this
+            device is checked, and logging out clears it, so fetch the receipt's dates first if needed.
+          </Text>
+        </Card.Header>
+
+        <Card.Body overflowY="auto">
+          <Stack gap={4}>
+            <Box
+              p={6}
+              borderWidth="2px"
+              borderStyle="dashed"
+              borderColor={isDragging ? 'blue.400' : 'gray.300'}
+              bg={isDragging ? 'blue.50' : undefined}
+              borderRadius="md"
+              textAlign="center"
+              cursor="pointer"
+              onClick={() => fileInputRef.current?.click()}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+              }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+              data-input="receipt-drop"
+            >
+              <Flex direction="column" align="center" gap={2}>
+                <Upload size={20} />
+                <Text fontSize="sm">
+                  {verifying ? `Verifying ${fileName}...` : 'Drop a receipt PDF here, or click to choose one'}
+                </Text>
+              </Flex>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/pdf,.pdf"
+                onChange={(e) => handleFile(e.target.files?.[0])}
+                style={{ display: 'none' }}
+              />
+            </Box>
+
+            {error && (
+              <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                <Stack direction="row" align="center" gap={2}>
+                  <TriangleAlertIcon size={16} color="red" />
+                  <Text fontSize="sm" color="red.700">{error}</Text>
+                </Stack>
+              </Box>
+            )}
+
+            {result && (
+              <>
+                <Box
+                  p={3}
+                  bg={`${summary.color}.50`}
+                  borderRadius="md"
+                  borderWidth="1px"
+                  borderColor={`${summary.color}.200`}
+                  data-section="verification-summary"
+                >
+                  <Text fontSize="sm" fontWeight="medium" color={`${summary.color}.800`}>
+                    {summary.text}
+                  </Text>
+                  <Text fontSize="sm" mt={2}>
+                    {result.entries.length} transaction(s)
+                    {result.generatedAt && `, generated ${format(parseISO(result.generatedAt), 'MMM d, yyyy h:mm a')}`}
+                  </Text>
+                  {result.missingRange && onFetchRange && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      mt={3}
+                      onClick={handleFetchMissing}
+                      loading={fetching}
+                      disabled={verifying}
+                      data-action="fetch-missing"
+                    >
+                      <Flex align="center" gap={2}>
+                        <RefreshCw size={14} />
+                        <Text>
+                          Fetch {result.missingRange.startDate === result.missingRange.endDate
+                            ? formatDay(result.missingRange.startDate)
+                            : `${formatDay(result.missingRange.startDate)} - ${formatDay(result.missingRange.endDate)}`}
+                          {' '}and verify again
+                        </Text>
+                      </Flex>
+                    </Button>
+                  )}
+                </Box>
+
+                <Stack gap={2} data-section="printed-comparison">
+                  <Flex gap={3} fontSize="xs" color="gray.600" fontWeight="medium">
+                    <Text minW="60px" />
+                    <Text flex={1}>Printed on the receipt</Text>
+                    <Text flex={1}>Verified</Text>
+                    <Box minW="70px" />
+                  </Flex>
+                  {[
+                    { kind: 'code', label: 'Code', placeholder: 'e.g. 3FA9C-07B21', verified: result.code, shown: result.code },
+                    { kind: 'total', label: 'Total', placeholder: 'e.g. 42.50', verified: result.total, shown: `$${result.total.toFixed(2)}` },
+                  ].map(({ kind, label, placeholder, verified, shown }) => {
+                    const matches = comparePrinted(printed[kind], verified, kind);
+                    return (
+                      <Flex key={kind} gap={3} align="center" fontSize="sm">
+                        <Text minW="60px" fontWeight="medium">{label}</Text>
+                        <Input
+                          flex={1}
+                          size="sm"
+                          value={printed[kind]}
+                          onChange={(e) => setPrinted((prev) => ({ ...prev, [kind]: e.target.value }))}
+                          maxLength={20}
+                          placeholder={placeholder}
+                          data-input={`printed-${kind}`}
+                        />
+                        <Text flex={1} fontWeight="medium">{shown}</Text>
+                        <Box minW="70px">
+                          {matches !== null && (
+                            <Badge colorPalette={matches ? 'green' : 'red'} variant="subtle" size="sm">
+                              {matches ? 'Matches' : 'Differs'}
+                            </Badge>
+                          )}
+                        </Box>
+                      </Flex>
+                    );
+                  })}
+                  <Text fontSize="xs" color="gray.600">
+                    Enter the code from any page footer and the grand total (or the sum of the receipt totals).
+                  </Text>
+                </Stack>
+
+                <Stack gap={1} data-list="verified-transactions">
+                  {result.entries.map((entry) => {
+                    const badge = STATUS_BADGES[entry.status];
+                    return (
+                      <Flex
+                        key={entry.id}
+                        justify="space-between"
+                        align="center"
+                        gap={3}
+                        py={1}
+                        borderBottomWidth="1px"
+                        fontSize="sm"
+                      >
+                        <Box>
+                          <Text>{formatTripDate(entry.date)}</Text>
+                          <Text fontSize="xs" color="gray.600">Trip #{entry.id}</Text>
+                          {entry.status === VERIFY_MISMATCH && (
+                            <Text fontSize="xs" color="red.700">
+                              NTTA: {formatTripDate(entry.cachedDate)}, ${entry.cachedAmount}
+                            </Text>
+                          )}
+                        </Box>
+                        <Flex align="center" gap={3}>
+                          <Text fontWeight="medium">${entry.amount}</Text>
+                          <Badge colorPalette={badge.colorPalette} variant="subtle" size="sm">
+                            {badge.label}
+                          </Badge>
+                        </Flex>
+                      </Flex>
+                    );
+                  })}
+                </Stack>
+              </>
+            )}
+          </Stack>
+        </Card.Body>
+      </Card.Root>
+    </Box>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Input,
+  Field,
+} from '@chakra-ui/react';
+import { LockKeyhole, TriangleAlertIcon } from 'lucide-react';
+import { usePrivacyMode } from '../contexts/PrivacyModeContext';
+import { authenticate } from '../utils/api';
+
+export default function SessionRenewalModal({ isOpen, username, accountId, onRenewed, onLogout }) {
+  const { maskData } = usePrivacyMode();
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setPassword('');
+      setError('');
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) {
+      setError('Password is required');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authenticate(username, password, false);
+
+      if (!response.accessToken) {
+        throw new Error('Authentication failed');
+      }
+      if (String(response.AccountId) !== String(accountId)) {
+        throw new Error('Please sign in with the same NTTA account');
+      }
+
+      setPassword('');
+      onRenewed(response);
+    } catch (err) {
+      setError(err.message || 'Authentication failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1100}
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      p={4}
+    >
+      <Card.Root maxW="400px" w="full">
+        <form onSubmit={handleSubmit}>
+          <Card.Header>
+            <Flex align="center" gap={2}>
+              <LockKeyhole size={20} />
+              <Heading size="md">Session Expired</Heading>
+            </Flex>
+            <Text fontSize="sm" color="gray.600" mt={2}>
+              Your NTTA session has expired. Enter your password to continue where
+              you left off.
+            </Text>
+          </Card.Header>
+
+          <Card.Body>
+            <Stack gap={4}>
+              <Field.Root>
+                <Field.Label>Username</Field.Label>
+                <Input value={maskData(username, 'name')} disabled />
+              </Field.Root>
+
+              <Field.Root required>
+                <Field.Label>Password</Field.Label>
+                <Input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                  autoComplete="current-password"
+                  autoFocus
+                />
+              </Field.Root>
+
+              {error && (
+                <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                  <Stack direction="row" align="center" gap={2}>
+                    <TriangleAlertIcon size={16} color="red" />
+                    <Text fontSize="sm" color="red.700">{error}</Text>
+                  </Stack>
+                </Box>
+              )}
+            </Stack>
+          </Card.Body>
+
+          <Card.Footer>
+            <Flex justify="flex-end" w="full" gap={2}>
+              <Button
+                onClick={onLogout}
+                variant="outline"
+                disabled={loading}
+              >
+                Log Out
+              </Button>
+              <Button
+                type="submit"
+                colorPalette="blue"
+                loading={loading}
+                loadingText="Signing in..."
+              >
+                Continue
+              </Button>
+            </Flex>
+          </Card.Footer>
+        </form>
+      </Card.Root>
+    </Box>
+  );
+}
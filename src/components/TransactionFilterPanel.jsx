@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import {
+  Box,
+  Text,
+  Button,
+  Stack,
+  Flex,
+  Grid,
+  Badge,
+  Checkbox,
+  Collapsible,
+  Spinner,
+} from '@chakra-ui/react';
+import { Filter, ChevronDown, ChevronUp, TriangleAlertIcon } from 'lucide-react';
+import { usePrivacyMode } from '../contexts/PrivacyModeContext';
+import { EMPTY_FILTERS, countFilters } from '../utils/transactionFilters';
+
+// One column of checkboxes for a filter field
+function FilterGroup({ title, options, selected, onToggle, emptyText }) {
+  return (
+    <Box>
+      <Text fontSize="sm" fontWeight="medium" mb={2}>{title}</Text>
+      {options.length === 0 ? (
+        <Text fontSize="xs" color="gray.600">{emptyText}</Text>
+      ) : (
+        <Stack gap={1} maxH="180px" overflowY="auto">
+          {options.map((option) => (
+            <Checkbox.Root
+              key={option.value}
+              checked={selected.includes(option.value)}
+              onCheckedChange={() => onToggle(option.value)}
+              size="sm"
+            >
+              <Checkbox.HiddenInput />
+              <Checkbox.Control />
+              <Checkbox.Label>
+                <Text fontSize="sm">{option.label}</Text>
+              </Checkbox.Label>
+            </Checkbox.Root>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+}
+
+export default function TransactionFilterPanel({
+  filters = EMPTY_FILTERS,
+  onChange,
+  tollTypes = [],
+  plates = [],
+  transponders = [],
+  loading,
+  error,
+  getPlateName = (plate) => plate,
+}) {
+  const { maskData } = usePrivacyMode();
+  const activeCount = countFilters(filters);
+  const [isOpen, setIsOpen] = useState(activeCount > 0);
+
+  const toggleValue = (field, value) => {
+    const current = filters[field] || [];
+    onChange({
+      ...filters,
+      [field]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value],
+    });
+  };
+
+  const getMaskedPlateName = (plate) => {
+    const name = getPlateName(plate);
+    return name !== plate ? name : maskData(plate, 'vehicle');
+  };
+
+  const typeOptions = tollTypes.map((type) => ({ value: type.value, label: type.label || type.value }));
+  const plateOptions = plates.map((p) => ({
+    value: p.value,
+    label: `${getMaskedPlateName(p.value)}${p.vehicleStatus === 'Inactive' ? ' (inactive)' : ''}`,
+  }));
+  const tagOptions = transponders.map((tag) => ({
+    value: tag.tagId,
+    label: `${tag.agency ? `${tag.agency} ` : ''}${maskData(tag.tagId, 'tag')}` +
+      (tag.vehicles.length > 0 ? ` - ${tag.vehicles.map((v) => getMaskedPlateName(v.plate)).join(', ')}` : ''),
+  }));
+
+  return (
+    <Box borderWidth="1px" borderRadius="md" data-section="transaction-filters">
+      <Flex
+        justify="space-between"
+        align="center"
+        p={3}
+        cursor="pointer"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <Flex align="center" gap={2}>
+          <Filter size={16} />
+          <Text fontSize="sm" fontWeight="medium">Filters</Text>
+          {activeCount > 0 && (
+            <Badge colorPalette="blue" variant="solid" size="sm">{activeCount}</Badge>
+          )}
+          <Text fontSize="xs" color="gray.600" display={{ base: 'none', sm: 'inline' }}>
+            Applied by NTTA, so only matching transactions are downloaded
+          </Text>
+        </Flex>
+        <Flex align="center" gap={2}>
+          {activeCount > 0 && (
+            <Button
+              size="xs"
+              variant="ghost"
+              onClick={(e) => {
+                e.stopPropagation();
+                onChange(EMPTY_FILTERS);
+              }}
+              data-action="clear-filters"
+            >
+              Clear
+            </Button>
+          )}
+          {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+        </Flex>
+      </Flex>
+
+      <Collapsible.Root open={isOpen}>
+        <Collapsible.Content>
+          <Box px={3} pb={3}>
+            {error && (
+              <Box p={2} mb={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                <Stack direction="row" align="center" gap={2}>
+                  <TriangleAlertIcon size={14} color="red" />
+                  <Text fontSize="xs" color="red.700">{error}</Text>
+                </Stack>
+              </Box>
+            )}
+            {loading ? (
+              <Flex justify="center" py={4}>
+                <Spinner size="md" color="blue.500" />
+              </Flex>
+            ) : (
+              <Grid templateColumns={{ base: '1fr', md: 'repeat(3, 1fr)' }} gap={4}>
+                <FilterGroup
+                  title="Transaction Types"
+                  options={typeOptions}
+                  selected={filters.trnsTypes || []}
+                  onToggle={(value) => toggleValue('trnsTypes', value)}
+                  emptyText="No transaction types available"
+                />
+                <FilterGroup
+                  title="License Plates"
+                  options={plateOptions}
+                  selected={filters.plates || []}
+                  onToggle={(value) => toggleValue('plates', value)}
+                  emptyText="No plates found on this account"
+                />
+                <FilterGroup
+                  title="TollTags"
+                  options={tagOptions}
+                  selected={filters.transponders || []}
+                  onToggle={(value) => toggleValue('transponders', value)}
+                  emptyText="No tags found on this account"
+                />
+              </Grid>
+            )}
+          </Box>
+        </Collapsible.Content>
+      </Collapsible.Root>
+    </Box>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { format, parseISO } from 'date-fns';
 import {
   Box,
@@ -18,11 +18,20 @@ import {
   Checkbox,
   Collapsible,
   IconButton,
+  Badge,
 } from '@chakra-ui/react';
 import AccountInfo from './AccountInfo';
 import ReceiptSettings from './ReceiptSettings';
+import BusinessPurposeEditor from './BusinessPurposeEditor';
+import PurposeRulesSettings from './PurposeRulesSettings';
+import VaultSettings from './VaultSettings';
+import ReceiptVerifier from './ReceiptVerifier';
+import VehicleManager from './VehicleManager';
+import TransponderPanel from './TransponderPanel';
+import NotificationsDrawer from './NotificationsDrawer';
+import TransactionFilterPanel from './TransactionFilterPanel';
 import { datePresets, formatDateForInput, getDefaultDateRange } from '../utils/dateUtils';
-import { TriangleAlertIcon, ChevronDown, ChevronUp, ChevronRight, Settings, Eye, EyeOff } from 'lucide-react';
+import { TriangleAlertIcon, ChevronDown, ChevronUp, ChevronRight, Settings, Eye, EyeOff, FileText, FileSpreadsheet, Download, NotebookPen, Wand2, Check, Car, Bell, ShieldCheck, Lock, FileCheck } from 'lucide-react';
 import { toaster } from '../utils/toaster';
 import { usePrivacyMode } from '../contexts/PrivacyModeContext';
 import {
@@ -30,9 +39,56 @@ import {
   cacheTransactions,
   mergeWithCache,
   clearTransactionCache,
+  getMissingIntervals,
 } from '../utils/transactionCache';
-
-export default function TransactionViewer({ user, accountSummary, onLogout }) {
+import {
+  saveBusinessPurpose,
+  queueBusinessPurposeSave,
+  flushBusinessPurposeSaves,
+  restoreBusinessPurposes,
+  PURPOSE_TYPE_TRIP,
+  PURPOSE_TYPE_GROUP,
+} from '../utils/businessPurposeStore';
+import { getPurposeRules, applyPurposeRules, getTransactionGroupKey } from '../utils/purposeRules';
+import { expenseFormats, expenseGranularities, generateExpenseExport } from '../utils/expenseExport';
+import { getAccountLabel } from '../utils/accountSession';
+import { spansMultipleAccounts } from '../utils/receiptData';
+import {
+  getVehicleProfiles,
+  getVehicleProfile,
+  OWNERSHIP_PERSONAL,
+  OWNERSHIP_COMPANY,
+} from '../utils/vehicleStore';
+import { buildTransponderList, getTagTotals } from '../utils/transponders';
+import { getNotificationReads, setNotificationsRead, getUnreadCount } from '../utils/notifications';
+import {
+  EMPTY_FILTERS,
+  hasFilters,
+  countFilters,
+  getSingleTag,
+} from '../utils/transactionFilters';
+import { planDateWindows, fetchInWindows, isInWindow, formatWindow } from '../utils/rangePlanner';
+import { validateDateRange } from '../utils/validation';
+import { isVaultEnabled } from '../utils/vault';
+import { getReceiptProfiles, selectReceiptProfile } from '../utils/receiptProfiles';
+import {
+  getBalanceHistory,
+  recordBalanceSnapshot,
+  getDailySpend,
+  getWarningDays,
+  saveWarningDays,
+} from '../utils/balance';
+
+export default function TransactionViewer({
+  user,
+  accountSummary,
+  accounts = [],
+  onSwitchAccount,
+  onAddAccount,
+  onSignOutAccount,
+  onLogout,
+  onLock,
+}) {
   const { isPrivacyMode, togglePrivacyMode, maskData } = usePrivacyMode();
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
@@ -45,13 +101,179 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
   const [groupBy, setGroupBy] = useState('day'); // 'day', 'trip', or 'none'
   const [expandedGroups, setExpandedGroups] = useState(new Set());
   const [showSettings, setShowSettings] = useState(false);
+  const [receiptProfiles, setReceiptProfiles] = useState({ profiles: [], selectedId: null });
+  const [showPurposeEditor, setShowPurposeEditor] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [showVault, setShowVault] = useState(false);
+  const [showVerifier, setShowVerifier] = useState(false);
+  const [vaultEnabled, setVaultEnabled] = useState(isVaultEnabled());
+  const [autoPurposes, setAutoPurposes] = useState({}); // Purposes filled in by rules, pending confirmation
+  const [expenseFormatId, setExpenseFormatId] = useState(expenseFormats[0].id);
+  const [expenseGranularity, setExpenseGranularity] = useState('transaction');
+  const [includeAllAccounts, setIncludeAllAccounts] = useState(false); // Combine every signed in account
+  const [showVehicles, setShowVehicles] = useState(false);
+  const [vehicleProfiles, setVehicleProfiles] = useState({}); // { [accountId]: { [plate]: profile } }
+  const [vehicleFilter, setVehicleFilter] = useState('all'); // 'all', 'ownership:<type>' or 'plate:<plate>'
+  const [transponders, setTransponders] = useState([]);
+  const [transpondersLoading, setTranspondersLoading] = useState(true);
+  const [transpondersError, setTranspondersError] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // { trnsTypes, plates, transponders } sent to NTTA with the next fetch
+  const [loadedFilters, setLoadedFilters] = useState(EMPTY_FILTERS); // Filters the loaded transactions were fetched with
+  const [tollTypes, setTollTypes] = useState([]);
+  const [accountPlates, setAccountPlates] = useState([]);
+  const [filterOptionsLoading, setFilterOptionsLoading] = useState(true);
+  const [filterOptionsError, setFilterOptionsError] = useState('');
+  const [fetchProgress, setFetchProgress] = useState(null); // { accountId, windowIndex, windowCount, pagesFetched, totalPages, transactionCount }
+  const [fetchFailures, setFetchFailures] = useState([]); // [{ accountId, window, message }] for windows that failed to load
+  const fetchControllerRef = useRef(null); // AbortController of the fetch in progress
+  const [loadedRange, setLoadedRange] = useState(null); // { startDate, endDate } of the loaded transactions
+  const [balance, setBalance] = useState(null);
+  const [balanceHistory, setBalanceHistory] = useState([]);
+  const [warningDays, setWarningDays] = useState(getWarningDays);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [notificationReads, setNotificationReads] = useState({}); // { [notificationId]: isRead }, kept locally
+  const [notificationsLoading, setNotificationsLoading] = useState(true);
+  const [notificationsError, setNotificationsError] = useState('');
+
+  const isMultiAccount = accounts.length > 1;
+  const isCombinedView = isMultiAccount && includeAllAccounts;
+  const showsMultipleAccounts = spansMultipleAccounts(transactions);
 
   useEffect(() => {
     const defaultRange = getDefaultDateRange();
     setStartDate(formatDateForInput(defaultRange.startDate));
     setEndDate(formatDateForInput(defaultRange.endDate));
+
+    // Stop paging when the viewer goes away (logout, account switch), and save
+    // purposes still queued from typing
+    return () => {
+      fetchControllerRef.current?.abort();
+      flushBusinessPurposeSaves();
+    };
   }, []);
 
+  // A new date range makes the fetch in progress stale, so cancel it
+  useEffect(() => {
+    fetchControllerRef.current?.abort();
+  }, [startDate, endDate]);
+
+  // Vehicle nicknames for every signed in account (combined lists can mix accounts)
+  const loadVehicleProfiles = async () => {
+    const profiles = {};
+    for (const account of (accounts.length > 0 ? accounts : [user])) {
+      profiles[account.userId] = await getVehicleProfiles(account.userId);
+    }
+    setVehicleProfiles(profiles);
+  };
+
+  useEffect(() => {
+    loadVehicleProfiles();
+  }, [accounts.length]);
+
+  // The account's TollTags and the vehicles they are linked to
+  useEffect(() => {
+    const loadTransponders = async () => {
+      try {
+        const { fetchTransponders, fetchVehicles } = await import('../utils/api');
+        const [tags, vehicles] = await Promise.all([
+          fetchTransponders(user.userId, user.accessToken),
+          fetchVehicles(user.userId, user.accessToken),
+        ]);
+        setTransponders(buildTransponderList(tags, vehicles));
+      } catch (err) {
+        setTranspondersError(err.message || 'Failed to fetch transponders');
+      } finally {
+        setTranspondersLoading(false);
+      }
+    };
+
+    loadTransponders();
+  }, [user.userId]);
+
+  // Transaction types and plates the history can be filtered by
+  useEffect(() => {
+    const loadFilterOptions = async () => {
+      try {
+        const { fetchTollTypes, fetchCustomerPlates } = await import('../utils/api');
+        const [types, plates] = await Promise.all([
+          fetchTollTypes(user.userId, user.accessToken),
+          fetchCustomerPlates(user.userId, user.accessToken),
+        ]);
+        setTollTypes(types);
+        // The same plate can be listed once per state; NTTA filters by number only
+        setAccountPlates(plates.filter((p, i) => p.value && plates.findIndex((o) => o.value === p.value) === i));
+      } catch (err) {
+        setFilterOptionsError(err.message || 'Failed to load filter options');
+      } finally {
+        setFilterOptionsLoading(false);
+      }
+    };
+
+    loadFilterOptions();
+  }, [user.userId]);
+
+  // Receipt profiles, e.g. one per employer or client
+  useEffect(() => {
+    getReceiptProfiles().then(setReceiptProfiles);
+  }, []);
+
+  const handleReceiptProfileChange = (selectedId) => {
+    setReceiptProfiles((prev) => ({ ...prev, selectedId }));
+    selectReceiptProfile(selectedId);
+  };
+
+  // Current balance, stored as a daily snapshot for the balance trend
+  useEffect(() => {
+    const loadBalance = async () => {
+      let current = null;
+      try {
+        const { fetchBalance } = await import('../utils/api');
+        current = await fetchBalance(user.userId, user.accessToken);
+        setBalance(current);
+      } catch (err) {
+        console.error('Balance fetch error (non-critical):', err);
+      }
+
+      const tollBalance = current?.TollBalance ?? accountSummary?.TollBal;
+      setBalanceHistory(typeof tollBalance === 'number'
+        ? await recordBalanceSnapshot(user.userId, tollBalance)
+        : await getBalanceHistory(user.userId));
+    };
+
+    loadBalance();
+  }, [user.userId]);
+
+  // Account notices from the customer portal (expiring card, suspended tag, invoice due)
+  const loadNotifications = async () => {
+    setNotificationsLoading(true);
+    setNotificationsError('');
+    try {
+      const { fetchNotifications } = await import('../utils/api');
+      setNotifications(await fetchNotifications(user.userId, user.accessToken));
+    } catch (err) {
+      setNotificationsError(err.message || 'Failed to fetch notifications');
+    } finally {
+      setNotificationReads(await getNotificationReads(user.userId));
+      setNotificationsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadNotifications();
+  }, [user.userId]);
+
+  const handleSetNotificationsRead = async (notificationIds, isRead) => {
+    setNotificationReads(await setNotificationsRead(user.userId, notificationIds, isRead));
+  };
+
+  const unreadNotificationCount = getUnreadCount(notifications, notificationReads);
+
+  const handleWarningDaysChange = (days) => {
+    saveWarningDays(days);
+    setWarningDays(days);
+  };
+
   const handlePresetChange = (value) => {
     setDatePreset(value);
     if (value === 'custom') {
@@ -66,24 +288,150 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
     }
   };
 
-  const handleFetchTransactions = async () => {
+  // Tag transactions with the account they were loaded from, so combined
+  // receipts can label each line and purposes are saved to the right account
+  const tagSourceAccount = (transactionList, account) => {
+    return transactionList.map((t) => ({
+      ...t,
+      SourceAccountId: account.userId,
+      SourceAccountName: getAccountLabel(account),
+    }));
+  };
+
+  const getSourceAccountId = (transaction) => transaction.SourceAccountId ?? user.userId;
+
+  // Newest first, matching the API order when several accounts are combined
+  const sortByTripDate = (transactionList) => {
+    return [...transactionList].sort((a, b) =>
+      (b.Entry_TripDateTime || '').localeCompare(a.Entry_TripDateTime || '')
+    );
+  };
+
+  const getTransactionVehicleProfile = (transaction) => {
+    return getVehicleProfile(vehicleProfiles[getSourceAccountId(transaction)], transaction.VehicleNumber);
+  };
+
+  // Nickname if one is set, otherwise the plate
+  const getVehicleName = (transaction) => {
+    return getTransactionVehicleProfile(transaction)?.nickname || transaction.VehicleNumber || 'N/A';
+  };
+
+  // Plate names for group keys, which only carry the plate
+  const getPlateName = (plate) => {
+    const profileSets = [vehicleProfiles[user.userId], ...Object.values(vehicleProfiles)];
+    const profile = profileSets.map((profiles) => getVehicleProfile(profiles, plate)).find(Boolean);
+    return profile?.nickname || plate;
+  };
+
+  const matchesVehicleFilter = (transaction, filter) => {
+    if (filter === 'all') return true;
+    const [type, value] = filter.split(/:(.*)/);
+    if (type === 'plate') return transaction.VehicleNumber === value;
+    return getTransactionVehicleProfile(transaction)?.ownership === value;
+  };
+
+  const visibleTransactions = transactions.filter((t) => matchesVehicleFilter(t, vehicleFilter));
+
+  // Daily spend of the active account's loaded tolls (not meaningful for a filtered list)
+  const spendForecast = hasFilters(loadedFilters) || !loadedRange
+    ? null
+    : getDailySpend(
+      transactions.filter((t) => String(getSourceAccountId(t)) === String(user.userId)),
+      loadedRange.startDate,
+      loadedRange.endDate
+    );
+
+  // Plates in the loaded transactions, for the vehicle filter and editor
+  const transactionPlates = [...new Set(transactions.map((t) => t.VehicleNumber).filter(Boolean))].sort();
+
+  const handleVehicleFilterChange = (value) => {
+    setVehicleFilter(value);
+    // Only transactions that are still shown stay selected
+    setSelectedTransactions((prev) => new Set(
+      transactions
+        .filter((t) => prev.has(t.CustomerTripId) && matchesVehicleFilter(t, value))
+        .map((t) => t.CustomerTripId)
+    ));
+  };
+
+  // Filter by tag from the TollTags panel and refetch right away
+  const handleTagFilterFromPanel = (tagId) => {
+    const nextFilters = { ...filters, transponders: tagId ? [tagId] : [] };
+    setFilters(nextFilters);
+    handleFetchTransactions({ filters: nextFilters });
+  };
+
+  const groupBySourceAccount = (transactionList) => {
+    return transactionList.reduce((acc, t) => {
+      const accountId = getSourceAccountId(t);
+      if (!acc[accountId]) {
+        acc[accountId] = [];
+      }
+      acc[accountId].push(t);
+      return acc;
+    }, {});
+  };
+
+  // Restore saved purposes for the given transactions and fill the rest from rules
+  const loadBusinessPurposes = async (transactionList) => {
+    // Purposes are stored per account, so restore each account's own
+    let restored = {};
+    for (const [accountId, accountTransactions] of Object.entries(groupBySourceAccount(transactionList))) {
+      restored = { ...restored, ...(await restoreBusinessPurposes(accountId, accountTransactions)) };
+    }
+    const rules = await getPurposeRules();
+    const { purposes, matches } = applyPurposeRules(rules, transactionList, restored);
+
+    setBusinessPurposes({ ...restored, ...purposes });
+    setAutoPurposes(matches);
+  };
+
+  // `activeFilters` overrides the filter panel, for fetches started from the TollTags panel;
+  // `range` overrides the date inputs, for fetches started from the receipt verifier
+  const handleFetchTransactions = async ({ filters: activeFilters = filters, range = { startDate, endDate } } = {}) => {
+    const { startDate, endDate } = range;
     if (!startDate || !endDate) {
       setError('Please select both start and end dates');
       return;
     }
 
+    const rangeValidation = validateDateRange(startDate, endDate);
+    if (!rangeValidation.valid) {
+      setError(rangeValidation.error);
+      return;
+    }
+
+    // Starting a new fetch cancels the one in progress
+    fetchControllerRef.current?.abort();
+    const controller = new AbortController();
+    fetchControllerRef.current = controller;
+    const isCurrentFetch = () => fetchControllerRef.current === controller && !controller.signal.aborted;
+
     setError('');
     setLoading(true);
+    setFetchProgress(null);
+    setFetchFailures([]);
+
+    // The active account, or every signed in account in the combined view
+    const searchAccounts = isCombinedView ? accounts : [user];
 
     try {
       let fromCache = false;
-      let cached = [];
+      const cached = [];
+      const cachedByAccount = {};
 
       // Try to get cached transactions (non-blocking)
       try {
-        cached = getCachedTransactions(startDate, endDate);
-        if (cached && cached.length > 0) {
-          setTransactions(cached);
+        for (const account of searchAccounts) {
+          // The cache can hold tolls outside the filter, so apply it the way NTTA does
+          const accountCached = await getCachedTransactions(account.userId, startDate, endDate, activeFilters);
+          const matchingCached = tagSourceAccount(accountCached || [], account);
+          cachedByAccount[account.userId] = matchingCached;
+          cached.push(...matchingCached);
+        }
+        if (cached.length > 0) {
+          setTransactions(sortByTripDate(cached));
+          await loadBusinessPurposes(cached);
           fromCache = true;
 
           // Show a quick notification that we're using cached data
@@ -98,53 +446,154 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
         console.error('Cache read error (non-critical):', cacheError);
       }
 
-      // Always fetch fresh data from the API
+      // Superseded while reading the cache
+      if (!isCurrentFetch()) return;
+
+      // Fetch fresh data from the API, each account with its own token. Only the
+      // parts of the range missing from the cache or stale are fetched (in windows
+      // for long gaps), then merged with the cached rest of the range
       const { fetchTransactions } = await import('../utils/api');
-      const freshData = await fetchTransactions(
-        user.userId,
-        user.accessToken,
-        new Date(startDate),
-        new Date(endDate)
-      );
+      const freshData = [];
+      const failures = [];
+      const failedAccountErrors = [];
+      let fetchedWindowCount = 0;
+      for (const account of searchAccounts) {
+        let gaps = [{ startDate, endDate }];
+        try {
+          gaps = await getMissingIntervals(account.userId, startDate, endDate, activeFilters);
+        } catch (cacheError) {
+          console.error('Cache coverage check error (non-critical):', cacheError);
+        }
 
-      // Try to cache the fresh data (non-blocking)
-      try {
-        cacheTransactions(freshData);
-      } catch (cacheError) {
-        console.error('Cache write error (non-critical):', cacheError);
-      }
+        const windows = gaps.flatMap((gap) => planDateWindows(gap.startDate, gap.endDate));
+        const fetchedWindows = [];
+        const streamed = [];
+
+        const fetchWindow = async (window, windowIndex) => {
+          const windowData = await fetchTransactions(
+            account.userId,
+            account.accessToken,
+            parseISO(window.startDate),
+            parseISO(window.endDate),
+            activeFilters,
+            {
+              signal: controller.signal,
+              onProgress: (progress) => {
+                if (!isCurrentFetch()) return;
+                // Show each page as it arrives, with the cache and the data already fetched
+                streamed.push(...tagSourceAccount(progress.transactions, account));
+                setTransactions(sortByTripDate(mergeWithCache([...freshData, ...streamed], cached)));
+                setFetchProgress({
+                  accountId: searchAccounts.length > 1 ? String(account.userId) : '',
+                  windowIndex,
+                  windowCount: windows.length,
+                  pagesFetched: progress.pagesFetched,
+                  totalPages: progress.totalPages,
+                  transactionCount: freshData.length + streamed.length,
+                });
+              },
+            }
+          );
+
+          // Try to cache the fresh data (non-blocking); only windows that loaded count as covered
+          try {
+            cacheTransactions(account.userId, windowData, {
+              startDate: window.startDate,
+              endDate: window.endDate,
+              filters: activeFilters,
+            });
+          } catch (cacheError) {
+            console.error('Cache write error (non-critical):', cacheError);
+          }
 
-      // Try to merge with cache if we had cached data
-      let finalData = freshData;
-      if (fromCache && cached.length > 0) {
+          fetchedWindows.push(window);
+          return tagSourceAccount(windowData, account);
+        };
+
+        let accountData = [];
         try {
-          finalData = mergeWithCache(freshData, cached);
-        } catch (mergeError) {
-          console.error('Merge error (non-critical):', mergeError);
-          finalData = freshData; // Fall back to fresh data
+          const { transactions, failures: accountFailures } = await fetchInWindows(windows, fetchWindow);
+          accountData = transactions;
+          failures.push(...accountFailures.map(({ window, error }) => ({
+            accountId: String(account.userId),
+            window,
+            message: error.message || 'Failed to fetch transactions',
+          })));
+        } catch (accountError) {
+          if (accountError.name === 'AbortError') throw accountError;
+          // Every window of this account failed (e.g. its session expired); report it
+          // like a partial failure so the other accounts' data is still shown
+          failedAccountErrors.push(accountError);
+          failures.push(...windows.map((window) => ({
+            accountId: String(account.userId),
+            window,
+            message: accountError.message || 'Failed to fetch transactions',
+          })));
         }
+        fetchedWindowCount += fetchedWindows.length;
+
+        // Cached trips in a refetched window are replaced by what NTTA returned now,
+        // so voided trips drop out; the rest of the range comes from the cache
+        const keptCached = (cachedByAccount[account.userId] || [])
+          .filter((t) => !fetchedWindows.some((window) => isInWindow(t, window)));
+        freshData.push(...mergeWithCache(accountData, keptCached));
       }
 
+      // Nothing could be loaded for any account
+      if (failedAccountErrors.length > 0 && failedAccountErrors.length === searchAccounts.length) {
+        throw failedAccountErrors[0];
+      }
+      setFetchFailures(failures);
+
+      const finalData = sortByTripDate(freshData);
       setTransactions(finalData);
+      setLoadedFilters(activeFilters);
+      setLoadedRange({ startDate, endDate });
+
+      // A plate filter only applies while that plate is in the list
+      setVehicleFilter((prev) => (
+        prev.startsWith('plate:') && !finalData.some((t) => `plate:${t.VehicleNumber}` === prev) ? 'all' : prev
+      ));
 
       // Initialize with no transactions selected
       setSelectedTransactions(new Set());
 
       // Business purposes can be per-transaction or per-group
-      // We'll initialize with empty strings and populate based on grouping mode
-      setBusinessPurposes({});
-
-      const message = fromCache && freshData.length === cached.length
-        ? `${finalData.length} transaction${finalData.length !== 1 ? 's' : ''} (up to date)`
-        : `Found ${finalData.length} transaction${finalData.length !== 1 ? 's' : ''}${fromCache ? ' (updated)' : ''}`;
+      // Restore any purposes saved earlier for these transactions, then apply rules
+      await loadBusinessPurposes(finalData);
+
+      const singleTag = getSingleTag(activeFilters);
+      const filterCount = countFilters(activeFilters);
+      const filterNote = singleTag && filterCount === 1
+        ? ` for tag ${maskData(singleTag, 'tag')}`
+        : filterCount > 0 ? ' matching the filters' : '';
+      const message = fromCache && fetchedWindowCount === 0
+        ? `${finalData.length} transaction${finalData.length !== 1 ? 's' : ''}${filterNote} (up to date)`
+        : `Found ${finalData.length} transaction${finalData.length !== 1 ? 's' : ''}${filterNote}${fromCache ? ' (updated)' : ''}`;
 
       toaster.create({
-        title: 'Success',
-        description: message,
-        type: 'success',
-        duration: 3000,
+        title: failures.length > 0 ? 'Partially Loaded' : 'Success',
+        description: failures.length > 0
+          ? `${message}. ${failures.length} period${failures.length !== 1 ? 's' : ''} could not be loaded.`
+          : message,
+        type: failures.length > 0 ? 'warning' : 'success',
+        duration: failures.length > 0 ? 5000 : 3000,
       });
     } catch (err) {
+      // Cancelled with the button or by a new date range; a newer fetch replaces this one
+      if (err.name === 'AbortError') {
+        if (fetchControllerRef.current === controller) {
+          toaster.create({
+            title: 'Fetch cancelled',
+            description: 'Showing the transactions loaded before the fetch was cancelled',
+            type: 'info',
+            duration: 3000,
+          });
+        }
+        return;
+      }
+      if (fetchControllerRef.current !== controller) return;
+
       setError(err.message || 'Failed to fetch transactions');
       toaster.create({
         title: 'Error',
@@ -153,16 +602,135 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
         duration: 5000,
       });
     } finally {
-      setLoading(false);
+      if (fetchControllerRef.current === controller) {
+        fetchControllerRef.current = null;
+        setLoading(false);
+        setFetchProgress(null);
+      }
     }
   };
 
-  const handleBusinessPurposeChange = (key, value) => {
+  // Load the days of a receipt being verified, unfiltered, so the verifier can check them
+  const handleVerifierFetch = async (range) => {
+    const rangeValidation = validateDateRange(range.startDate, range.endDate);
+    if (!rangeValidation.valid) {
+      throw new Error(rangeValidation.error);
+    }
+    setDatePreset('custom');
+    setStartDate(range.startDate);
+    setEndDate(range.endDate);
+    await handleFetchTransactions({ filters: EMPTY_FILTERS, range });
+  };
+
+  const handleCancelFetch = () => {
+    fetchControllerRef.current?.abort();
+  };
+
+  const handleBusinessPurposeChange = (key, value, type, label) => {
     // key can be either a groupKey (for grouped mode) or CustomerTripId (for ungrouped mode)
     setBusinessPurposes((prev) => ({
       ...prev,
       [key]: value,
     }));
+
+    // Editing a rule-assigned purpose counts as confirming it
+    setAutoPurposes((prev) => {
+      if (!prev[key]) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+
+    // Persist so the purpose survives reloads, logouts and date range changes;
+    // saved once typing pauses or the field loses focus
+    getPurposeAccountIds(key, type).forEach((accountId) => {
+      queueBusinessPurposeSave(accountId, { type, key, purpose: value, label });
+    });
+  };
+
+  // Accounts a purpose is saved to: the trip's own account, or every account
+  // with tolls in the group (a combined day can span accounts)
+  const getPurposeAccountIds = (key, type) => {
+    const keyTransactions = type === PURPOSE_TYPE_TRIP
+      ? transactions.filter((t) => t.CustomerTripId === key)
+      : getGroupedTransactions()[key] || [];
+    const accountIds = Object.keys(groupBySourceAccount(keyTransactions));
+    return accountIds.length > 0 ? accountIds : [user.userId];
+  };
+
+  // Reload saved purposes for the loaded transactions (e.g. after editing them or their rules)
+  const handlePurposesEdited = async () => {
+    await loadBusinessPurposes(transactions);
+  };
+
+  const getPurposeLabel = (key, type) => {
+    if (type === PURPOSE_TYPE_TRIP) {
+      const transaction = transactions.find((t) => t.CustomerTripId === key);
+      return transaction
+        ? `${formatDateTime(transaction.Entry_TripDateTime)} - ${formatLocation(transaction)}`
+        : key;
+    }
+
+    const [dateStr, vehicle] = key.split('_');
+    const date = parseISO(dateStr);
+    if (isNaN(date.getTime())) return key;
+    return vehicle
+      ? `${format(date, 'EEEE, MMMM d, yyyy')} - ${getPlateName(vehicle)}`
+      : format(date, 'EEEE, MMMM d, yyyy');
+  };
+
+  // Accept rule-assigned purposes and save them like manually entered ones
+  const confirmAutoPurposes = (keys) => {
+    keys.forEach((key) => {
+      const match = autoPurposes[key];
+      if (!match) return;
+      getPurposeAccountIds(key, match.type).forEach((accountId) => {
+        saveBusinessPurpose(accountId, {
+          type: match.type,
+          key,
+          purpose: businessPurposes[key],
+          label: getPurposeLabel(key, match.type),
+        });
+      });
+    });
+
+    setAutoPurposes((prev) => {
+      const next = { ...prev };
+      keys.forEach((key) => delete next[key]);
+      return next;
+    });
+  };
+
+  // Rule-assigned purposes relevant to the current grouping mode
+  const getVisibleAutoPurposeKeys = () => {
+    const visibleKeys = groupBy === 'none'
+      ? visibleTransactions.map((t) => t.CustomerTripId)
+      : Object.keys(getGroupedTransactions());
+    return visibleKeys.filter((key) => autoPurposes[key]);
+  };
+
+  const renderAutoPurposeFlag = (key) => {
+    const match = autoPurposes[key];
+    if (!match) return null;
+
+    return (
+      <Flex align="center" gap={1} mt={1} data-element="auto-purpose-flag">
+        <Badge colorPalette="purple" size="sm">
+          <Wand2 size={10} />
+          Rule: {match.ruleName}
+        </Badge>
+        <IconButton
+          onClick={() => confirmAutoPurposes([key])}
+          variant="ghost"
+          size="2xs"
+          colorPalette="green"
+          aria-label="Confirm business purpose"
+          title="Confirm business purpose"
+        >
+          <Check size={12} />
+        </IconButton>
+      </Flex>
+    );
   };
 
   const getBusinessPurpose = (groupKey, transaction) => {
@@ -186,10 +754,10 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
   };
 
   const handleToggleAll = () => {
-    if (selectedTransactions.size === transactions.length) {
+    if (selectedTransactions.size === visibleTransactions.length) {
       setSelectedTransactions(new Set());
     } else {
-      setSelectedTransactions(new Set(transactions.map((t) => t.CustomerTripId)));
+      setSelectedTransactions(new Set(visibleTransactions.map((t) => t.CustomerTripId)));
     }
   };
 
@@ -211,6 +779,15 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
     }
   };
 
+  const formatDateTime = (dateTimeStr) => {
+    if (!dateTimeStr) return 'N/A';
+    try {
+      return format(parseISO(dateTimeStr), 'MMM d, yyyy h:mm a');
+    } catch {
+      return 'N/A';
+    }
+  };
+
   const formatAmount = (tollAmount) => {
     const amount = parseFloat(tollAmount || 0);
     return Math.abs(amount).toFixed(2);
@@ -226,26 +803,17 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
   };
 
   const getSelectedTransactions = () => {
-    return transactions.filter((t) => selectedTransactions.has(t.CustomerTripId));
+    return visibleTransactions.filter((t) => selectedTransactions.has(t.CustomerTripId));
   };
 
   const getGroupedTransactions = () => {
     if (groupBy === 'none') {
-      return { 'All Transactions': transactions };
+      return { 'All Transactions': visibleTransactions };
     }
 
-    return transactions.reduce((acc, transaction) => {
-      let key;
-      if (groupBy === 'day') {
-        // Group by day
-        const dateStr = transaction.Entry_TripDateTime?.split('T')[0] || 'Unknown Date';
-        key = dateStr;
-      } else if (groupBy === 'trip') {
-        // Group by trip (same day, same vehicle)
-        const dateStr = transaction.Entry_TripDateTime?.split('T')[0] || 'Unknown Date';
-        const vehicle = transaction.VehicleNumber || 'Unknown Vehicle';
-        key = `${dateStr}_${vehicle}`;
-      }
+    return visibleTransactions.reduce((acc, transaction) => {
+      // Group by day, or by trip (same day, same vehicle)
+      const key = getTransactionGroupKey(transaction, groupBy);
 
       if (!acc[key]) {
         acc[key] = [];
@@ -264,7 +832,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
     } else if (groupBy === 'trip') {
       const [dateStr, vehicle] = key.split('_');
       const date = parseISO(dateStr);
-      return `${format(date, 'EEEE, MMMM d, yyyy')} - ${vehicle}`;
+      return `${format(date, 'EEEE, MMMM d, yyyy')} - ${getPlateName(vehicle)}`;
     }
     return key;
   };
@@ -285,7 +853,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
 
     if (groupBy === 'none') {
       // For ungrouped mode, count unique business purposes from selected transactions
-      transactions.forEach((t) => {
+      visibleTransactions.forEach((t) => {
         if (selectedTransactions.has(t.CustomerTripId)) {
           const purpose = businessPurposes[t.CustomerTripId];
           if (purpose && purpose.trim()) {
@@ -350,7 +918,10 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
     setExpandedGroups(new Set());
   };
 
-  const handleGeneratePDF = async () => {
+  // Validate the selection and group it by business purpose (one receipt per purpose).
+  // Shared by the PDF and spreadsheet exports so their totals always match.
+  // Returns null (after notifying the user) when the selection can't be exported.
+  const buildReceiptGroups = () => {
     const selected = getSelectedTransactions();
 
     if (selected.length === 0) {
@@ -360,7 +931,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
         type: 'warning',
         duration: 3000,
       });
-      return;
+      return null;
     }
 
     // Check business purposes based on grouping mode
@@ -393,7 +964,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
         type: 'warning',
         duration: 4000,
       });
-      return;
+      return null;
     }
 
     // Build grouped structure for PDF generation with business purposes
@@ -424,16 +995,102 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
       });
     }
 
+    // Receipts show vehicle nicknames in place of plates
+    Object.keys(groupedForPDF).forEach((purpose) => {
+      groupedForPDF[purpose] = groupedForPDF[purpose].map((t) => {
+        const nickname = getTransactionVehicleProfile(t)?.nickname;
+        return nickname ? { ...t, VehicleNickname: nickname } : t;
+      });
+    });
+
+    return { groupedForPDF, selectedCount: selected.length };
+  };
+
+  const handleGeneratePDF = async () => {
+    const receiptGroups = buildReceiptGroups();
+    if (!receiptGroups) return;
+
+    const { groupedForPDF, selectedCount } = receiptGroups;
     const receiptCount = Object.keys(groupedForPDF).length; // One receipt per business purpose
 
-    const { generatePDF } = await import('../utils/pdfGenerator');
-    generatePDF(user, accountSummary, groupedForPDF);
-    toaster.create({
-      title: 'PDF Generated',
-      description: `${receiptCount} receipt(s) generated for ${selected.length} transaction(s)`,
-      type: 'success',
-      duration: 3000,
-    });
+    const profile = receiptProfiles.profiles.find((p) => p.id === receiptProfiles.selectedId);
+    try {
+      const { generatePDF } = await import('../utils/pdfGenerator');
+      await generatePDF(user, accountSummary, groupedForPDF, profile);
+      toaster.create({
+        title: 'PDF Generated',
+        description: `${receiptCount} receipt(s) generated for ${selectedCount} transaction(s)`,
+        type: 'success',
+        duration: 3000,
+      });
+    } catch (err) {
+      toaster.create({
+        title: 'PDF Generation Failed',
+        description: err.message || 'Failed to generate receipts',
+        type: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  // Export the selected transactions as CSV or Excel, using the same grouping as the PDF
+  const handleExportSpreadsheet = async (fileType) => {
+    const receiptGroups = buildReceiptGroups();
+    if (!receiptGroups) return;
+
+    const { groupedForPDF, selectedCount } = receiptGroups;
+
+    try {
+      const { generateCSV, generateXLSX } = await import('../utils/spreadsheetExport');
+      if (fileType === 'xlsx') {
+        await generateXLSX(groupedForPDF);
+      } else {
+        generateCSV(groupedForPDF);
+      }
+
+      toaster.create({
+        title: fileType === 'xlsx' ? 'Excel Workbook Exported' : 'CSV Exported',
+        description: `${selectedCount} transaction(s) exported`,
+        type: 'success',
+        duration: 3000,
+      });
+    } catch (err) {
+      toaster.create({
+        title: 'Export Failed',
+        description: err.message || 'Failed to export transactions',
+        type: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  // Export the selected transactions in an expense system import layout
+  const handleExpenseExport = () => {
+    const receiptGroups = buildReceiptGroups();
+    if (!receiptGroups) return;
+
+    try {
+      const lineCount = generateExpenseExport(
+        receiptGroups.groupedForPDF,
+        expenseFormatId,
+        expenseGranularity
+      );
+      const expenseFormat = expenseFormats.find((f) => f.id === expenseFormatId);
+
+      toaster.create({
+        title: 'Expense Import File Exported',
+        description: `${lineCount} ${expenseFormat.label} line(s) exported`,
+        type: 'success',
+        duration: 3000,
+      });
+    } catch (err) {
+      toaster.create({
+        title: 'Export Failed',
+        description: err.message || 'Failed to export transactions',
+        type: 'error',
+        duration: 5000,
+      });
+    }
   };
 
   return (
@@ -482,6 +1139,63 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                 </Text>
               </Flex>
             </Button>
+            <Button
+              onClick={() => setShowNotifications(true)}
+              variant="outline"
+              colorPalette={unreadNotificationCount > 0 ? "blue" : "gray"}
+              size={{ base: "sm", md: "md" }}
+              width={{ base: "full", sm: "auto" }}
+              data-action="open-notifications"
+            >
+              <Flex align="center" gap={2}>
+                <Bell size={16} />
+                <Text>Notifications</Text>
+                {unreadNotificationCount > 0 && (
+                  <Badge colorPalette="red" variant="solid" size="sm">
+                    {unreadNotificationCount}
+                  </Badge>
+                )}
+              </Flex>
+            </Button>
+            <Button
+              onClick={() => setShowPurposeEditor(true)}
+              variant="outline"
+              colorPalette="gray"
+              size={{ base: "sm", md: "md" }}
+              width={{ base: "full", sm: "auto" }}
+              data-action="open-purpose-editor"
+            >
+              <Flex align="center" gap={2}>
+                <NotebookPen size={16} />
+                <Text>Business Purposes</Text>
+              </Flex>
+            </Button>
+            <Button
+              onClick={() => setShowVehicles(true)}
+              variant="outline"
+              colorPalette="gray"
+              size={{ base: "sm", md: "md" }}
+              width={{ base: "full", sm: "auto" }}
+              data-action="open-vehicles"
+            >
+              <Flex align="center" gap={2}>
+                <Car size={16} />
+                <Text>Vehicles</Text>
+              </Flex>
+            </Button>
+            <Button
+              onClick={() => setShowRules(true)}
+              variant="outline"
+              colorPalette="gray"
+              size={{ base: "sm", md: "md" }}
+              width={{ base: "full", sm: "auto" }}
+              data-action="open-purpose-rules"
+            >
+              <Flex align="center" gap={2}>
+                <Wand2 size={16} />
+                <Text>Purpose Rules</Text>
+              </Flex>
+            </Button>
             <Button
               onClick={() => setShowSettings(true)}
               variant="outline"
@@ -495,6 +1209,47 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                 <Text>Receipt Settings</Text>
               </Flex>
             </Button>
+            <Button
+              onClick={() => setShowVerifier(true)}
+              variant="outline"
+              colorPalette="gray"
+              size={{ base: "sm", md: "md" }}
+              width={{ base: "full", sm: "auto" }}
+              data-action="open-verifier"
+            >
+              <Flex align="center" gap={2}>
+                <FileCheck size={16} />
+                <Text>Verify Receipt</Text>
+              </Flex>
+            </Button>
+            <Button
+              onClick={() => setShowVault(true)}
+              variant="outline"
+              colorPalette={vaultEnabled ? "green" : "gray"}
+              size={{ base: "sm", md: "md" }}
+              width={{ base: "full", sm: "auto" }}
+              data-action="open-vault"
+            >
+              <Flex align="center" gap={2}>
+                <ShieldCheck size={16} />
+                <Text>Vault</Text>
+              </Flex>
+            </Button>
+            {vaultEnabled && (
+              <Button
+                onClick={onLock}
+                variant="outline"
+                colorPalette="gray"
+                size={{ base: "sm", md: "md" }}
+                width={{ base: "full", sm: "auto" }}
+                data-action="lock"
+              >
+                <Flex align="center" gap={2}>
+                  <Lock size={16} />
+                  <Text>Lock</Text>
+                </Flex>
+              </Button>
+            )}
             <Button
               onClick={() => {
                 clearTransactionCache();
@@ -510,11 +1265,81 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
           </Flex>
         </Stack>
 
-        <AccountInfo accountSummary={accountSummary} />
+        <Grid templateColumns={{ base: '1fr', lg: '2fr 1fr' }} gap={6} alignItems="start" data-section="account-overview">
+          <AccountInfo
+            accountSummary={accountSummary}
+            accounts={accounts}
+            activeAccountId={user.userId}
+            onSwitchAccount={onSwitchAccount}
+            onAddAccount={onAddAccount}
+            onSignOutAccount={onSignOutAccount}
+            balance={balance}
+            balanceHistory={balanceHistory}
+            spendForecast={spendForecast}
+            warningDays={warningDays}
+            onWarningDaysChange={handleWarningDaysChange}
+          />
+
+          <TransponderPanel
+            transponders={transponders}
+            loading={transpondersLoading}
+            error={transpondersError}
+            tagTotals={getTagTotals(transactions)}
+            activeTag={getSingleTag(loadedFilters)}
+            onFilterTag={handleTagFilterFromPanel}
+            getPlateName={getPlateName}
+          />
+        </Grid>
 
         <ReceiptSettings
           isOpen={showSettings}
           onClose={() => setShowSettings(false)}
+          onSave={setReceiptProfiles}
+        />
+
+        <BusinessPurposeEditor
+          isOpen={showPurposeEditor}
+          onClose={() => setShowPurposeEditor(false)}
+          accountId={user.userId}
+          onChange={handlePurposesEdited}
+        />
+
+        <VehicleManager
+          isOpen={showVehicles}
+          onClose={() => setShowVehicles(false)}
+          user={user}
+          transactionPlates={transactionPlates}
+          onChange={loadVehicleProfiles}
+        />
+
+        <NotificationsDrawer
+          isOpen={showNotifications}
+          onClose={() => setShowNotifications(false)}
+          notifications={notifications}
+          reads={notificationReads}
+          loading={notificationsLoading}
+          error={notificationsError}
+          onSetRead={handleSetNotificationsRead}
+          onRefresh={loadNotifications}
+        />
+
+        <PurposeRulesSettings
+          isOpen={showRules}
+          onClose={() => setShowRules(false)}
+          onSave={handlePurposesEdited}
+        />
+
+        <VaultSettings
+          isOpen={showVault}
+          onClose={() => setShowVault(false)}
+          onLock={onLock}
+          onChange={setVaultEnabled}
+        />
+
+        <ReceiptVerifier
+          isOpen={showVerifier}
+          onClose={() => setShowVerifier(false)}
+          onFetchRange={handleVerifierFetch}
         />
 
         <Card.Root>
@@ -569,17 +1394,67 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                 </Field.Root>
               </Grid>
 
-              <Button
-                onClick={handleFetchTransactions}
-                loading={loading}
-                loadingText="Fetching..."
-                colorPalette="blue"
-                size={{ base: "md", md: "lg" }}
-                width={{ base: "full", sm: "auto" }}
-              >
-                <Text display={{ base: "none", sm: "inline" }}>Fetch Transactions</Text>
-                <Text display={{ base: "inline", sm: "none" }}>Search</Text>
-              </Button>
+              <TransactionFilterPanel
+                filters={filters}
+                onChange={setFilters}
+                tollTypes={tollTypes}
+                plates={accountPlates}
+                transponders={transponders}
+                loading={filterOptionsLoading}
+                error={filterOptionsError}
+                getPlateName={getPlateName}
+              />
+
+              {isMultiAccount && (
+                <Checkbox.Root
+                  checked={includeAllAccounts}
+                  onCheckedChange={(e) => setIncludeAllAccounts(!!e.checked)}
+                  disabled={loading}
+                  data-action="include-all-accounts"
+                >
+                  <Checkbox.HiddenInput />
+                  <Checkbox.Control />
+                  <Checkbox.Label>
+                    <Text fontSize="sm">
+                      Include all {accounts.length} signed in accounts (one combined receipt)
+                    </Text>
+                  </Checkbox.Label>
+                </Checkbox.Root>
+              )}
+
+              <Flex gap={2} direction={{ base: "column", sm: "row" }} align={{ base: "stretch", sm: "center" }}>
+                <Button
+                  onClick={() => handleFetchTransactions()}
+                  loading={loading}
+                  loadingText="Fetching..."
+                  colorPalette="blue"
+                  size={{ base: "md", md: "lg" }}
+                  width={{ base: "full", sm: "auto" }}
+                >
+                  <Text display={{ base: "none", sm: "inline" }}>Fetch Transactions</Text>
+                  <Text display={{ base: "inline", sm: "none" }}>Search</Text>
+                </Button>
+                {loading && (
+                  <Button
+                    onClick={handleCancelFetch}
+                    variant="outline"
+                    size={{ base: "md", md: "lg" }}
+                    width={{ base: "full", sm: "auto" }}
+                    data-action="cancel-fetch"
+                  >
+                    Cancel
+                  </Button>
+                )}
+                {fetchProgress && (
+                  <Text fontSize="sm" color="gray.600" data-status="fetch-progress">
+                    {fetchProgress.accountId && `Account #${maskData(fetchProgress.accountId, 'account')}: `}
+                    {fetchProgress.windowCount > 1 && `Period ${fetchProgress.windowIndex + 1} of ${fetchProgress.windowCount} • `}
+                    Page {fetchProgress.pagesFetched}
+                    {fetchProgress.totalPages && ` of ~${fetchProgress.totalPages}`}
+                    , {fetchProgress.transactionCount} transaction{fetchProgress.transactionCount !== 1 ? 's' : ''}
+                  </Text>
+                )}
+              </Flex>
 
               {error && (
                 <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
@@ -589,6 +1464,26 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                   </Stack>
                 </Box>
               )}
+
+              {fetchFailures.length > 0 && (
+                <Box p={3} bg="orange.50" borderRadius="md" borderWidth="1px" borderColor="orange.200" data-status="fetch-failures">
+                  <Stack direction="row" align="center" gap={2} mb={2}>
+                    <TriangleAlertIcon size={16} color="orange" />
+                    <Text fontSize="sm" fontWeight="medium" color="orange.800">
+                      Some periods could not be loaded, so the list is incomplete. Fetch again to retry them.
+                    </Text>
+                  </Stack>
+                  <Stack gap={1} pl={6}>
+                    {fetchFailures.map((failure) => (
+                      <Text key={`${failure.accountId}-${failure.window.startDate}`} fontSize="sm" color="orange.800">
+                        {formatWindow(failure.window)}
+                        {isCombinedView && ` (Account #${maskData(failure.accountId, 'account')})`}
+                        : {failure.message}
+                      </Text>
+                    ))}
+                  </Stack>
+                </Box>
+              )}
             </Stack>
           </Card.Body>
         </Card.Root>
@@ -609,11 +1504,10 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                       Total Transactions
                     </Text>
                     <Text fontSize="3xl" fontWeight="bold">
-                      {transactions.length}
+                      {visibleTransactions.length}
                     </Text>
                     <Text fontSize="sm" color="gray.600">
-                      {format(new Date(startDate), 'MMM d')} -{' '}
-                      {format(new Date(endDate), 'MMM d, yyyy')}
+                      {formatWindow({ startDate, endDate })}
                     </Text>
                   </Box>
                   <Box data-stat="selected-count">
@@ -624,7 +1518,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                       {selectedTransactions.size}
                     </Text>
                     <Text fontSize="sm" color="gray.600">
-                      {selectedTransactions.size === transactions.length ? 'All' : 'Partial'} selection
+                      {selectedTransactions.size === visibleTransactions.length ? 'All' : 'Partial'} selection
                     </Text>
                   </Box>
                   <Box data-stat="selected-amount">
@@ -632,7 +1526,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                       Selected Amount
                     </Text>
                     <Text fontSize="3xl" fontWeight="bold" color="green.600">
-                      ${maskData(calculateTotal(transactions).toFixed(2), 'money')}
+                      ${maskData(calculateTotal(visibleTransactions).toFixed(2), 'money')}
                     </Text>
                     <Text fontSize="sm" color="gray.600">
                       Expense total
@@ -648,7 +1542,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                         Total
                       </Text>
                       <Text fontSize="2xl" fontWeight="bold">
-                        {transactions.length}
+                        {visibleTransactions.length}
                       </Text>
                     </Box>
                     <Box textAlign="center" data-stat="selected-mobile">
@@ -664,7 +1558,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                         Amount
                       </Text>
                       <Text fontSize="xl" fontWeight="bold" color="green.600">
-                        ${maskData(calculateTotal(transactions).toFixed(2), 'money')}
+                        ${maskData(calculateTotal(visibleTransactions).toFixed(2), 'money')}
                       </Text>
                     </Box>
                   </Flex>
@@ -704,6 +1598,32 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                       </NativeSelectRoot>
                     </Field.Root>
 
+                    {/* Vehicle Filter */}
+                    <Field.Root
+                      width={{ base: "full", md: "220px" }}
+                      flexShrink={0}
+                      data-field="vehicle-filter"
+                    >
+                      <NativeSelectRoot size="sm">
+                        <NativeSelectField
+                          value={vehicleFilter}
+                          onChange={(e) => handleVehicleFilterChange(e.target.value)}
+                          data-input="vehicle-filter"
+                        >
+                          <option value="all">All Vehicles</option>
+                          <option value={`ownership:${OWNERSHIP_COMPANY}`}>Company Vehicles</option>
+                          <option value={`ownership:${OWNERSHIP_PERSONAL}`}>Personal Vehicles</option>
+                          {transactionPlates.map((plate) => (
+                            <option key={plate} value={`plate:${plate}`}>
+                              {getPlateName(plate) !== plate
+                                ? `${getPlateName(plate)} (${maskData(plate, 'vehicle')})`
+                                : maskData(plate, 'vehicle')}
+                            </option>
+                          ))}
+                        </NativeSelectField>
+                      </NativeSelectRoot>
+                    </Field.Root>
+
                     {/* Buttons - Mobile: full width stack, Desktop: horizontal row aligned right */}
                     <Flex
                       gap={2}
@@ -735,6 +1655,18 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                           </Button>
                         </>
                       )}
+                      {getVisibleAutoPurposeKeys().length > 0 && (
+                        <Button
+                          onClick={() => confirmAutoPurposes(getVisibleAutoPurposeKeys())}
+                          variant="outline"
+                          size="sm"
+                          colorPalette="purple"
+                          width={{ base: "full", md: "auto" }}
+                          data-action="confirm-auto-purposes"
+                        >
+                          Confirm Rule Purposes ({getVisibleAutoPurposeKeys().length})
+                        </Button>
+                      )}
                       <Button
                         onClick={handleToggleAll}
                         variant="outline"
@@ -743,7 +1675,7 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                         width={{ base: "full", md: "auto" }}
                         data-action="toggle-all-selection"
                       >
-                        {selectedTransactions.size === transactions.length
+                        {selectedTransactions.size === visibleTransactions.length
                           ? 'Deselect All'
                           : 'Select All'}
                       </Button>
@@ -828,13 +1760,20 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                                   <Input
                                     value={businessPurposes[groupKey] || ''}
                                     onChange={(e) =>
-                                      handleBusinessPurposeChange(groupKey, e.target.value)
+                                      handleBusinessPurposeChange(
+                                        groupKey,
+                                        e.target.value,
+                                        PURPOSE_TYPE_GROUP,
+                                        formatGroupLabel(groupKey, groupTransactions)
+                                      )
                                     }
+                                    onBlur={flushBusinessPurposeSaves}
                                     placeholder="Business purpose (e.g., Client meeting)"
                                     disabled={groupSelected === 0}
                                     size="sm"
                                     bgColor="#fff"
                                   />
+                                  {renderAutoPurposeFlag(groupKey)}
                                 </Field.Root>
 
                                 {/* Select/Deselect Button */}
@@ -908,6 +1847,11 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                                           </Table.Cell>
                                           <Table.Cell>
                                             <Text fontSize="sm">{formatLocation(transaction)}</Text>
+                                            {showsMultipleAccounts && (
+                                              <Badge size="sm" colorPalette="purple" variant="subtle" mt={1}>
+                                                Account #{maskData(String(transaction.SourceAccountId), 'account')}
+                                              </Badge>
+                                            )}
                                           </Table.Cell>
                                           <Table.Cell>
                                             <Text fontSize="sm" fontFamily="mono">
@@ -915,9 +1859,15 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                                             </Text>
                                           </Table.Cell>
                                           <Table.Cell>
-                                            <Text fontSize="sm" fontFamily="mono">
-                                              {maskData(transaction.VehicleNumber || 'N/A', 'vehicle')}
-                                            </Text>
+                                            {getTransactionVehicleProfile(transaction)?.nickname ? (
+                                              <Text fontSize="sm" title={maskData(transaction.VehicleNumber, 'vehicle')}>
+                                                {getVehicleName(transaction)}
+                                              </Text>
+                                            ) : (
+                                              <Text fontSize="sm" fontFamily="mono">
+                                                {maskData(transaction.VehicleNumber || 'N/A', 'vehicle')}
+                                              </Text>
+                                            )}
                                           </Table.Cell>
                                           <Table.Cell textAlign="end">
                                             <Text fontWeight="medium" color="green.700">
@@ -932,12 +1882,16 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
                                                 onChange={(e) =>
                                                   handleBusinessPurposeChange(
                                                     transaction.CustomerTripId,
-                                                    e.target.value
+                                                    e.target.value,
+                                                    PURPOSE_TYPE_TRIP,
+                                                    `${formatDateTime(transaction.Entry_TripDateTime)} - ${formatLocation(transaction)}`
                                                   )
                                                 }
+                                                onBlur={flushBusinessPurposeSaves}
                                                 placeholder="e.g., Client meeting"
                                                 disabled={!selectedTransactions.has(transaction.CustomerTripId)}
                                               />
+                                              {renderAutoPurposeFlag(transaction.CustomerTripId)}
                                             </Table.Cell>
                                           )}
                                         </Table.Row>
@@ -955,7 +1909,31 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
               </Card.Body>
             </Card.Root>
 
-            <Flex justify="center" mt={6} px={{ base: 4, md: 0 }}>
+            <Flex
+              justify="center"
+              align="center"
+              gap={3}
+              mt={6}
+              px={{ base: 4, md: 0 }}
+              direction={{ base: "column", sm: "row" }}
+              data-group="receipt-actions"
+            >
+              {receiptProfiles.profiles.length > 1 && (
+                <NativeSelectRoot size={{ base: "md", md: "lg" }} width={{ base: "full", sm: "200px" }}>
+                  <NativeSelectField
+                    value={receiptProfiles.selectedId ?? ''}
+                    onChange={(e) => handleReceiptProfileChange(e.target.value)}
+                    aria-label="Receipt profile"
+                    data-input="receipt-profile"
+                  >
+                    {receiptProfiles.profiles.map((profile) => (
+                      <option key={profile.id} value={profile.id}>
+                        {profile.label}
+                      </option>
+                    ))}
+                  </NativeSelectField>
+                </NativeSelectRoot>
+              )}
               <Button
                 onClick={handleGeneratePDF}
                 colorPalette="green"
@@ -966,6 +1944,86 @@ export default function TransactionViewer({ user, accountSummary, onLogout }) {
               >
                 Generate Receipts ({calculateReceiptCount()})
               </Button>
+              <Button
+                onClick={() => handleExportSpreadsheet('csv')}
+                variant="outline"
+                colorPalette="green"
+                size={{ base: "md", md: "lg" }}
+                width={{ base: "full", sm: "auto" }}
+                disabled={selectedTransactions.size === 0}
+                data-action="export-csv"
+              >
+                <Flex align="center" gap={2}>
+                  <FileText size={16} />
+                  <Text>Export CSV</Text>
+                </Flex>
+              </Button>
+              <Button
+                onClick={() => handleExportSpreadsheet('xlsx')}
+                variant="outline"
+                colorPalette="green"
+                size={{ base: "md", md: "lg" }}
+                width={{ base: "full", sm: "auto" }}
+                disabled={selectedTransactions.size === 0}
+                data-action="export-xlsx"
+              >
+                <Flex align="center" gap={2}>
+                  <FileSpreadsheet size={16} />
+                  <Text>Export Excel</Text>
+                </Flex>
+              </Button>
+            </Flex>
+
+            <Flex
+              justify="center"
+              align={{ base: "stretch", sm: "center" }}
+              gap={2}
+              px={{ base: 4, md: 0 }}
+              direction={{ base: "column", sm: "row" }}
+              data-group="expense-export"
+            >
+              <NativeSelectRoot size="sm" width={{ base: "full", sm: "200px" }}>
+                <NativeSelectField
+                  value={expenseFormatId}
+                  onChange={(e) => setExpenseFormatId(e.target.value)}
+                  aria-label="Expense system format"
+                  data-input="expense-format"
+                >
+                  {expenseFormats.map((expenseFormat) => (
+                    <option key={expenseFormat.id} value={expenseFormat.id}>
+                      {expenseFormat.label}
+                    </option>
+                  ))}
+                </NativeSelectField>
+              </NativeSelectRoot>
+              <NativeSelectRoot size="sm" width={{ base: "full", sm: "240px" }}>
+                <NativeSelectField
+                  value={expenseGranularity}
+                  onChange={(e) => setExpenseGranularity(e.target.value)}
+                  aria-label="Expense line granularity"
+                  data-input="expense-granularity"
+                >
+                  {expenseGranularities.map((granularity) => (
+                    <option key={granularity.value} value={granularity.value}>
+                      {granularity.label}
+                    </option>
+                  ))}
+                </NativeSelectField>
+              </NativeSelectRoot>
+              <Button
+                onClick={handleExpenseExport}
+                variant="outline"
+                colorPalette="blue"
+                size="sm"
+                width={{ base: "full", sm: "auto" }}
+                disabled={selectedTransactions.size === 0}
+                data-action="export-expense"
+              >
+                <Flex align="center" gap={2}>
+                  <Download size={16} />
+                  <Text>Export for Expense System</Text>
+                </Flex>
+              </Button>
             </Flex>
           </>
         )}
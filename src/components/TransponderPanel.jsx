@@ -0,0 +1,121 @@
+import {
+  Box,
+  Card,
+  Heading,
+  Text,
+  Badge,
+  Flex,
+  Spinner,
+  Stack,
+  Button,
+} from '@chakra-ui/react';
+import { Tag, TriangleAlertIcon } from 'lucide-react';
+import { usePrivacyMode } from '../contexts/PrivacyModeContext';
+import { TAG_STATUS_ACTIVE, TAG_STATUS_OTHER } from '../utils/transponders';
+
+const getStatusColor = (status) => {
+  return status === TAG_STATUS_ACTIVE ? 'green' : status === TAG_STATUS_OTHER ? 'gray' : 'yellow';
+};
+
+export default function TransponderPanel({
+  transponders = [],
+  loading,
+  error,
+  tagTotals = {},
+  activeTag,
+  onFilterTag,
+  getPlateName = (plate) => plate,
+}) {
+  const { maskData } = usePrivacyMode();
+
+  // Tags seen in transactions but not listed on the account (e.g. another agency's tag)
+  const knownTags = new Set(transponders.map((t) => t.tagId));
+  const rows = [
+    ...transponders,
+    ...Object.keys(tagTotals)
+      .filter((tagId) => tagId !== 'N/A' && !knownTags.has(tagId))
+      .map((tagId) => ({ tagId, label: tagId, status: TAG_STATUS_OTHER, vehicles: [] })),
+  ];
+  const hasTotals = Object.keys(tagTotals).length > 0;
+
+  return (
+    <Card.Root h="full" data-section="transponders">
+      <Card.Header>
+        <Flex align="center" gap={2}>
+          <Tag size={18} />
+          <Heading size="md">TollTags</Heading>
+        </Flex>
+        <Text fontSize="sm" color="gray.600" mt={1}>
+          {hasTotals ? 'Totals for the loaded transactions' : 'Fetch transactions to see per-tag totals'}
+        </Text>
+      </Card.Header>
+      <Card.Body pt={0}>
+        {loading ? (
+          <Flex justify="center" py={4}>
+            <Spinner size="md" color="blue.500" />
+          </Flex>
+        ) : error ? (
+          <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+            <Stack direction="row" align="center" gap={2}>
+              <TriangleAlertIcon size={16} color="red" />
+              <Text fontSize="sm" color="red.700">{error}</Text>
+            </Stack>
+          </Box>
+        ) : rows.length === 0 ? (
+          <Text fontSize="sm" color="gray.600">No tags found on this account</Text>
+        ) : (
+          <Stack gap={3}>
+            {rows.map((tag) => {
+              const totals = tagTotals[tag.tagId];
+              const isActiveFilter = activeTag === tag.tagId;
+
+              return (
+                <Box
+                  key={tag.tagId}
+                  p={3}
+                  borderWidth="1px"
+                  borderRadius="md"
+                  borderColor={isActiveFilter ? 'blue.300' : undefined}
+                  bg={isActiveFilter ? 'blue.50' : undefined}
+                  data-tag={tag.tagId}
+                >
+                  <Flex justify="space-between" align="center" gap={2}>
+                    <Text fontSize="sm" fontWeight="medium" fontFamily="mono">
+                      {tag.agency && `${tag.agency} `}{maskData(tag.tagId, 'tag')}
+                    </Text>
+                    <Badge colorPalette={getStatusColor(tag.status)} variant="subtle">
+                      {tag.status}
+                    </Badge>
+                  </Flex>
+                  <Text fontSize="xs" color="gray.600" mt={1}>
+                    {tag.vehicles.length > 0
+                      ? tag.vehicles.map((v) => getPlateName(v.plate) !== v.plate
+                        ? getPlateName(v.plate)
+                        : maskData(v.plate, 'vehicle')).join(', ')
+                      : 'No linked vehicle'}
+                  </Text>
+                  <Flex justify="space-between" align="center" mt={2}>
+                    <Text fontSize="sm">
+                      {totals
+                        ? `${totals.count} toll${totals.count !== 1 ? 's' : ''} • $${maskData(totals.total.toFixed(2), 'money')}`
+                        : hasTotals ? 'No tolls' : ''}
+                    </Text>
+                    <Button
+                      size="xs"
+                      variant={isActiveFilter ? 'solid' : 'outline'}
+                      colorPalette="blue"
+                      onClick={() => onFilterTag(isActiveFilter ? '' : tag.tagId)}
+                      data-action="filter-tag"
+                    >
+                      {isActiveFilter ? 'Show All Tags' : 'Only This Tag'}
+                    </Button>
+                  </Flex>
+                </Box>
+              );
+            })}
+          </Stack>
+        )}
+      </Card.Body>
+    </Card.Root>
+  );
+}
@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { Box, Field, Input, Button, Stack, Text, Heading, Flex } from '@chakra-ui/react';
+import { LockKeyhole, TriangleAlertIcon } from 'lucide-react';
+import { unlockVault, resetVault } from '../utils/vault';
+import { checkRateLimit, clearRateLimit } from '../utils/validation';
+
+export default function VaultLockScreen({ onUnlocked, onReset }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [confirmReset, setConfirmReset] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const rateLimit = checkRateLimit('vault-unlock', 5, 60000); // 5 attempts per minute
+      if (!rateLimit.allowed) {
+        throw new Error(`Too many attempts. Please try again in ${rateLimit.retryAfter} seconds.`);
+      }
+      if (!passphrase) {
+        throw new Error('Passphrase is required');
+      }
+
+      await unlockVault(passphrase);
+      clearRateLimit('vault-unlock');
+      setPassphrase('');
+      onUnlocked();
+    } catch (err) {
+      setError(err.message || 'Failed to unlock');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async () => {
+    setLoading(true);
+    try {
+      await resetVault();
+      onReset();
+    } catch (err) {
+      setError(err.message || 'Failed to reset');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box minH="100vh" display="flex" alignItems="center" justifyContent="center" bg="gray.50">
+      <Box maxW="md" w="full" p={8}>
+        <Box bg="white" p={8} borderRadius="lg" boxShadow="md">
+          <Stack gap={6}>
+            <Box textAlign="center">
+              <Flex justify="center" mb={4} color="blue.600">
+                <LockKeyhole size={48} />
+              </Flex>
+              <Heading size="lg" mb={2}>
+                Toll Expense Tracker is Locked
+              </Heading>
+              <Text color="gray.600" fontSize="sm">
+                Enter your vault passphrase or PIN to unlock your data on this device
+              </Text>
+            </Box>
+
+            {confirmReset ? (
+              <Stack gap={4}>
+                <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                  <Stack direction="row" align="flex-start" gap={2}>
+                    <TriangleAlertIcon size={16} color="red" />
+                    <Text fontSize="sm" color="red.700">
+                      The passphrase can't be recovered. Resetting deletes the saved sessions,
+                      business purposes, vehicles and cached transactions on this device and
+                      turns the vault off. Your NTTA account is not affected.
+                    </Text>
+                  </Stack>
+                </Box>
+                <Button
+                  colorPalette="red"
+                  onClick={handleReset}
+                  loading={loading}
+                  loadingText="Resetting..."
+                  data-action="reset-vault"
+                >
+                  Delete Data & Reset
+                </Button>
+                <Button variant="outline" onClick={() => setConfirmReset(false)} disabled={loading}>
+                  Cancel
+                </Button>
+              </Stack>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                <Stack gap={4}>
+                  <Field.Root required>
+                    <Field.Label>Passphrase</Field.Label>
+                    <Input
+                      type="password"
+                      value={passphrase}
+                      onChange={(e) => setPassphrase(e.target.value)}
+                      disabled={loading}
+                      placeholder="Enter your passphrase"
+                      autoComplete="current-password"
+                      autoFocus
+                    />
+                  </Field.Root>
+
+                  {error && (
+                    <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                      <Stack direction="row" align="center" gap={2}>
+                        <TriangleAlertIcon size={16} color="red" />
+                        <Text fontSize="sm" color="red.700">{error}</Text>
+                      </Stack>
+                    </Box>
+                  )}
+
+                  <Button
+                    type="submit"
+                    colorPalette="blue"
+                    size="lg"
+                    loading={loading}
+                    loadingText="Unlocking..."
+                    data-action="unlock-vault"
+                  >
+                    Unlock
+                  </Button>
+
+                  <Button variant="ghost" size="sm" onClick={() => setConfirmReset(true)} disabled={loading}>
+                    Forgot passphrase?
+                  </Button>
+                </Stack>
+              </form>
+            )}
+          </Stack>
+        </Box>
+      </Box>
+    </Box>
+  );
+}
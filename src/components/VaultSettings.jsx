@@ -0,0 +1,331 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Input,
+  Field,
+  Badge,
+} from '@chakra-ui/react';
+import { ShieldCheck, X, TriangleAlertIcon, Lock, RefreshCw } from 'lucide-react';
+import {
+  isVaultEnabled,
+  enableVault,
+  changeVaultPassphrase,
+  disableVault,
+  rotateEncryption,
+} from '../utils/vault';
+import {
+  getDecryptionFailures,
+  subscribeDecryptionFailures,
+  discardUndecryptableValues,
+} from '../utils/secureStorage';
+import { toaster } from '../utils/toaster';
+
+const EMPTY_FORM = { current: '', passphrase: '', confirm: '' };
+
+function PassphraseField({ label, value, onChange, disabled, autoComplete = 'new-password' }) {
+  return (
+    <Field.Root required>
+      <Field.Label>{label}</Field.Label>
+      <Input
+        type="password"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        autoComplete={autoComplete}
+      />
+    </Field.Root>
+  );
+}
+
+export default function VaultSettings({ isOpen, onClose, onLock, onChange }) {
+  const [enabled, setEnabled] = useState(isVaultEnabled());
+  const [mode, setMode] = useState(null); // 'change' | 'disable' | 'rotate' while the vault is on
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [failures, setFailures] = useState(getDecryptionFailures());
+
+  useEffect(() => subscribeDecryptionFailures(setFailures), []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setEnabled(isVaultEnabled());
+      setMode(null);
+      setForm(EMPTY_FORM);
+      setError('');
+    }
+  }, [isOpen]);
+
+  const updateForm = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  // Runs a vault action, which re-encrypts all stored data
+  const runAction = async (action, successTitle) => {
+    setError('');
+    setSaving(true);
+    try {
+      await action();
+      const nowEnabled = isVaultEnabled();
+      setEnabled(nowEnabled);
+      setMode(null);
+      setForm(EMPTY_FORM);
+      onChange?.(nowEnabled);
+      toaster.create({
+        title: successTitle,
+        type: 'success',
+        duration: 3000,
+      });
+    } catch (err) {
+      setError(err.message || 'Vault update failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const checkConfirmation = () => {
+    if (form.passphrase !== form.confirm) {
+      throw new Error('Passphrases do not match');
+    }
+  };
+
+  const handleEnable = () => runAction(async () => {
+    checkConfirmation();
+    await enableVault(form.passphrase);
+  }, 'Vault enabled');
+
+  const handleChange = () => runAction(async () => {
+    checkConfirmation();
+    await changeVaultPassphrase(form.current, form.passphrase);
+  }, 'Passphrase changed');
+
+  const handleDisable = () => runAction(() => disableVault(form.current), 'Vault turned off');
+
+  const handleRotate = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const { reencrypted, failed } = await rotateEncryption(form.current);
+      setMode(null);
+      setForm(EMPTY_FORM);
+      toaster.create({
+        title: 'Keys rotated',
+        description: `${reencrypted} item${reencrypted !== 1 ? 's' : ''} re-encrypted` +
+          (failed > 0 ? `, ${failed} could not be decrypted` : ''),
+        type: failed > 0 ? 'warning' : 'success',
+        duration: 4000,
+      });
+    } catch (err) {
+      setError(err.message || 'Re-encryption failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1000}
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      p={4}
+      onClick={saving ? undefined : onClose}
+    >
+      <Card.Root
+        maxW="500px"
+        w="full"
+        maxH="90vh"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Flex align="center" gap={2}>
+              <ShieldCheck size={20} />
+              <Heading size="md">Vault</Heading>
+              <Badge colorPalette={enabled ? 'green' : 'gray'} variant="subtle" size="sm">
+                {enabled ? 'On' : 'Off'}
+              </Badge>
+            </Flex>
+            <Button
+              onClick={onClose}
+              variant="ghost"
+              size="sm"
+              p={1}
+              disabled={saving}
+            >
+              <X size={20} />
+            </Button>
+          </Flex>
+          <Text fontSize="sm" color="gray.600" mt={2}>
+            {enabled
+              ? 'Your saved data is encrypted with your passphrase. The app stays locked until it is entered.'
+              : 'Without the vault, saved data is encrypted with a key derived from this browser, which anyone using this browser profile can recompute. Set a passphrase or PIN to protect it.'}
+          </Text>
+        </Card.Header>
+
+        <Card.Body overflowY="auto">
+          <Stack gap={4}>
+            {!enabled && (
+              <>
+                <PassphraseField label="Passphrase or PIN" value={form.passphrase} onChange={updateForm('passphrase')} disabled={saving} />
+                <PassphraseField label="Confirm Passphrase" value={form.confirm} onChange={updateForm('confirm')} disabled={saving} />
+                <Text fontSize="xs" color="gray.600">
+                  At least 6 characters. The passphrase can't be recovered; if you forget it,
+                  the data saved on this device has to be deleted.
+                </Text>
+              </>
+            )}
+
+            {enabled && mode === null && (
+              <Stack gap={2}>
+                <Button onClick={onLock} colorPalette="blue" data-action="lock-vault">
+                  <Flex align="center" gap={2}>
+                    <Lock size={16} />
+                    <Text>Lock Now</Text>
+                  </Flex>
+                </Button>
+                <Button onClick={() => setMode('change')} variant="outline">
+                  Change Passphrase
+                </Button>
+                <Button onClick={() => setMode('disable')} variant="outline" colorPalette="red">
+                  Turn Off Vault
+                </Button>
+              </Stack>
+            )}
+
+            {enabled && mode !== null && (
+              <PassphraseField
+                label="Current Passphrase"
+                value={form.current}
+                onChange={updateForm('current')}
+                disabled={saving}
+                autoComplete="current-password"
+              />
+            )}
+
+            {enabled && mode === 'change' && (
+              <>
+                <PassphraseField label="New Passphrase or PIN" value={form.passphrase} onChange={updateForm('passphrase')} disabled={saving} />
+                <PassphraseField label="Confirm New Passphrase" value={form.confirm} onChange={updateForm('confirm')} disabled={saving} />
+              </>
+            )}
+
+            {enabled && mode === 'disable' && (
+              <Text fontSize="sm" color="gray.600">
+                Your data will be encrypted with the browser-derived key again.
+              </Text>
+            )}
+
+            {enabled && mode === 'rotate' && (
+              <Text fontSize="sm" color="gray.600">
+                New keys are derived from your passphrase with a new salt. Your passphrase stays the same.
+              </Text>
+            )}
+
+            {error && (
+              <Box p={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+                <Stack direction="row" align="center" gap={2}>
+                  <TriangleAlertIcon size={16} color="red" />
+                  <Text fontSize="sm" color="red.700">{error}</Text>
+                </Stack>
+              </Box>
+            )}
+
+            {mode === null && (
+              <Stack gap={2} borderTopWidth="1px" pt={4} data-section="stored-data">
+                <Text fontSize="sm" fontWeight="medium">Stored Data</Text>
+                <Text fontSize="xs" color="gray.600">
+                  Rotate the encryption keys: everything saved on this device is re-encrypted with
+                  new keys and the old keys are discarded.
+                </Text>
+                <Button
+                  onClick={enabled ? () => setMode('rotate') : handleRotate}
+                  variant="outline"
+                  size="sm"
+                  loading={saving}
+                  loadingText="Re-encrypting..."
+                >
+                  <Flex align="center" gap={2}>
+                    <RefreshCw size={14} />
+                    <Text>Rotate Keys</Text>
+                  </Flex>
+                </Button>
+
+                {failures.length > 0 && (
+                  <Box p={3} bg="orange.50" borderRadius="md" borderWidth="1px" borderColor="orange.200">
+                    <Text fontSize="sm" fontWeight="medium" color="orange.800" mb={1}>
+                      Some saved data could not be decrypted
+                    </Text>
+                    <Stack gap={1} mb={2}>
+                      {failures.map((failure) => (
+                        <Text key={`${failure.source}|${failure.key}`} fontSize="xs" color="orange.800">
+                          {failure.key}: {failure.reason}
+                        </Text>
+                      ))}
+                    </Stack>
+                    <Button
+                      onClick={discardUndecryptableValues}
+                      size="xs"
+                      variant="outline"
+                      colorPalette="orange"
+                      disabled={saving}
+                      data-action="discard-undecryptable"
+                    >
+                      Discard Unreadable Data
+                    </Button>
+                  </Box>
+                )}
+              </Stack>
+            )}
+          </Stack>
+        </Card.Body>
+
+        {(!enabled || mode !== null) && (
+          <Card.Footer>
+            <Flex justify="flex-end" w="full" gap={2}>
+              <Button
+                onClick={enabled ? () => setMode(null) : onClose}
+                variant="outline"
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+              {!enabled && (
+                <Button onClick={handleEnable} colorPalette="blue" loading={saving} loadingText="Encrypting...">
+                  Enable Vault
+                </Button>
+              )}
+              {mode === 'change' && (
+                <Button onClick={handleChange} colorPalette="blue" loading={saving} loadingText="Encrypting...">
+                  Change Passphrase
+                </Button>
+              )}
+              {mode === 'disable' && (
+                <Button onClick={handleDisable} colorPalette="red" loading={saving} loadingText="Decrypting...">
+                  Turn Off Vault
+                </Button>
+              )}
+              {mode === 'rotate' && (
+                <Button onClick={handleRotate} colorPalette="blue" loading={saving} loadingText="Re-encrypting...">
+                  Rotate Keys
+                </Button>
+              )}
+            </Flex>
+          </Card.Footer>
+        )}
+      </Card.Root>
+    </Box>
+  );
+}
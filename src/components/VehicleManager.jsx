@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Stack,
+  Card,
+  Flex,
+  Grid,
+  Input,
+  Badge,
+  Spinner,
+  NativeSelectRoot,
+  NativeSelectField,
+} from '@chakra-ui/react';
+import { Car, TriangleAlertIcon, X } from 'lucide-react';
+import { usePrivacyMode } from '../contexts/PrivacyModeContext';
+import { fetchVehicles, fetchCustomerPlates } from '../utils/api';
+import {
+  getVehicleProfiles,
+  saveVehicleProfile,
+  buildVehicleList,
+  getVehicleProfile,
+  ownershipTypes,
+} from '../utils/vehicleStore';
+import { toaster } from '../utils/toaster';
+
+export default function VehicleManager({ isOpen, onClose, user, transactionPlates = [], onChange }) {
+  const { maskData } = usePrivacyMode();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadVehicles = async () => {
+      setLoading(true);
+      setError('');
+
+      let vehicles = [];
+      let plates = [];
+      try {
+        [vehicles, plates] = await Promise.all([
+          fetchVehicles(user.userId, user.accessToken),
+          fetchCustomerPlates(user.userId, user.accessToken),
+        ]);
+      } catch (err) {
+        // Still list the plates seen in transactions so they can be named
+        setError(err.message || 'Failed to fetch vehicles');
+      }
+
+      const profiles = await getVehicleProfiles(user.userId);
+      const seenPlates = transactionPlates.map((plate) => ({ value: plate }));
+      setRows(buildVehicleList(vehicles, [...plates, ...seenPlates]).map((vehicle) => {
+        const profile = getVehicleProfile(profiles, vehicle.plate);
+        return {
+          ...vehicle,
+          nickname: profile?.nickname || '',
+          ownership: profile?.ownership || '',
+          draftNickname: profile?.nickname || '',
+          draftOwnership: profile?.ownership || '',
+        };
+      }));
+      setLoading(false);
+    };
+
+    loadVehicles();
+  }, [isOpen, user.userId]);
+
+  const updateRow = (plate, changes) => {
+    setRows((prev) => prev.map((row) => (row.plate === plate ? { ...row, ...changes } : row)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      for (const row of rows) {
+        if (row.draftNickname !== row.nickname || row.draftOwnership !== row.ownership) {
+          await saveVehicleProfile(user.userId, row.plate, {
+            nickname: row.draftNickname,
+            ownership: row.draftOwnership,
+          });
+        }
+      }
+
+      toaster.create({
+        title: 'Vehicles Saved',
+        description: 'Vehicle nicknames and ownership have been updated',
+        type: 'success',
+        duration: 3000,
+      });
+      onChange?.();
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <Box
+      position="fixed"
+      top={0}
+      left={0}
+      right={0}
+      bottom={0}
+      bg="blackAlpha.600"
+      zIndex={1000}
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      p={4}
+      onClick={onClose}
+    >
+      <Card.Root
+        maxW="700px"
+        w="full"
+        maxH="90vh"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Flex align="center" gap={2}>
+              <Car size={20} />
+              <Heading size="md">Vehicles</Heading>
+            </Flex>
+            <Button
+              onClick={onClose}
+              variant="ghost"
+              size="sm"
+              p={1}
+            >
+              <X size={20} />
+            </Button>
+          </Flex>
+          <Text fontSize="sm" color="gray.600" mt={2}>
+            Nicknames replace license plates in the transaction list and on receipts
+          </Text>
+        </Card.Header>
+
+        <Card.Body overflowY="auto">
+          {error && (
+            <Box p={3} mb={3} bg="red.50" borderRadius="md" borderWidth="1px" borderColor="red.200">
+              <Stack direction="row" align="center" gap={2}>
+                <TriangleAlertIcon size={16} color="red" />
+                <Text fontSize="sm" color="red.700">{error}</Text>
+              </Stack>
+            </Box>
+          )}
+
+          {loading ? (
+            <Flex justify="center" py={6}>
+              <Spinner size="lg" color="blue.500" />
+            </Flex>
+          ) : rows.length === 0 ? (
+            <Text fontSize="sm" color="gray.600" textAlign="center" py={6}>
+              No vehicles found on this account
+            </Text>
+          ) : (
+            <Stack gap={3}>
+              {rows.map((row) => (
+                <Box key={row.plate} p={3} borderWidth="1px" borderRadius="md" data-vehicle={row.plate}>
+                  <Flex justify="space-between" align="center" mb={2} gap={2}>
+                    <Box>
+                      <Text fontWeight="medium" fontSize="sm" fontFamily="mono">
+                        {row.state && `${row.state} - `}{maskData(row.plate, 'vehicle')}
+                      </Text>
+                      {(row.description || row.tagId) && (
+                        <Text fontSize="xs" color="gray.600">
+                          {row.description}
+                          {row.description && row.tagId && ' • '}
+                          {row.tagId && `Tag ${maskData(row.tagId, 'tag')}`}
+                        </Text>
+                      )}
+                    </Box>
+                    {row.isActive === false && (
+                      <Badge colorPalette="gray" variant="subtle">Inactive</Badge>
+                    )}
+                  </Flex>
+                  <Grid templateColumns={{ base: '1fr', sm: '2fr 1fr' }} gap={2}>
+                    <Input
+                      size="sm"
+                      value={row.draftNickname}
+                      onChange={(e) => updateRow(row.plate, { draftNickname: e.target.value })}
+                      placeholder="Nickname, e.g. Company F-150"
+                      aria-label={`Nickname for ${row.plate}`}
+                    />
+                    <NativeSelectRoot size="sm">
+                      <NativeSelectField
+                        value={row.draftOwnership}
+                        onChange={(e) => updateRow(row.plate, { draftOwnership: e.target.value })}
+                        aria-label={`Ownership of ${row.plate}`}
+                      >
+                        {ownershipTypes.map((type) => (
+                          <option key={type.value} value={type.value}>
+                            {type.value ? type.label : 'Ownership not set'}
+                          </option>
+                        ))}
+                      </NativeSelectField>
+                    </NativeSelectRoot>
+                  </Grid>
+                </Box>
+              ))}
+            </Stack>
+          )}
+        </Card.Body>
+
+        <Card.Footer>
+          <Flex justify="flex-end" w="full" gap={2}>
+            <Button
+              onClick={onClose}
+              variant="outline"
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleSave}
+              colorPalette="blue"
+              loading={saving}
+              disabled={loading || rows.length === 0}
+            >
+              Save Changes
+            </Button>
+          </Flex>
+        </Card.Footer>
+      </Card.Root>
+    </Box>
+  );
+}
@@ -0,0 +1,179 @@
+/**
+ * Account Sessions
+ *
+ * Keeps track of every NTTA account signed in during this browser session (for
+ * example a personal TollTag account and a company fleet account) and which one
+ * is active. Each entry holds that account's own access token, so requests and
+ * session renewal stay per account.
+ *
+ * Stored in encrypted sessionStorage, like the single account session before it.
+ */
+
+import { secureSessionStorage } from './secureStorage';
+import logger from './logger';
+
+const ACCOUNTS_KEY = 'ntta_accounts';
+const ACTIVE_ACCOUNT_KEY = 'ntta_active_account';
+
+// Keys used before multiple accounts were supported
+const LEGACY_KEYS = ['userId', 'username', 'fullName', 'accessToken', 'refreshToken'];
+
+const isSameAccount = (a, b) => String(a) === String(b);
+
+// Updates are read-modify-write on a single encrypted list, so serialize them
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+  const next = writeQueue.then(task, task);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Move a session stored with the single account keys into the account list
+ */
+async function migrateLegacySession() {
+  const userId = await secureSessionStorage.getItem('userId');
+  const username = await secureSessionStorage.getItem('username');
+  const accessToken = await secureSessionStorage.getItem('accessToken');
+
+  if (!userId || !username || !accessToken) return [];
+
+  let fullName = await secureSessionStorage.getItem('fullName');
+  if (!fullName || fullName === 'undefined' || fullName === 'null') {
+    fullName = null;
+  }
+
+  const account = {
+    userId,
+    username,
+    fullName,
+    accessToken,
+  };
+
+  logger.info('Migrating single account session to account list');
+  await saveAccounts([account]);
+  await secureSessionStorage.setItem(ACTIVE_ACCOUNT_KEY, userId);
+  LEGACY_KEYS.forEach(key => secureSessionStorage.removeItem(key));
+
+  return [account];
+}
+
+async function saveAccounts(accounts) {
+  try {
+    await secureSessionStorage.setItem(ACCOUNTS_KEY, accounts);
+  } catch (error) {
+    logger.error('Error saving account sessions:', error.message);
+  }
+}
+
+/**
+ * Get all signed in accounts
+ * Returns [{ userId, username, fullName, accessToken }]
+ */
+export async function getSignedInAccounts() {
+  try {
+    const accounts = await secureSessionStorage.getItem(ACCOUNTS_KEY);
+    if (Array.isArray(accounts)) return accounts;
+    return await migrateLegacySession();
+  } catch (error) {
+    logger.error('Error reading account sessions:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the id of the active account (falls back to the first signed in account)
+ */
+export async function getActiveAccountId() {
+  const accounts = await getSignedInAccounts();
+  const activeId = await secureSessionStorage.getItem(ACTIVE_ACCOUNT_KEY);
+  const active = accounts.find(a => isSameAccount(a.userId, activeId)) || accounts[0];
+  return active ? active.userId : null;
+}
+
+export async function setActiveAccountId(userId) {
+  await secureSessionStorage.setItem(ACTIVE_ACCOUNT_KEY, userId);
+}
+
+/**
+ * Add a signed in account, or replace the session of an account that is
+ * already signed in, and make it the active account
+ */
+export function saveAccountSession(account) {
+  return enqueueWrite(async () => {
+    const accounts = await getSignedInAccounts();
+    const entry = {
+      userId: account.userId,
+      username: account.username,
+      fullName: account.fullName || null,
+      accessToken: account.accessToken,
+    };
+
+    const index = accounts.findIndex(a => isSameAccount(a.userId, entry.userId));
+    if (index >= 0) {
+      accounts[index] = entry;
+    } else {
+      accounts.push(entry);
+    }
+
+    await saveAccounts(accounts);
+    await setActiveAccountId(entry.userId);
+    return entry;
+  });
+}
+
+/**
+ * Update an account's tokens after its session was renewed
+ */
+export function updateAccountTokens(userId, tokens) {
+  return enqueueWrite(async () => {
+    const accounts = await getSignedInAccounts();
+    const account = accounts.find(a => isSameAccount(a.userId, userId));
+    if (!account) return null;
+
+    if (tokens.accessToken !== undefined) account.accessToken = tokens.accessToken;
+
+    await saveAccounts(accounts);
+    return account;
+  });
+}
+
+/**
+ * Find the signed in account a bearer token was issued to
+ */
+export async function findAccountByToken(accessToken) {
+  if (!accessToken) return null;
+  const accounts = await getSignedInAccounts();
+  return accounts.find(a => a.accessToken === accessToken) || null;
+}
+
+/**
+ * Sign a single account out; returns the remaining accounts
+ */
+export function removeAccountSession(userId) {
+  return enqueueWrite(async () => {
+    const accounts = (await getSignedInAccounts()).filter(a => !isSameAccount(a.userId, userId));
+    await saveAccounts(accounts);
+
+    const activeId = await secureSessionStorage.getItem(ACTIVE_ACCOUNT_KEY);
+    if (isSameAccount(activeId, userId)) {
+      if (accounts.length > 0) {
+        await setActiveAccountId(accounts[0].userId);
+      } else {
+        secureSessionStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+      }
+    }
+
+    return accounts;
+  });
+}
+
+/**
+ * Label used to tell accounts apart, e.g. "JOHN DOE (#1234567)"
+ */
+export function getAccountLabel(account) {
+  if (!account) return '';
+  const name = account.fullName || account.username;
+  return name ? `${name} (#${account.userId})` : `#${account.userId}`;
+}
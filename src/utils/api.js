@@ -1,6 +1,8 @@
 import axios from 'axios';
 import { format } from 'date-fns';
 import logger from './logger';
+import { findAccountByToken, updateAccountTokens } from './accountSession';
+import { toRequestFilters } from './transactionFilters';
 
 const API_BASE_URL = '/api';
 
@@ -19,6 +21,109 @@ const apiClient = axios.create({
   },
 });
 
+// Session renewal
+//
+// When a request fails with 401 the response interceptor renews the session of
+// the account the token belongs to and retries the request once. Renewal signs
+// in again with the password grant, the only one /authenticate documents, so it
+// asks the app to prompt for the password (see setSessionHandlers). Concurrent
+// 401s for the same account share a single renewal.
+let sessionHandlers = {
+  onReauthenticate: null, // (account) => Promise<{ accessToken, AccountId }>
+  onTokenRenewed: null, // (userId, accessToken) => void
+};
+const pendingRenewals = new Map();
+
+// Tokens that have been replaced, mapped to the current token, so requests built
+// with a stale token (e.g. later pages of fetchTransactions) use the renewed one
+const renewedTokens = new Map();
+
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = { ...sessionHandlers, ...handlers };
+};
+
+const getBearerToken = (headers) => {
+  const authorization = headers?.Authorization || headers?.authorization || '';
+  return authorization.replace(/^Bearer\s+/i, '');
+};
+
+const isSessionExpired = (error) => error.response?.status === 401;
+
+// Build a user facing error message from an axios error
+const getErrorMessage = (error, fallback) => {
+  if (isSessionExpired(error)) {
+    return 'Your session has expired. Please log in again.';
+  }
+  return error.response?.data?.message || error.response?.data?.Detail || fallback;
+};
+
+const renewSession = async (account, expiredToken) => {
+  if (!sessionHandlers.onReauthenticate) {
+    throw new Error('Session expired');
+  }
+
+  const { accessToken } = await sessionHandlers.onReauthenticate(account);
+  await updateAccountTokens(account.userId, { accessToken });
+
+  renewedTokens.forEach((current, token) => {
+    if (current === expiredToken) renewedTokens.set(token, accessToken);
+  });
+  renewedTokens.set(expiredToken, accessToken);
+
+  sessionHandlers.onTokenRenewed?.(account.userId, accessToken);
+  return accessToken;
+};
+
+// Renew the session a token belongs to, sharing the renewal between concurrent requests
+const renewSessionForToken = async (expiredToken) => {
+  // Already renewed by another request that failed first
+  if (renewedTokens.has(expiredToken)) {
+    return renewedTokens.get(expiredToken);
+  }
+
+  const account = await findAccountByToken(expiredToken);
+  if (!account) {
+    throw new Error('Session expired');
+  }
+
+  if (!pendingRenewals.has(account.userId)) {
+    pendingRenewals.set(
+      account.userId,
+      renewSession(account, expiredToken).finally(() => pendingRenewals.delete(account.userId))
+    );
+  }
+  return pendingRenewals.get(account.userId);
+};
+
+apiClient.interceptors.request.use((config) => {
+  const token = getBearerToken(config.headers);
+  if (token && renewedTokens.has(token)) {
+    config.headers.Authorization = `Bearer ${renewedTokens.get(token)}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config } = error;
+    if (!isSessionExpired(error) || !config || config.skipSessionRenewal || config.sessionRenewed) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const accessToken = await renewSessionForToken(getBearerToken(config.headers));
+
+      config.sessionRenewed = true;
+      config.headers.Authorization = `Bearer ${accessToken}`;
+      return apiClient(config);
+    } catch (renewalError) {
+      logger.warn('Session renewal cancelled or failed:', renewalError.message);
+      return Promise.reject(error);
+    }
+  }
+);
+
 // Format date for NTTA API (e.g., "9/20/2025, 12:00:00 AM")
 export const formatNTTADate = (date, time = '12:00:00 AM') => {
   const formatted = format(date, 'M/d/yyyy');
@@ -55,6 +160,7 @@ export const authenticate = async (username, password, rememberMe = false) => {
         'appcurrdate': appCurrDate,
         'allowanonymous': 'true',
       },
+      skipSessionRenewal: true,
     });
 
     // Log the response to understand the structure
@@ -130,7 +236,27 @@ export const fetchAccountSummary = async (userId, accessToken) => {
   } catch (error) {
     logger.error('Account summary error:', error.response?.data || error.message);
     logger.error('Error status:', error.response?.status);
-    throw new Error(error.response?.data?.message || 'Failed to fetch account summary');
+    throw new Error(getErrorMessage(error, 'Failed to fetch account summary'));
+  }
+};
+
+// Fetch the account's current balances (toll balance, fees and amounts due)
+export const fetchBalance = async (userId, accessToken) => {
+  try {
+    const response = await apiClient.get(
+      `/customers/${userId}/balance/ACTIVE/false`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'appcurrdate': formatAppCurrDate(),
+          'allowanonymous': 'false',
+        },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    logger.error('Balance fetch error:', error.response?.data || error.message);
+    throw new Error(getErrorMessage(error, 'Failed to fetch balance'));
   }
 };
 
@@ -144,38 +270,64 @@ export const verifyConnection = async (userId, accessToken) => {
   }
 };
 
-// Fetch transactions with pagination
-export const fetchTransactions = async (userId, accessToken, startDate, endDate) => {
-  const allTransactions = [];
-  let pageNumber = 1;
-  let hasMorePages = true;
+const TRANSACTION_PAGE_SIZE = 50;
+const TRANSACTION_PAGE_CONCURRENCY = 4;
+
+const createAbortError = () => {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+};
 
+// Whether a request failed because its AbortSignal was aborted
+export const isAbortError = (error) => error?.name === 'AbortError' || axios.isCancel(error);
+
+// Fetch transactions, several pages at a time
+// Page 1 carries RecordCount (the total across all pages), so the remaining pages are
+// requested `concurrency` at a time; without it pages are requested until a short
+// page ends the history. A page that fails with 401 is retried after the session is
+// renewed, so pagination resumes instead of discarding the pages already fetched.
+// `filters` ({ trnsTypes, plates, transponders }) are applied by NTTA, so only the
+// matching pages are downloaded
+// `options.onProgress` is called after every page with
+// { page, pagesFetched, totalPages (null if unknown), transactionCount, transactions }
+// where `transactions` are that page's rows, so results can be shown as they arrive
+// `options.signal` cancels the remaining pages; the fetch then rejects with an AbortError
+export const fetchTransactions = async (userId, accessToken, startDate, endDate, filters = {}, options = {}) => {
+  const { signal, onProgress, concurrency = TRANSACTION_PAGE_CONCURRENCY } = options;
   const appCurrDate = formatAppCurrDate();
 
-  while (hasMorePages) {
+  // Aborted by the caller's signal, or by this fetch when one page fails
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal?.aborted) throw createAbortError();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  const pages = [];
+  let pagesFetched = 0;
+  let transactionCount = 0;
+  let totalPages = null;
+  let lastPage = Infinity; // First page shorter than a full page
+  let nextPage = 2;
+
+  const fetchPage = async (pageNumber) => {
+    if (controller.signal.aborted) throw createAbortError();
+
     try {
       logger.debug('Fetching transactions page:', pageNumber);
-      logger.debug('Request body:', {
-        StartDate: formatNTTADate(startDate, '12:00:00 AM'),
-        EndDate: formatNTTADate(endDate, '11:59:59 PM'),
-        TransactionDateType: 'true',
-        AppCurrDate: formatAppCurrDateBody(),
-      });
 
       const response = await apiClient.post(
         `/customers/${userId}/transhistory`,
         {
           Paging: {
             PageNumber: pageNumber,
-            PageSize: 50,
+            PageSize: TRANSACTION_PAGE_SIZE,
             SortDir: 1,
             SortColumn: 'POSTEDDATE',
           },
           StartDate: formatNTTADate(startDate, '12:00:00 AM'),
           EndDate: formatNTTADate(endDate, '11:59:59 PM'),
-          TrnsTypes: '',
-          Transponder: '',
-          Plates: '',
+          ...toRequestFilters(filters),
           customerId: userId,
           TransactionDateType: 'true',
           ExportAs: '',
@@ -188,37 +340,230 @@ export const fetchTransactions = async (userId, accessToken, startDate, endDate)
             'appcurrdate': appCurrDate,
             'allowanonymous': 'false',
           },
+          signal: controller.signal,
         }
       );
 
-      logger.debug('Transaction response structure:', response.data);
-      logger.debug('Is array:', Array.isArray(response.data));
-
       // The response is a plain array, not wrapped in TransactionHistory
       const transactions = Array.isArray(response.data) ? response.data : (response.data?.TransactionHistory || []);
+      logger.debug('Transaction page', pageNumber, 'received, count:', transactions.length);
+      return transactions;
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) throw createAbortError();
+      logger.error('Transaction fetch error:', error.response?.data || error.message);
+      logger.error('Error status:', error.response?.status);
+      throw new Error(getErrorMessage(error, 'Failed to fetch transactions'));
+    }
+  };
 
-      logger.debug('Transaction response received, count:', transactions.length);
+  const addPage = (pageNumber, transactions) => {
+    if (transactions.length < TRANSACTION_PAGE_SIZE) {
+      lastPage = Math.min(lastPage, pageNumber);
+    }
+
+    // Filter out violator transactions
+    // Note: TollAmount is negative (represents charges), and we use absolute value
+    const validTransactions = transactions.filter(
+      (t) => !t.IsViolator && Math.abs(parseFloat(t.TollAmount || 0)) > 0
+    );
 
-      // Filter out violator transactions
-      // Note: TollAmount is negative (represents charges), and we use absolute value
-      const validTransactions = transactions.filter(
-        (t) => !t.IsViolator && Math.abs(parseFloat(t.TollAmount || 0)) > 0
+    pages[pageNumber - 1] = validTransactions;
+    pagesFetched++;
+    transactionCount += validTransactions.length;
+    onProgress?.({
+      page: pageNumber,
+      pagesFetched,
+      totalPages,
+      transactionCount,
+      transactions: validTransactions,
+    });
+  };
+
+  // Each worker takes the next page number until the last page is reached
+  const worker = async () => {
+    while (nextPage <= Math.min(lastPage, totalPages ?? Infinity)) {
+      const pageNumber = nextPage++;
+      addPage(pageNumber, await fetchPage(pageNumber));
+    }
+  };
+
+  try {
+    const firstPage = await fetchPage(1);
+    const recordCount = Number(firstPage[0]?.RecordCount);
+    if (recordCount > 0) {
+      totalPages = Math.max(1, Math.ceil(recordCount / TRANSACTION_PAGE_SIZE));
+    }
+    addPage(1, firstPage);
+
+    try {
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    } catch (error) {
+      // Stop the other workers' requests
+      controller.abort();
+      throw error;
+    }
+
+    if (signal?.aborted) throw createAbortError();
+    return pages.filter(Boolean).flat();
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+// Fetch the vehicles registered on the account, one page at a time
+export const fetchVehicles = async (userId, accessToken) => {
+  const allVehicles = [];
+  const pageSize = 50;
+  let pageNumber = 1;
+  let hasMorePages = true;
+
+  const appCurrDate = formatAppCurrDate();
+
+  while (hasMorePages) {
+    try {
+      logger.debug('Fetching vehicles page:', pageNumber);
+
+      const response = await apiClient.get(
+        `/customers/${userId}/vehicles/${pageNumber}/${pageSize}/true`,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'appcurrdate': appCurrDate,
+            'allowanonymous': 'false',
+          },
+        }
       );
 
-      allTransactions.push(...validTransactions);
+      const vehicles = Array.isArray(response.data) ? response.data : [];
+      allVehicles.push(...vehicles);
 
-      // Check if there are more pages
-      if (transactions.length < 50 || transactions.length === 0) {
+      // RecordCount is the total across all pages
+      const recordCount = vehicles[0]?.RecordCount ?? 0;
+      if (vehicles.length < pageSize || allVehicles.length >= recordCount) {
         hasMorePages = false;
       } else {
         pageNumber++;
       }
     } catch (error) {
-      logger.error('Transaction fetch error:', error.response?.data || error.message);
-      logger.error('Error status:', error.response?.status);
-      throw new Error(error.response?.data?.message || error.response?.data?.Detail || 'Failed to fetch transactions');
+      logger.error('Vehicles fetch error:', error.response?.data || error.message);
+      throw new Error(getErrorMessage(error, 'Failed to fetch vehicles'));
+    }
+  }
+
+  return allVehicles;
+};
+
+// Fetch every plate on the account, including inactive ones
+// Returns [{ value: 'ABC1234', label: 'TX - ABC1234', vehicleStatus: 'Active', state: 'TX' }]
+export const fetchCustomerPlates = async (userId, accessToken) => {
+  try {
+    const response = await apiClient.get(
+      `/customers/${userId}/CustomerPlates`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'appcurrdate': formatAppCurrDate(),
+          'allowanonymous': 'false',
+        },
+      }
+    );
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    logger.error('Customer plates fetch error:', error.response?.data || error.message);
+    throw new Error(getErrorMessage(error, 'Failed to fetch license plates'));
+  }
+};
+
+// Fetch the transaction types the history can be filtered by
+// Returns [{ value: 'TOLL', label: 'TOLL' }]
+export const fetchTollTypes = async (userId, accessToken) => {
+  try {
+    const response = await apiClient.get(
+      `/customers/${userId}/tolltypes`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'appcurrdate': formatAppCurrDate(),
+          'allowanonymous': 'false',
+        },
+      }
+    );
+    return Array.isArray(response.data) ? response.data.filter((type) => type.value) : [];
+  } catch (error) {
+    logger.error('Toll types fetch error:', error.response?.data || error.message);
+    throw new Error(getErrorMessage(error, 'Failed to fetch transaction types'));
+  }
+};
+
+// Fetch the TollTags on the account
+// Returns [{ value: '14940987', label: 'DNT.14940987' }]
+export const fetchTransponders = async (userId, accessToken) => {
+  try {
+    const response = await apiClient.get(
+      `/customers/${userId}/Transponders`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'appcurrdate': formatAppCurrDate(),
+          'allowanonymous': 'false',
+        },
+      }
+    );
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    logger.error('Transponders fetch error:', error.response?.data || error.message);
+    throw new Error(getErrorMessage(error, 'Failed to fetch transponders'));
+  }
+};
+
+// Fetch account notifications (statements, expiring cards, suspended tags, invoices)
+// NotifStatus is the portal's own read state; read/unread in this app is kept locally
+export const fetchNotifications = async (userId, accessToken, status = 'ALL') => {
+  const allNotifications = [];
+  const pageSize = 50;
+  let pageNumber = 1;
+  let hasMorePages = true;
+
+  const appCurrDate = formatAppCurrDate();
+
+  while (hasMorePages) {
+    try {
+      logger.debug('Fetching notifications page:', pageNumber);
+
+      const response = await apiClient.post(
+        `/customers/${userId}/notifications`,
+        {
+          PageNumber: pageNumber,
+          PageSize: pageSize,
+          SortDirection: 1,
+          AlertChannelName: 'CustomerWebsite',
+          NotifStatus: status,
+          CustomerId: String(userId),
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'appcurrdate': appCurrDate,
+            'allowanonymous': 'false',
+          },
+        }
+      );
+
+      const notifications = Array.isArray(response.data) ? response.data : [];
+      allNotifications.push(...notifications);
+
+      // RecordsCount is the total across all pages
+      const recordCount = notifications[0]?.RecordsCount ?? 0;
+      if (notifications.length < pageSize || allNotifications.length >= recordCount) {
+        hasMorePages = false;
+      } else {
+        pageNumber++;
+      }
+    } catch (error) {
+      logger.error('Notifications fetch error:', error.response?.data || error.message);
+      throw new Error(getErrorMessage(error, 'Failed to fetch notifications'));
     }
   }
 
-  return allTransactions;
+  return allNotifications;
 };
@@ -0,0 +1,304 @@
+/**
+ * Backup and Restore
+ *
+ * Everything the app keeps in the browser (business purposes, purpose rules,
+ * vehicle profiles, balance history, notification reads, receipt profiles,
+ * preferences and the cached transaction history) exported to one file that
+ * is encrypted with a passphrase chosen for the backup, so it can be moved to
+ * another machine or kept in case the browser profile is cleared.
+ *
+ * Restoring merges the backup into the data on this device. Where both hold
+ * the same entry (a purpose for the same trip, the same cached transaction,
+ * the same setting) the conflict setting decides which one is kept. Local
+ * values that can't be decrypted are left alone and reported, since they may
+ * still be recovered. Sessions and the vault settings are device specific and
+ * never included.
+ */
+
+import { format } from 'date-fns';
+import {
+  secureLocalStorage,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+} from './secureStorage';
+import {
+  exportTransactionCache,
+  importTransactionCache,
+  getCachedTransactionIds,
+} from './transactionCache';
+import { WARNING_DAYS_KEY } from './balance';
+import { getReceiptProfiles, saveReceiptProfiles, createProfileFromLegacySettings } from './receiptProfiles';
+import { validatePassphrase } from './validation';
+import logger from './logger';
+
+const BACKUP_FORMAT = 'ntta-toll-expenser-backup';
+const BACKUP_VERSION = 1;
+
+// Encrypted stores included in backups, by key prefix
+const SECURE_KEY_PREFIXES = [
+  'ntta_business_purposes_',
+  'ntta_purpose_rules',
+  'ntta_vehicle_profiles_',
+  'ntta_balance_history_',
+  'ntta_notification_reads_',
+  'ntta_receipt_profiles',
+];
+
+// Plain localStorage preferences included in backups
+const PLAIN_KEYS = ['privacyMode', WARNING_DAYS_KEY];
+
+// Receipt settings in backups made before receipt profiles replaced them;
+// restored as a receipt profile
+const LEGACY_RECEIPT_SETTINGS_KEY = 'receiptSettings';
+const RECEIPT_PROFILES_KEY = 'ntta_receipt_profiles';
+const RESTORED_PROFILE_LABEL = 'Restored Settings';
+
+export const CONFLICT_KEEP_LOCAL = 'local';
+export const CONFLICT_USE_BACKUP = 'backup';
+
+const isBackedUpKey = (key) => SECURE_KEY_PREFIXES.some((prefix) => key.startsWith(prefix));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Collect everything to back up
+ * Returns { secure: { [key]: value }, plain: { [key]: string }, transactions }
+ */
+async function collectBackupData() {
+  const secure = {};
+  for (const key of Object.keys(localStorage).filter(isBackedUpKey)) {
+    const value = await secureLocalStorage.getItem(key);
+    if (value !== null) secure[key] = value;
+  }
+
+  const plain = {};
+  PLAIN_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) plain[key] = value;
+  });
+
+  return { secure, plain, transactions: await exportTransactionCache() };
+}
+
+/**
+ * Counts shown before exporting or restoring
+ */
+export function summarizeBackup(data) {
+  const accounts = Object.keys(data.transactions);
+  return {
+    settings: Object.keys(data.secure).length + Object.keys(data.plain).length,
+    accounts: accounts.length,
+    transactions: accounts.reduce((sum, id) => sum + data.transactions[id].transactions.length, 0),
+  };
+}
+
+/**
+ * Build an encrypted backup file
+ * Returns { blob, filename, summary }
+ */
+export async function createBackup(passphrase) {
+  const validation = validatePassphrase(passphrase);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const data = await collectBackupData();
+  const createdAt = new Date().toISOString();
+  const file = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt,
+    ...(await encryptWithPassphrase({ version: BACKUP_VERSION, createdAt, ...data }, passphrase)),
+  };
+
+  return {
+    blob: new Blob([JSON.stringify(file)], { type: 'application/json' }),
+    filename: `ntta-toll-backup-${format(new Date(), 'yyyy-MM-dd')}.json`,
+    summary: summarizeBackup(data),
+  };
+}
+
+/**
+ * Check the decrypted contents of a backup; throws on anything unexpected
+ */
+function validateBackupData(data) {
+  if (!isPlainObject(data) || !isPlainObject(data.secure) || !isPlainObject(data.plain) || !isPlainObject(data.transactions)) {
+    throw new Error('The backup is incomplete');
+  }
+
+  const unknownKey = [...Object.keys(data.secure).filter((key) => !isBackedUpKey(key)),
+    ...Object.keys(data.plain).filter((key) => !PLAIN_KEYS.includes(key) && key !== LEGACY_RECEIPT_SETTINGS_KEY)][0];
+  if (unknownKey) {
+    throw new Error(`The backup contains an unexpected entry (${unknownKey})`);
+  }
+  if (Object.values(data.plain).some((value) => typeof value !== 'string')) {
+    throw new Error('The backup contains invalid preferences');
+  }
+
+  Object.entries(data.transactions).forEach(([accountId, account]) => {
+    if (!/^\w+$/.test(accountId) || !Array.isArray(account?.transactions) || !Array.isArray(account?.ranges)) {
+      throw new Error('The backup contains an invalid transaction history');
+    }
+  });
+  return data;
+}
+
+/**
+ * Read, decrypt and validate a backup file
+ * Returns { data, createdAt, summary }
+ */
+export async function readBackup(file, passphrase) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('This file is not a backup');
+  }
+
+  if (parsed?.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a backup');
+  }
+  if (parsed.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app');
+  }
+
+  let data;
+  try {
+    data = await decryptWithPassphrase(parsed, passphrase);
+  } catch (error) {
+    throw new Error('Incorrect passphrase, or the file is damaged');
+  }
+
+  validateBackupData(data);
+  return { data, createdAt: parsed.createdAt, summary: summarizeBackup(data) };
+}
+
+/**
+ * Number of backed up transactions that are already cached on this device
+ */
+export async function countOverlappingTransactions(data) {
+  let overlapping = 0;
+  for (const [accountId, { transactions }] of Object.entries(data.transactions)) {
+    const cachedIds = await getCachedTransactionIds(accountId);
+    overlapping += transactions.filter((t) => cachedIds.has(String(t?.CustomerTripId))).length;
+  }
+  return overlapping;
+}
+
+/**
+ * Merge a backed up value into the local one: objects key by key (nested
+ * objects recursively), lists by id or date, anything else by the conflict
+ * setting
+ */
+function mergeValues(local, backup, conflict) {
+  if (local === null || local === undefined) return backup;
+  if (isPlainObject(local) && isPlainObject(backup)) {
+    const merged = { ...local };
+    Object.entries(backup).forEach(([key, value]) => {
+      merged[key] = key in local ? mergeValues(local[key], value, conflict) : value;
+    });
+    return merged;
+  }
+
+  if (Array.isArray(local) && Array.isArray(backup)) {
+    const identity = ['id', 'date'].find((field) =>
+      [...local, ...backup].every((item) => isPlainObject(item) && item[field] !== undefined)
+    );
+    if (identity) {
+      const byId = new Map(local.map((item) => [item[identity], item]));
+      backup.forEach((item) => {
+        if (!byId.has(item[identity]) || conflict === CONFLICT_USE_BACKUP) {
+          byId.set(item[identity], item);
+        }
+      });
+      const merged = [...byId.values()];
+      // Dated lists (balance history) stay in date order
+      return identity === 'date' ? merged.sort((a, b) => String(a.date).localeCompare(String(b.date))) : merged;
+    }
+  }
+
+  return conflict === CONFLICT_USE_BACKUP ? backup : local;
+}
+
+/**
+ * Add the receipt settings of an older backup as a receipt profile
+ * Returns false when the local profiles can't be read (they are left alone)
+ */
+async function restoreLegacyReceiptSettings(value, conflict) {
+  let legacy;
+  try {
+    legacy = JSON.parse(value);
+  } catch (error) {
+    legacy = null;
+  }
+  if (!isPlainObject(legacy)) {
+    logger.warn('Skipping unreadable receipt settings in backup');
+    return true;
+  }
+
+  const { profiles, selectedId, unreadable } = await getReceiptProfiles();
+  if (unreadable) return false;
+
+  const existing = profiles.find((profile) => profile.label === RESTORED_PROFILE_LABEL);
+  if (existing && conflict === CONFLICT_KEEP_LOCAL) return true;
+
+  const restored = createProfileFromLegacySettings(legacy, RESTORED_PROFILE_LABEL);
+  await saveReceiptProfiles({
+    profiles: existing
+      ? profiles.map((profile) => (profile.id === existing.id ? { ...restored, id: existing.id } : profile))
+      : [...profiles, restored],
+    selectedId,
+  });
+  return true;
+}
+
+/**
+ * Merge a backup into this device's data
+ * Returns { settings, unreadable, transactions: { added, replaced, kept } };
+ * `unreadable` lists the keys skipped because the local value can't be
+ * decrypted
+ */
+export async function restoreBackup(data, { conflict = CONFLICT_KEEP_LOCAL } = {}) {
+  validateBackupData(data);
+
+  // Transactions first: if writing them fails, nothing else has changed
+  const transactions = await importTransactionCache(data.transactions, {
+    keepExisting: conflict === CONFLICT_KEEP_LOCAL,
+  });
+
+  let settings = 0;
+  const unreadable = [];
+  for (const [key, value] of Object.entries(data.secure)) {
+    const local = await secureLocalStorage.getItem(key);
+    if (local === null && secureLocalStorage.hasItem(key)) {
+      unreadable.push(key);
+      continue;
+    }
+    await secureLocalStorage.setItem(key, mergeValues(local, value, conflict));
+    settings++;
+  }
+
+  for (const [key, value] of Object.entries(data.plain)) {
+    if (key === LEGACY_RECEIPT_SETTINGS_KEY) {
+      // Newer backups carry the profiles themselves
+      if (data.secure[RECEIPT_PROFILES_KEY]) continue;
+      if (await restoreLegacyReceiptSettings(value, conflict)) {
+        settings++;
+      } else {
+        unreadable.push(RECEIPT_PROFILES_KEY);
+      }
+      continue;
+    }
+
+    if (localStorage.getItem(key) === null || conflict === CONFLICT_USE_BACKUP) {
+      localStorage.setItem(key, value);
+    }
+    settings++;
+  }
+
+  if (unreadable.length > 0) {
+    logger.warn(`Skipped ${unreadable.length} settings that can't be decrypted on this device`);
+  }
+  logger.info(`Restored backup: ${settings} settings, ${transactions.added + transactions.replaced} transactions`);
+  return { settings, unreadable, transactions };
+}
@@ -0,0 +1,112 @@
+/**
+ * Balance History and Low-Balance Forecast
+ *
+ * NTTA only returns the current balance, so a snapshot is stored each time it
+ * is fetched (one per day, per account, in encrypted localStorage) to draw a
+ * balance trend. The forecast projects when the prepaid balance drops below the
+ * auto-replenishment threshold from the daily toll spend of loaded transactions.
+ */
+
+import { differenceInCalendarDays, format, parseISO, subDays } from 'date-fns';
+import { secureLocalStorage } from './secureStorage';
+import { getTransactionAmount } from './receiptData';
+import logger from './logger';
+
+const HISTORY_KEY_PREFIX = 'ntta_balance_history';
+const MAX_SNAPSHOTS = 90;
+const SPEND_LOOKBACK_DAYS = 30;
+
+export const WARNING_DAYS_KEY = 'balanceWarningDays';
+export const DEFAULT_WARNING_DAYS = 7;
+export const warningDayOptions = [3, 7, 14, 30];
+
+function getHistoryKey(accountId) {
+  return `${HISTORY_KEY_PREFIX}_${accountId}`;
+}
+
+/**
+ * Get stored balance snapshots for an account, oldest first
+ * Returns [{ date: 'yyyy-MM-dd', balance, recordedAt }]
+ */
+export async function getBalanceHistory(accountId) {
+  if (!accountId) return [];
+
+  try {
+    const history = await secureLocalStorage.getItem(getHistoryKey(accountId));
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    logger.error('Error reading balance history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Store today's balance (replacing an earlier snapshot from the same day)
+ * Returns the updated history
+ */
+export async function recordBalanceSnapshot(accountId, balance) {
+  const history = await getBalanceHistory(accountId);
+  if (!accountId || typeof balance !== 'number' || isNaN(balance)) return history;
+
+  const date = format(new Date(), 'yyyy-MM-dd');
+  const updated = [
+    ...history.filter((snapshot) => snapshot.date !== date),
+    { date, balance, recordedAt: Date.now() },
+  ]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-MAX_SNAPSHOTS);
+
+  try {
+    await secureLocalStorage.setItem(getHistoryKey(accountId), updated);
+  } catch (error) {
+    logger.error('Error saving balance history:', error.message);
+  }
+  return updated;
+}
+
+// Warning horizon lives in plain localStorage like the receipt settings
+export const getWarningDays = () => {
+  const stored = parseInt(localStorage.getItem(WARNING_DAYS_KEY), 10);
+  return warningDayOptions.includes(stored) ? stored : DEFAULT_WARNING_DAYS;
+};
+
+export const saveWarningDays = (days) => {
+  localStorage.setItem(WARNING_DAYS_KEY, String(days));
+};
+
+/**
+ * Average daily toll spend over the most recent days of the loaded range
+ * Returns { dailySpend, days } or null when nothing is loaded
+ */
+export function getDailySpend(transactions, rangeStart, rangeEnd) {
+  if (!Array.isArray(transactions) || transactions.length === 0 || !rangeStart || !rangeEnd) {
+    return null;
+  }
+
+  // 'yyyy-MM-dd' range bounds are local days; new Date() would read them as UTC
+  const end = new Date(Math.min(parseISO(rangeEnd).getTime(), Date.now()));
+  const start = new Date(Math.max(
+    parseISO(rangeStart).getTime(),
+    subDays(end, SPEND_LOOKBACK_DAYS - 1).getTime()
+  ));
+  const days = Math.max(1, differenceInCalendarDays(end, start) + 1);
+  const startKey = format(start, 'yyyy-MM-dd');
+  const endKey = format(end, 'yyyy-MM-dd');
+
+  const total = transactions.reduce((sum, t) => {
+    const tripDate = t.Entry_TripDateTime?.split('T')[0];
+    return tripDate && tripDate >= startKey && tripDate <= endKey ? sum + getTransactionAmount(t) : sum;
+  }, 0);
+
+  return { dailySpend: total / days, days };
+}
+
+/**
+ * Days until the balance falls below the threshold at the given daily spend
+ * Returns null when there is no spend to project from
+ */
+export function getDaysUntilThreshold(balance, threshold, dailySpend) {
+  if (typeof balance !== 'number' || !dailySpend || dailySpend <= 0) return null;
+  if (balance < (threshold || 0)) return 0;
+  return Math.floor((balance - (threshold || 0)) / dailySpend);
+}
@@ -0,0 +1,46 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Range bounds are local days, so run where local midnight isn't UTC midnight
+process.env.TZ = 'America/Chicago';
+
+// Only the forecast is tested; it doesn't touch the snapshot storage
+vi.mock('./secureStorage', () => ({ secureLocalStorage: {} }));
+
+const { getDailySpend } = await import('./balance');
+
+const toll = (tripDateTime, amount) => ({ Entry_TripDateTime: tripDateTime, TollAmount: -amount });
+
+describe('getDailySpend', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-19T15:00:00-05:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('runs in a time zone behind UTC', () => {
+    expect(new Date('2026-10-19T00:00:00').getTimezoneOffset()).toBeGreaterThan(0);
+  });
+
+  it('includes the tolls of the first and last day of the range', () => {
+    const transactions = [
+      toll('2026-10-01T08:00:00', 2),
+      toll('2026-10-10T08:00:00', 3),
+      toll('2026-10-19T08:00:00', 4),
+      toll('2026-09-30T08:00:00', 100),
+    ];
+
+    const { dailySpend, days } = getDailySpend(transactions, '2026-10-01', '2026-10-19');
+
+    expect(days).toBe(19);
+    expect(dailySpend).toBeCloseTo(9 / 19);
+  });
+
+  it('stops the range at today', () => {
+    const { days } = getDailySpend([toll('2026-10-19T08:00:00', 1)], '2026-10-01', '2026-10-31');
+
+    expect(days).toBe(19);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Business Purpose Store
+ *
+ * Persists business purposes entered in the transaction viewer so they survive
+ * page reloads, idle logouts and date range changes. Purposes are stored per
+ * NTTA account in encrypted localStorage, keyed either by CustomerTripId
+ * (ungrouped mode) or by group key (day / trip grouping).
+ *
+ * Purposes typed in the viewer are queued and written together once typing
+ * pauses, since every write decrypts and re-encrypts the account's whole store.
+ */
+
+import { secureLocalStorage } from './secureStorage';
+import { sanitizeBusinessPurpose } from './validation';
+import logger from './logger';
+
+const STORE_KEY_PREFIX = 'ntta_business_purposes';
+
+export const PURPOSE_TYPE_TRIP = 'trip';
+export const PURPOSE_TYPE_GROUP = 'group';
+
+const SAVE_DELAY_MS = 500;
+
+// Purposes queued while typing: accountId -> Map of "bucket:key" -> entry
+const pendingSaves = new Map();
+let pendingTimer = null;
+
+// Writes are read-modify-write on a single encrypted blob, so serialize them
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+  const next = writeQueue.then(task, task);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+function getStoreKey(accountId) {
+  return `${STORE_KEY_PREFIX}_${accountId}`;
+}
+
+function getBucket(type) {
+  return type === PURPOSE_TYPE_GROUP ? 'groups' : 'trips';
+}
+
+function getPendingKey(type, key) {
+  return `${getBucket(type)}:${key}`;
+}
+
+async function readBusinessPurposes(accountId) {
+  const empty = { trips: {}, groups: {} };
+  if (!accountId) return empty;
+
+  try {
+    const stored = await secureLocalStorage.getItem(getStoreKey(accountId));
+    if (!stored) return empty;
+    return { trips: stored.trips || {}, groups: stored.groups || {} };
+  } catch (error) {
+    logger.error('Error reading business purposes:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * Get all stored purposes for an account, including any still queued
+ * Returns { trips: { [tripId]: entry }, groups: { [groupKey]: entry } }
+ */
+export async function getBusinessPurposes(accountId) {
+  await flushBusinessPurposeSaves();
+  return readBusinessPurposes(accountId);
+}
+
+async function saveBusinessPurposes(accountId, purposes) {
+  try {
+    await secureLocalStorage.setItem(getStoreKey(accountId), purposes);
+  } catch (error) {
+    logger.error('Error saving business purposes:', error.message);
+  }
+}
+
+// Apply several purpose changes to an account's store in one write
+function writeBusinessPurposes(accountId, entries) {
+  return enqueueWrite(async () => {
+    const purposes = await readBusinessPurposes(accountId);
+
+    entries.forEach(({ type, key, purpose, label }) => {
+      const bucket = purposes[getBucket(type)];
+      const sanitized = sanitizeBusinessPurpose(purpose);
+
+      if (!sanitized) {
+        delete bucket[key];
+      } else {
+        bucket[key] = {
+          purpose: sanitized,
+          label: label || bucket[key]?.label || key,
+          updatedAt: Date.now(),
+        };
+      }
+    });
+
+    await saveBusinessPurposes(accountId, purposes);
+  });
+}
+
+/**
+ * Save (or clear, when the purpose is empty) a single business purpose
+ * `label` is a human readable description shown in the purpose editor
+ */
+export function saveBusinessPurpose(accountId, entry) {
+  if (!accountId || !entry.key) return Promise.resolve();
+
+  // This value supersedes one still queued from typing
+  pendingSaves.get(String(accountId))?.delete(getPendingKey(entry.type, entry.key));
+  return writeBusinessPurposes(accountId, [entry]);
+}
+
+/**
+ * Queue a purpose as it is typed; queued purposes are saved together once
+ * typing pauses, or when flushBusinessPurposeSaves is called
+ */
+export function queueBusinessPurposeSave(accountId, entry) {
+  if (!accountId || !entry.key) return;
+
+  const accountKey = String(accountId);
+  if (!pendingSaves.has(accountKey)) {
+    pendingSaves.set(accountKey, new Map());
+  }
+  pendingSaves.get(accountKey).set(getPendingKey(entry.type, entry.key), entry);
+
+  clearTimeout(pendingTimer);
+  pendingTimer = setTimeout(flushBusinessPurposeSaves, SAVE_DELAY_MS);
+}
+
+/**
+ * Save queued purposes now (e.g. when a purpose field loses focus)
+ */
+export function flushBusinessPurposeSaves() {
+  clearTimeout(pendingTimer);
+  pendingTimer = null;
+
+  const batches = [...pendingSaves];
+  pendingSaves.clear();
+  return Promise.all(batches.map(([accountId, entries]) =>
+    writeBusinessPurposes(accountId, [...entries.values()])
+  ));
+}
+
+/**
+ * Remove a single stored purpose
+ */
+export function removeBusinessPurpose(accountId, type, key) {
+  return saveBusinessPurpose(accountId, { type, key, purpose: '' });
+}
+
+/**
+ * Remove every stored purpose for an account
+ */
+export function clearBusinessPurposes(accountId) {
+  if (!accountId) return Promise.resolve();
+
+  pendingSaves.delete(String(accountId));
+  return enqueueWrite(async () => {
+    try {
+      await secureLocalStorage.removeItem(getStoreKey(accountId));
+    } catch (error) {
+      logger.error('Error clearing business purposes:', error);
+    }
+  });
+}
+
+/**
+ * Build the viewer's purpose map for a set of loaded transactions
+ * Trip purposes are matched by CustomerTripId, group purposes by the date
+ * prefix of their group key ("yyyy-MM-dd" or "yyyy-MM-dd_VEHICLE").
+ */
+export async function restoreBusinessPurposes(accountId, transactions) {
+  const restored = {};
+  if (!accountId || !Array.isArray(transactions) || transactions.length === 0) {
+    return restored;
+  }
+
+  const { trips, groups } = await getBusinessPurposes(accountId);
+  const tripDates = new Set();
+
+  transactions.forEach(t => {
+    if (t.CustomerTripId && trips[t.CustomerTripId]) {
+      restored[t.CustomerTripId] = trips[t.CustomerTripId].purpose;
+    }
+    tripDates.add(t.Entry_TripDateTime?.split('T')[0] || 'Unknown Date');
+  });
+
+  Object.entries(groups).forEach(([groupKey, entry]) => {
+    if (tripDates.has(groupKey.split('_')[0])) {
+      restored[groupKey] = entry.purpose;
+    }
+  });
+
+  return restored;
+}
@@ -3,7 +3,9 @@ import {
   endOfMonth,
   subMonths,
   subDays,
+  subYears,
   startOfYear,
+  endOfYear,
   format
 } from 'date-fns';
 
@@ -61,6 +63,33 @@ export const datePresets = [
       startDate: startOfYear(new Date()),
       endDate: new Date()
     })
+  },
+  {
+    label: 'Last Tax Year',
+    value: 'last-tax-year',
+    getDates: () => {
+      const lastYear = subYears(new Date(), 1);
+      return {
+        startDate: startOfYear(lastYear),
+        endDate: endOfYear(lastYear)
+      };
+    }
+  },
+  {
+    label: 'Last 12 Months',
+    value: 'last-12-months',
+    getDates: () => ({
+      startDate: subYears(new Date(), 1),
+      endDate: new Date()
+    })
+  },
+  {
+    label: 'Last 2 Years',
+    value: 'last-2-years',
+    getDates: () => ({
+      startDate: subYears(new Date(), 2),
+      endDate: new Date()
+    })
   }
 ];
 
@@ -0,0 +1,160 @@
+import { format } from 'date-fns';
+import {
+  sortTransactionsByDate,
+  calculateReceiptTotal,
+  getReceiptDateRange,
+  formatReceiptDateRange,
+  getReceiptRow,
+  getTransactionAmount,
+  getReceiptFileTimestamp,
+  spansMultipleAccounts,
+} from './receiptData';
+import { toCSV, createCSVBlob, downloadBlob } from './fileExport';
+
+// Fixed values every expense line carries
+export const EXPENSE_TYPE = 'Tolls';
+export const EXPENSE_MERCHANT = 'NTTA';
+export const EXPENSE_CURRENCY = 'USD';
+
+// How selected tolls are turned into expense lines
+export const expenseGranularities = [
+  { value: 'transaction', label: 'One line per toll' },
+  { value: 'purpose', label: 'One line per business purpose' },
+];
+
+const formatLineDate = (date, pattern) => (date ? format(date, pattern) : '');
+
+/**
+ * Expense system import layouts.
+ *
+ * Each descriptor lists its columns as { header, value(line) } pairs, where `line`
+ * is an expense line built by buildExpenseLines(). Add a new layout by appending
+ * a descriptor here; the transaction viewer lists whatever is defined.
+ */
+export const expenseFormats = [
+  {
+    id: 'concur',
+    label: 'SAP Concur',
+    description: 'Concur expense import (CSV, MM/DD/YYYY dates)',
+    delimiter: ',',
+    extension: 'csv',
+    columns: [
+      { header: 'Expense Type', value: line => line.expenseType },
+      { header: 'Transaction Date', value: line => formatLineDate(line.date, 'MM/dd/yyyy') },
+      { header: 'Vendor', value: line => line.merchant },
+      { header: 'Amount', value: line => line.amount.toFixed(2) },
+      { header: 'Currency', value: line => line.currency },
+      { header: 'Business Purpose', value: line => line.description },
+      { header: 'Comment', value: line => line.comment },
+    ],
+  },
+  {
+    id: 'expensify',
+    label: 'Expensify',
+    description: 'Expensify spreadsheet import (CSV, YYYY-MM-DD dates)',
+    delimiter: ',',
+    extension: 'csv',
+    columns: [
+      { header: 'Date', value: line => formatLineDate(line.date, 'yyyy-MM-dd') },
+      { header: 'Merchant', value: line => line.merchant },
+      { header: 'Amount', value: line => line.amount.toFixed(2) },
+      { header: 'Currency', value: line => line.currency },
+      { header: 'Category', value: line => line.expenseType },
+      { header: 'Comment', value: line => line.description },
+      { header: 'Reimbursable', value: () => 'TRUE' },
+    ],
+  },
+  {
+    id: 'sap',
+    label: 'SAP (semicolon)',
+    description: 'Generic SAP upload (semicolon separated, YYYYMMDD dates)',
+    delimiter: ';',
+    extension: 'csv',
+    columns: [
+      { header: 'EXPENSE_TYPE', value: line => line.expenseType.toUpperCase() },
+      { header: 'RECEIPT_DATE', value: line => formatLineDate(line.date, 'yyyyMMdd') },
+      { header: 'AMOUNT', value: line => line.amount.toFixed(2) },
+      { header: 'CURRENCY', value: line => line.currency },
+      { header: 'VENDOR', value: line => line.merchant },
+      { header: 'DESCRIPTION', value: line => line.description },
+    ],
+  },
+];
+
+export const getExpenseFormat = (formatId) => {
+  return expenseFormats.find(f => f.id === formatId) || null;
+};
+
+const createExpenseLine = (fields) => ({
+  expenseType: EXPENSE_TYPE,
+  merchant: EXPENSE_MERCHANT,
+  currency: EXPENSE_CURRENCY,
+  ...fields,
+});
+
+/**
+ * Build format-independent expense lines from transactions grouped by business purpose
+ * (the same structure passed to generatePDF).
+ */
+export const buildExpenseLines = (groupedTransactions, granularity = 'transaction') => {
+  const lines = [];
+  const includeAccount = spansMultipleAccounts(Object.values(groupedTransactions).flat());
+
+  Object.entries(groupedTransactions).forEach(([businessPurpose, transactions]) => {
+    const sortedTransactions = sortTransactionsByDate(transactions);
+    const description = businessPurpose || 'Not specified';
+
+    if (granularity === 'purpose') {
+      const dateRange = getReceiptDateRange(sortedTransactions);
+      const count = sortedTransactions.length;
+      lines.push(createExpenseLine({
+        date: dateRange ? dateRange.maxDate : null,
+        amount: calculateReceiptTotal(sortedTransactions),
+        description,
+        comment: `${count} toll${count !== 1 ? 's' : ''}, ${formatReceiptDateRange(sortedTransactions)}`,
+      }));
+      return;
+    }
+
+    sortedTransactions.forEach(t => {
+      const row = getReceiptRow(t);
+      lines.push(createExpenseLine({
+        date: t.Entry_TripDateTime ? new Date(t.Entry_TripDateTime) : null,
+        amount: getTransactionAmount(t),
+        description,
+        comment: [
+          includeAccount ? row.account : null,
+          row.location,
+          row.vehicle !== 'N/A' ? row.vehicle : null,
+        ].filter(Boolean).join(' - '),
+      }));
+    });
+  });
+
+  return lines;
+};
+
+// Render expense lines as rows (header first) for a format descriptor
+export const formatExpenseRows = (expenseFormat, lines) => {
+  return [
+    expenseFormat.columns.map(column => column.header),
+    ...lines.map(line => expenseFormat.columns.map(column => column.value(line))),
+  ];
+};
+
+// Generate and download an expense system import file
+export const generateExpenseExport = (groupedTransactions, formatId, granularity = 'transaction') => {
+  const expenseFormat = getExpenseFormat(formatId);
+  if (!expenseFormat) {
+    throw new Error(`Unknown expense format: ${formatId}`);
+  }
+
+  const lines = buildExpenseLines(groupedTransactions, granularity);
+  const rows = formatExpenseRows(expenseFormat, lines);
+  const csv = toCSV(rows, expenseFormat.delimiter);
+
+  const filename = `NTTA_${expenseFormat.id}_${getReceiptFileTimestamp()}.${expenseFormat.extension}`;
+  downloadBlob(createCSVBlob(csv), filename);
+
+  return lines.length;
+};
@@ -0,0 +1,42 @@
+// Helpers for building and downloading exported files in the browser
+
+// Trigger a browser download for a Blob
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Spreadsheets run text starting with these as a formula; numbers such as
+// negative amounts are left as they are
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+// Quote a CSV field when it contains the delimiter, quotes or line breaks, and
+// prefix text that would open as a formula with '
+export const escapeCSVField = (value, delimiter = ',') => {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(str) && !NUMBER.test(str)) {
+    str = `'${str}`;
+  }
+  const needsQuotes = str.includes(delimiter) || /["\r\n]/.test(str);
+  return needsQuotes ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Build a CSV string from an array of rows
+export const toCSV = (rows, delimiter = ',') => {
+  return rows
+    .map(row => row.map(field => escapeCSVField(field, delimiter)).join(delimiter))
+    .join('\r\n');
+};
+
+// Wrap CSV text in a Blob, prefixed with a BOM so Excel opens the file as UTF-8
+export const createCSVBlob = (csv) => {
+  return new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+};
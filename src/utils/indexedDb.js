@@ -0,0 +1,102 @@
+/**
+ * IndexedDB Helpers
+ *
+ * Opens the app's database and wraps IndexedDB requests and transactions in
+ * promises. Stores that outgrow Web Storage (the transaction cache) live here;
+ * record contents are encrypted by the caller, only index fields are plain.
+ */
+
+import logger from './logger';
+
+const DB_NAME = 'ntta-toll-expenser';
+const DB_VERSION = 1;
+
+export const TRANSACTIONS_STORE = 'transactions';
+export const CACHE_RANGES_STORE = 'cacheRanges';
+
+let dbPromise = null;
+
+export function isIndexedDbSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Create the stores and indexes of each schema version
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    // One record per cached transaction, keyed by account and CustomerTripId
+    const transactions = db.createObjectStore(TRANSACTIONS_STORE, { keyPath: ['accountId', 'id'] });
+    transactions.createIndex('account', 'accountId');
+    transactions.createIndex('account_tripDay', ['accountId', 'tripDay']);
+    transactions.createIndex('account_vehicle_tripDay', ['accountId', 'vehicleKey', 'tripDay']);
+    transactions.createIndex('account_tag_tripDay', ['accountId', 'tagKey', 'tripDay']);
+
+    // Fetched date intervals of each account
+    db.createObjectStore(CACHE_RANGES_STORE, { keyPath: 'accountId' });
+  }
+}
+
+/**
+ * Open (and upgrade) the database once per session
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => logger.warn('IndexedDB upgrade blocked by another open tab');
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction commits, rejects if it fails or is aborted
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Visit every record of a cursor request; `onRecord(cursor)` may update or
+ * delete the current record
+ */
+export function iterateCursor(request, onRecord) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      onRecord(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
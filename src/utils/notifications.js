@@ -0,0 +1,113 @@
+/**
+ * Account Notifications
+ *
+ * Notices NTTA posts to the customer portal (statements, expiring cards,
+ * suspended tags, invoices due). The API leaves AlertType empty on most
+ * notices, so the type is worked out from the message text. Read/unread state
+ * is kept per account in encrypted localStorage, since marking a notice read
+ * here should not change it on the official portal.
+ */
+
+import { secureLocalStorage } from './secureStorage';
+import logger from './logger';
+
+const READS_KEY_PREFIX = 'ntta_notification_reads';
+
+export const NOTIFICATION_TYPE_ALL = 'all';
+
+// Checked in order; the first match wins ("TollTag monthly statement" is a statement)
+export const notificationTypes = [
+  { value: 'statement', label: 'Statements', color: 'blue', pattern: /statement/i },
+  { value: 'invoice', label: 'Invoices', color: 'red', pattern: /invoice|past due|amount due|payment due|violation/i },
+  { value: 'payment', label: 'Payment Method', color: 'orange', pattern: /card|payment|replenish|bank|expir/i },
+  { value: 'tag', label: 'TollTag Status', color: 'orange', pattern: /suspend|deactivat|inactive|blocked|lost|stolen/i },
+  { value: 'transaction', label: 'Transactions', color: 'gray', pattern: /transaction|toll/i },
+  { value: 'other', label: 'Other', color: 'gray', pattern: null },
+];
+
+// Read-modify-write on a single encrypted blob, so serialize writes
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+  const next = writeQueue.then(task, task);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+function getReadsKey(accountId) {
+  return `${READS_KEY_PREFIX}_${accountId}`;
+}
+
+export const getNotificationId = (notification) => String(notification.CustomerNotificationQueueId);
+
+export const getNotificationMessage = (notification) =>
+  notification.JSONDataKey || notification.AlertTypeDesc || 'Account notification';
+
+/**
+ * Type of a notification, from AlertType/AlertTypeDesc when NTTA sends them,
+ * otherwise from the message
+ */
+export function getNotificationType(notification) {
+  const text = [notification.AlertTypeDesc, notification.AlertType, notification.JSONDataKey]
+    .filter(Boolean)
+    .join(' ');
+  return notificationTypes.find((type) => !type.pattern || type.pattern.test(text));
+}
+
+/**
+ * Locally stored read state for an account
+ * Returns { [notificationId]: true | false }
+ */
+export async function getNotificationReads(accountId) {
+  if (!accountId) return {};
+
+  try {
+    return (await secureLocalStorage.getItem(getReadsKey(accountId))) || {};
+  } catch (error) {
+    logger.error('Error reading notification state:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Mark notifications read or unread; returns the updated read state
+ */
+export function setNotificationsRead(accountId, notificationIds, isRead) {
+  if (!accountId || notificationIds.length === 0) return getNotificationReads(accountId);
+
+  return enqueueWrite(async () => {
+    const reads = await getNotificationReads(accountId);
+    notificationIds.forEach((id) => {
+      reads[id] = isRead;
+    });
+
+    try {
+      await secureLocalStorage.setItem(getReadsKey(accountId), reads);
+    } catch (error) {
+      logger.error('Error saving notification state:', error.message);
+    }
+    return reads;
+  });
+}
+
+/**
+ * Whether a notification has been read: the local state when set, otherwise
+ * the portal's NotifStatus
+ */
+export function isNotificationRead(reads, notification) {
+  const local = reads?.[getNotificationId(notification)];
+  return typeof local === 'boolean' ? local : notification.NotifStatus === 'READ';
+}
+
+export function getUnreadCount(notifications = [], reads = {}) {
+  return notifications.filter((n) => !isNotificationRead(reads, n)).length;
+}
+
+/**
+ * Newest first, optionally limited to one type
+ */
+export function filterNotifications(notifications = [], type = NOTIFICATION_TYPE_ALL) {
+  return notifications
+    .filter((n) => type === NOTIFICATION_TYPE_ALL || getNotificationType(n).value === type)
+    .sort((a, b) => String(b.RequestedDate || '').localeCompare(String(a.RequestedDate || '')));
+}
@@ -1,101 +1,284 @@
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
-import { format, parseISO } from 'date-fns';
-
-// Default settings for receipt template
-export const defaultReceiptSettings = {
-  includeName: true,
-  includeAccountNumber: false,
-  includeEmail: false,
-  includePhone: false,
-  includeAddress: false,
+import { format } from 'date-fns';
+import { encode as encodeQr } from 'uqr';
+import {
+  sortTransactionsByDate,
+  calculateReceiptTotal,
+  getReceiptDateRange,
+  formatReceiptDateRange,
+  getTransactionAccount,
+  getReceiptFileTimestamp,
+  getReceiptAccounts,
+  receiptColumns,
+} from './receiptData';
+import { getReceiptHeaderLines, getReceiptLayout } from './receiptProfiles';
+import { buildReceiptManifest, getVerificationQrText, MANIFEST_NAMESPACE } from './receiptIntegrity';
+
+const MARGIN = 20;
+const FOOTER_HEIGHT = 17; // Generation time and disclaimer below the content
+const RUNNING_HEADER_HEIGHT = 14; // Receipt identifier above the content
+const LOGO_MAX_WIDTH = 40;
+const LOGO_MAX_HEIGHT = 18;
+const QR_SIZE = 13;
+
+// Positions derived from the page size and orientation
+const getPageGeometry = (doc) => {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  return {
+    center: width / 2,
+    contentWidth: width - 2 * MARGIN,
+    contentRight: width - MARGIN,
+    contentBottom: height - FOOTER_HEIGHT - 10,
+    footerY: height - FOOTER_HEIGHT,
+  };
 };
 
-// Get settings from localStorage or use defaults
-export const getReceiptSettings = () => {
-  const stored = localStorage.getItem('receiptSettings');
-  return stored ? { ...defaultReceiptSettings, ...JSON.parse(stored) } : defaultReceiptSettings;
+// Company logo and name above the receipt title; returns the next y position
+const drawBrandHeader = (doc, page, branding) => {
+  const top = 12;
+  let logoWidth = 0;
+  let logoHeight = 0;
+
+  if (branding.logo) {
+    const { width, height } = doc.getImageProperties(branding.logo);
+    const scale = Math.min(LOGO_MAX_WIDTH / width, LOGO_MAX_HEIGHT / height);
+    logoWidth = width * scale;
+    logoHeight = height * scale;
+    doc.addImage(branding.logo, 'PNG', MARGIN, top, logoWidth, logoHeight);
+  }
+
+  if (branding.companyName) {
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    const x = logoWidth ? MARGIN + logoWidth + 5 : MARGIN;
+    doc.text(branding.companyName, x, top + Math.max(logoHeight, 8) / 2 + 2);
+  }
+
+  const bottom = top + Math.max(logoHeight, 8) + 4;
+  doc.setDrawColor(200, 200, 200);
+  doc.line(MARGIN, bottom, page.contentRight, bottom);
+  return bottom + 10;
 };
 
-// Save settings to localStorage
-export const saveReceiptSettings = (settings) => {
-  localStorage.setItem('receiptSettings', JSON.stringify(settings));
+// Employee attestation with employee and approver signature lines; returns
+// the next y position
+const drawSignatureBlock = (doc, page, branding, startY) => {
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  const attestation = doc.splitTextToSize(branding.attestation, page.contentWidth);
+  const blockHeight = 5 * attestation.length + 45;
+
+  let yPosition = startY;
+  if (yPosition + blockHeight > page.contentBottom) {
+    doc.addPage();
+    yPosition = 20;
+  }
+
+  doc.setFontSize(11);
+  doc.setFont(undefined, 'bold');
+  doc.text('Attestation', MARGIN, yPosition);
+  yPosition += 7;
+
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  doc.text(attestation, MARGIN, yPosition);
+  yPosition += 5 * attestation.length + 15;
+
+  // Signature on the left, date on the right
+  const dateX = MARGIN + page.contentWidth * 0.68;
+  const signatureLine = (label, name) => {
+    doc.setDrawColor(0, 0, 0);
+    doc.line(MARGIN, yPosition, dateX - 20, yPosition);
+    doc.line(dateX, yPosition, page.contentRight, yPosition);
+    doc.setFontSize(8);
+    doc.setTextColor(100, 100, 100);
+    doc.text(name ? `${label}: ${name}` : label, MARGIN, yPosition + 4);
+    doc.text('Date', dateX, yPosition + 4);
+    doc.setTextColor(0, 0, 0);
+    yPosition += 18;
+  };
+
+  signatureLine('Employee Signature');
+  signatureLine('Approver Signature', branding.approverName);
+  return yPosition;
 };
 
-// Generate receipts grouped by business purpose
-export const generatePDF = (user, accountSummary, groupedTransactions) => {
-  const settings = getReceiptSettings();
-  const doc = new jsPDF();
-  let isFirstPage = true;
-
-  // Generate one receipt per business purpose
-  Object.entries(groupedTransactions).forEach(([businessPurpose, transactions], purposeIndex) => {
-    // Sort transactions by date within this business purpose
-    const sortedTransactions = [...transactions].sort((a, b) => {
-      const dateA = a.Entry_TripDateTime ? new Date(a.Entry_TripDateTime) : 0;
-      const dateB = b.Entry_TripDateTime ? new Date(b.Entry_TripDateTime) : 0;
-      return dateA - dateB;
+// Overview of every receipt in the bundle with a grand total
+const drawCoverPage = (doc, page, branding, receipts) => {
+  let yPosition = branding.logo || branding.companyName ? drawBrandHeader(doc, page, branding) : 20;
+
+  doc.setFontSize(18);
+  doc.setFont(undefined, 'bold');
+  doc.text('Toll Expense Summary', page.center, yPosition, { align: 'center' });
+  yPosition += 8;
+
+  const allTransactions = receipts.flatMap((receipt) => receipt.transactions);
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  doc.setTextColor(100, 100, 100);
+  doc.text(
+    `${receipts.length} receipts, ${allTransactions.length} trips, ${formatReceiptDateRange(allTransactions)}`,
+    page.center,
+    yPosition,
+    { align: 'center' }
+  );
+  doc.setTextColor(0, 0, 0);
+  yPosition += 10;
+
+  const grandTotal = receipts.reduce((sum, receipt) => sum + receipt.total, 0);
+  autoTable(doc, {
+    startY: yPosition,
+    head: [['Receipt', 'Business Purpose', 'Date Range', 'Trips', 'Subtotal']],
+    body: receipts.map((receipt) => [
+      receipt.id,
+      receipt.purpose || 'Not specified',
+      formatReceiptDateRange(receipt.transactions),
+      receipt.transactions.length,
+      `$${receipt.total.toFixed(2)}`,
+    ]),
+    foot: [['', 'Grand Total', '', allTransactions.length, `$${grandTotal.toFixed(2)}`]],
+    showFoot: 'lastPage',
+    theme: 'striped',
+    styles: { fontSize: 9, cellPadding: 3 },
+    headStyles: { fillColor: [66, 139, 202], fontStyle: 'bold' },
+    footStyles: { fillColor: [230, 230, 230], textColor: 0, fontStyle: 'bold' },
+    columnStyles: { 3: { halign: 'right' }, 4: { halign: 'right' } },
+    margin: { left: MARGIN, right: MARGIN, top: RUNNING_HEADER_HEIGHT, bottom: doc.internal.pageSize.getHeight() - page.contentBottom },
+  });
+};
+
+// Receipt identifier and purpose at the top of every receipt page
+const drawRunningHeaders = (doc, page, pageReceipts) => {
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(7);
+  doc.setTextColor(128, 128, 128);
+
+  pageReceipts.forEach((receipt, index) => {
+    if (!receipt) return; // Cover page
+    doc.setPage(index + 1);
+    const purpose = doc.splitTextToSize(receipt.purpose || 'Not specified', page.contentWidth * 0.6)[0];
+    doc.text(purpose, MARGIN, 8);
+    doc.text(`Receipt ${receipt.id}`, page.contentRight, 8, { align: 'right' });
+  });
+  doc.setTextColor(0, 0, 0); // Reset to black
+};
+
+const drawQrCode = (doc, qr, x, y) => {
+  const moduleSize = QR_SIZE / qr.size;
+  doc.setFillColor(0, 0, 0);
+  qr.data.forEach((row, rowIndex) => {
+    row.forEach((isDark, columnIndex) => {
+      if (isDark) doc.rect(x + columnIndex * moduleSize, y + rowIndex * moduleSize, moduleSize, moduleSize, 'F');
     });
+  });
+};
+
+// Verification code (also as a QR code), generation time, page number and the
+// profile's disclaimer at the bottom of every page
+const drawPageFooters = (doc, page, branding, verificationCode) => {
+  const generatedAt = `Generated on ${format(new Date(), 'MMM d, yyyy \'at\' h:mm a')}`;
+  const pageCount = doc.getNumberOfPages();
+  const qr = encodeQr(getVerificationQrText(verificationCode), { ecc: 'M', border: 0 });
+  doc.setFont(undefined, 'normal');
+  doc.setTextColor(128, 128, 128);
 
-    // Calculate total for this receipt
-    const receiptTotal = sortedTransactions.reduce((sum, t) => {
-      return sum + Math.abs(parseFloat(t.TollAmount || 0));
-    }, 0);
-    if (!isFirstPage) {
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    doc.setPage(pageNumber);
+    drawQrCode(doc, qr, MARGIN, page.footerY - 4);
+    doc.setFontSize(8);
+    doc.text(`Verify: ${verificationCode}`, MARGIN + QR_SIZE + 2, page.footerY);
+    doc.text(generatedAt, page.center, page.footerY, { align: 'center' });
+    doc.text(`Page ${pageNumber} of ${pageCount}`, page.contentRight, page.footerY, { align: 'right' });
+
+    if (branding.footer) {
+      doc.setFontSize(7);
+      // Kept clear of the QR code
+      const disclaimer = doc.splitTextToSize(branding.footer, page.contentWidth - 2 * (QR_SIZE + 4)).slice(0, 4);
+      doc.text(disclaimer, page.center, page.footerY + 4, { align: 'center' });
+    }
+  }
+  doc.setTextColor(0, 0, 0); // Reset to black
+};
+
+// Generate receipts grouped by business purpose, with the header fields,
+// branding and layout of the chosen receipt profile, and a manifest of the
+// included transactions for verifying the PDF later
+export const generatePDF = async (user, accountSummary, groupedTransactions, profile) => {
+  const branding = profile?.branding || {};
+  const layout = getReceiptLayout(profile);
+  const doc = new jsPDF({ orientation: layout.orientation, unit: 'mm', format: layout.paperSize });
+  const page = getPageGeometry(doc);
+  const columns = layout.columns.map((id) => receiptColumns.find((column) => column.id === id));
+
+  // One receipt per business purpose, identified within this bundle
+  const bundleId = format(new Date(), 'yyyyMMdd-HHmmss');
+  const receipts = Object.entries(groupedTransactions).map(([purpose, transactions], index) => {
+    const sorted = sortTransactionsByDate(transactions);
+    return {
+      id: `${bundleId}-${String(index + 1).padStart(2, '0')}`,
+      purpose,
+      transactions: sorted,
+      total: calculateReceiptTotal(sorted),
+      dateRange: getReceiptDateRange(sorted),
+    };
+  });
+
+  // Receipt shown on each page (null for the cover page), for running headers
+  const pageReceipts = [];
+  const hasCoverPage = layout.coverPage && receipts.length > 1;
+  if (hasCoverPage) {
+    drawCoverPage(doc, page, branding, receipts);
+    for (let i = 0; i < doc.getNumberOfPages(); i++) pageReceipts.push(null);
+  }
+
+  receipts.forEach((receipt, receiptIndex) => {
+    const { purpose: businessPurpose, transactions: sortedTransactions, total: receiptTotal, dateRange } = receipt;
+
+    // A combined receipt can include tolls from several signed in accounts
+    const receiptAccounts = getReceiptAccounts(sortedTransactions);
+    const isMultiAccount = receiptAccounts.length > 1;
+    if (hasCoverPage || receiptIndex > 0) {
       doc.addPage();
     }
-    isFirstPage = false;
 
-    let yPosition = 20;
+    let yPosition = branding.logo || branding.companyName ? drawBrandHeader(doc, page, branding) : 20;
 
     // Header
     doc.setFontSize(18);
     doc.setFont(undefined, 'bold');
-    doc.text('NTTA Toll Expense Receipt', 105, yPosition, { align: 'center' });
-    yPosition += 12;
+    doc.text('NTTA Toll Expense Receipt', page.center, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text(`Receipt ${receipt.id}`, page.center, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPosition += 8;
 
-    // Account Information (if enabled in settings)
-    let accountInfoIncluded = false;
-    if (settings.includeName || settings.includeAccountNumber || settings.includeEmail ||
-        settings.includePhone || settings.includeAddress) {
+    // Account Information (the fields the profile shows)
+    const headerLines = getReceiptHeaderLines(profile, { user, accountSummary, isMultiAccount });
+    if (headerLines.length > 0) {
       doc.setFontSize(11);
       doc.setFont(undefined, 'bold');
       doc.text('Account Information', 20, yPosition);
       yPosition += 7;
-      accountInfoIncluded = true;
 
       doc.setFont(undefined, 'normal');
       doc.setFontSize(9);
 
-      if (settings.includeName && user.fullName) {
-        doc.text(`Name: ${user.fullName}`, 20, yPosition);
-        yPosition += 5;
-      }
+      headerLines.forEach(({ label, value }) => {
+        const lines = doc.splitTextToSize(`${label}: ${value}`, page.contentWidth);
+        doc.text(lines, 20, yPosition);
+        yPosition += 5 * lines.length;
+      });
 
-      if (accountSummary) {
-        if (settings.includeAccountNumber) {
-          doc.text(`Account #: ${accountSummary.AccountId}`, 20, yPosition);
-          yPosition += 5;
-        }
-        if (settings.includeEmail && accountSummary.EmailAddress) {
-          doc.text(`Email: ${accountSummary.EmailAddress}`, 20, yPosition);
-          yPosition += 5;
-        }
-        if (settings.includePhone && accountSummary.PhoneNumber) {
-          doc.text(`Phone: ${accountSummary.PhoneNumber}`, 20, yPosition);
-          yPosition += 5;
-        }
-        if (settings.includeAddress) {
-          const address = [
-            accountSummary.Line1,
-            accountSummary.Line2,
-            `${accountSummary.City}, ${accountSummary.State} ${accountSummary.Zip1}`
-          ].filter(Boolean).join(', ');
-          if (address) {
-            doc.text(`Address: ${address}`, 20, yPosition);
-            yPosition += 5;
-          }
-        }
+      if (isMultiAccount) {
+        const accountsLine = doc.splitTextToSize(`Accounts: ${receiptAccounts.join(', ')}`, page.contentWidth);
+        doc.text(accountsLine, 20, yPosition);
+        yPosition += 5 * accountsLine.length;
       }
 
       yPosition += 5;
@@ -113,19 +296,14 @@ export const generatePDF = (user, accountSummary, groupedTransactions) => {
     yPosition += 8;
 
     // Date Range
-    const dates = sortedTransactions.map(t =>
-      t.Entry_TripDateTime ? new Date(t.Entry_TripDateTime) : null
-    ).filter(Boolean);
-
-    if (dates.length > 0) {
-      const minDate = new Date(Math.min(...dates));
-      const maxDate = new Date(Math.max(...dates));
+    if (dateRange) {
+      const { minDate, maxDate } = dateRange;
 
       doc.setFontSize(9);
       doc.setFont(undefined, 'normal');
       doc.setTextColor(100, 100, 100);
 
-      if (dates.length === 1 || minDate.toDateString() === maxDate.toDateString()) {
+      if (minDate.toDateString() === maxDate.toDateString()) {
         doc.text(`Date: ${format(minDate, 'MMMM d, yyyy')}`, 20, yPosition);
       } else {
         doc.text(`Date Range: ${format(minDate, 'MMM d, yyyy')} - ${format(maxDate, 'MMM d, yyyy')}`, 20, yPosition);
@@ -141,49 +319,42 @@ export const generatePDF = (user, accountSummary, groupedTransactions) => {
     doc.text('Transaction Details', 20, yPosition);
     yPosition += 7;
 
-    // Create table data for all transactions in this receipt
+    // Create table data for all transactions in this receipt, in the
+    // profile's column order
     const tableData = sortedTransactions.map(t => {
-      const location = [
-        t.LocationName,
-        t.EntryPlazaName,
-        t.EntryLaneName,
-      ].filter(Boolean).join(' - ') || 'Unknown';
-
-      const dateTime = t.Entry_TripDateTime
-        ? format(parseISO(t.Entry_TripDateTime), 'MMM d, yyyy h:mm a')
-        : 'N/A';
-
-      const amount = Math.abs(parseFloat(t.TollAmount || 0));
-
-      return [
-        dateTime,
-        location,
-        t.VehicleNumber || 'N/A',
-        t.TagId || 'N/A',
-        `$${amount.toFixed(2)}`,
-      ];
+      const cells = columns.map((column) => column.value(t));
+      return isMultiAccount ? [getTransactionAccount(t), ...cells] : cells;
+    });
+
+    const tableHead = columns.map((column) => column.label);
+    const accountOffset = isMultiAccount ? 1 : 0;
+    const columnStyles = {};
+    columns.forEach((column, index) => {
+      if (column.align) columnStyles[index + accountOffset] = { halign: column.align };
     });
 
     autoTable(doc, {
       startY: yPosition,
-      head: [['Date & Time', 'Location', 'Vehicle', 'Tag ID', 'Amount']],
+      head: [isMultiAccount ? ['Account', ...tableHead] : tableHead],
       body: tableData,
       theme: 'striped',
       styles: {
-        fontSize: 9,
-        cellPadding: 3,
+        fontSize: layout.fontSize,
+        cellPadding: layout.fontSize / 3,
       },
       headStyles: {
         fillColor: [66, 139, 202],
         fontStyle: 'bold',
       },
-      columnStyles: {
-        4: { halign: 'right' },
-      },
-      margin: { left: 20, right: 20 },
+      columnStyles,
+      margin: { left: MARGIN, right: MARGIN, top: RUNNING_HEADER_HEIGHT, bottom: doc.internal.pageSize.getHeight() - page.contentBottom },
     });
 
     yPosition = doc.lastAutoTable.finalY + 10;
+    if (yPosition > page.contentBottom) {
+      doc.addPage();
+      yPosition = 20;
+    }
 
     // Receipt Total
     doc.setFontSize(11);
@@ -191,24 +362,25 @@ export const generatePDF = (user, accountSummary, groupedTransactions) => {
     doc.text('Total Amount', 20, yPosition);
 
     doc.setFontSize(14);
-    doc.text(`$${receiptTotal.toFixed(2)}`, 170, yPosition, { align: 'right' });
+    doc.text(`$${receiptTotal.toFixed(2)}`, page.contentRight, yPosition, { align: 'right' });
     yPosition += 15;
 
-    // Footer with timestamp
-    doc.setFontSize(8);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(128, 128, 128);
-    doc.text(
-      `Generated on ${format(new Date(), 'MMM d, yyyy \'at\' h:mm a')}`,
-      105,
-      280,
-      { align: 'center' }
-    );
-    doc.setTextColor(0, 0, 0); // Reset to black
+    if (branding.signatureBlock) {
+      drawSignatureBlock(doc, page, branding, yPosition);
+    }
+
+    while (pageReceipts.length < doc.getNumberOfPages()) pageReceipts.push(receipt);
   });
 
+  const manifest = await buildReceiptManifest(receipts.flatMap((receipt) => receipt.transactions));
+  doc.addMetadata(manifest.metadata, MANIFEST_NAMESPACE);
+  doc.setProperties({ title: 'NTTA Toll Expense Receipts', subject: `Verification code ${manifest.code}` });
+
+  drawRunningHeaders(doc, page, pageReceipts);
+  drawPageFooters(doc, page, branding, manifest.code);
+
   // Save the PDF with timestamp
-  const timestamp = format(new Date(), 'yyyy-MM-dd_HHmmss');
+  const timestamp = getReceiptFileTimestamp();
   const filename = `NTTA_Receipts_${timestamp}.pdf`;
   doc.save(filename);
 };
@@ -0,0 +1,261 @@
+/**
+ * Business Purpose Rules
+ *
+ * Ordered rules that suggest a business purpose for transactions based on the
+ * fields returned by transhistory (plazas, vehicle, tag, trip time, amount).
+ * Rules are evaluated top to bottom and the first matching rule wins.
+ *
+ * Rules are stored in encrypted localStorage since they may contain plate and
+ * tag numbers.
+ */
+
+import { parseISO } from 'date-fns';
+import { secureLocalStorage } from './secureStorage';
+import { sanitizeString, sanitizeBusinessPurpose, validateBusinessPurpose } from './validation';
+import logger from './logger';
+import { PURPOSE_TYPE_TRIP, PURPOSE_TYPE_GROUP } from './businessPurposeStore';
+
+const RULES_KEY = 'ntta_purpose_rules';
+
+// Day labels indexed by Date#getDay()
+export const WEEKDAYS = [
+  { value: 0, label: 'Sun' },
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+];
+
+// Empty condition values match every transaction
+export const createEmptyRule = () => ({
+  id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  name: '',
+  purpose: '',
+  enabled: true,
+  conditions: {
+    entryPlaza: '',
+    exitPlaza: '',
+    vehicle: '',
+    tagId: '',
+    weekdays: [],
+    startTime: '',
+    endTime: '',
+    minAmount: '',
+    maxAmount: '',
+  },
+});
+
+/**
+ * Group key used by the transaction viewer for a given grouping mode
+ */
+export function getTransactionGroupKey(transaction, groupBy) {
+  const dateStr = transaction.Entry_TripDateTime?.split('T')[0] || 'Unknown Date';
+  if (groupBy === 'trip') {
+    const vehicle = transaction.VehicleNumber || 'Unknown Vehicle';
+    return `${dateStr}_${vehicle}`;
+  }
+  return dateStr;
+}
+
+/**
+ * Get saved rules (in evaluation order)
+ */
+export async function getPurposeRules() {
+  try {
+    const rules = await secureLocalStorage.getItem(RULES_KEY);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    logger.error('Error reading purpose rules:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Save rules (in evaluation order)
+ */
+export async function savePurposeRules(rules) {
+  try {
+    await secureLocalStorage.setItem(RULES_KEY, rules.map(sanitizeRule));
+  } catch (error) {
+    logger.error('Error saving purpose rules:', error.message);
+  }
+}
+
+function sanitizeRule(rule) {
+  const { conditions } = rule;
+  return {
+    ...rule,
+    name: sanitizeString(rule.name, 100),
+    purpose: sanitizeBusinessPurpose(rule.purpose),
+    conditions: {
+      ...conditions,
+      entryPlaza: sanitizeString(conditions.entryPlaza, 100),
+      exitPlaza: sanitizeString(conditions.exitPlaza, 100),
+      vehicle: sanitizeString(conditions.vehicle, 20),
+      tagId: sanitizeString(conditions.tagId, 30),
+    },
+  };
+}
+
+function hasConditions(conditions) {
+  return Object.values(conditions).some(value =>
+    Array.isArray(value) ? value.length > 0 : value !== '' && value !== null && value !== undefined
+  );
+}
+
+/**
+ * Validate a rule before saving
+ */
+export function validatePurposeRule(rule) {
+  const purposeValidation = validateBusinessPurpose(rule.purpose?.trim());
+  if (!purposeValidation.valid) {
+    return purposeValidation;
+  }
+
+  if (!hasConditions(rule.conditions)) {
+    return { valid: false, error: 'Add at least one condition' };
+  }
+
+  const { minAmount, maxAmount } = rule.conditions;
+  if (minAmount !== '' && maxAmount !== '' && parseFloat(minAmount) > parseFloat(maxAmount)) {
+    return { valid: false, error: 'Minimum amount must be less than maximum amount' };
+  }
+
+  return { valid: true };
+}
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+const normalizeId = (value) => normalize(value).replace(/[\s-]/g, '');
+
+// "HH:mm" to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+function matchesTimeWindow(minutes, startTime, endTime) {
+  const start = startTime ? toMinutes(startTime) : 0;
+  const end = endTime ? toMinutes(endTime) : 24 * 60;
+
+  // Windows such as 22:00-02:00 wrap past midnight
+  if (start > end) {
+    return minutes >= start || minutes < end;
+  }
+  return minutes >= start && minutes < end;
+}
+
+/**
+ * Check whether a single transaction satisfies every condition of a rule
+ */
+export function matchesRule(rule, transaction) {
+  if (!rule.enabled || !hasConditions(rule.conditions)) return false;
+
+  const {
+    entryPlaza,
+    exitPlaza,
+    vehicle,
+    tagId,
+    weekdays,
+    startTime,
+    endTime,
+    minAmount,
+    maxAmount,
+  } = rule.conditions;
+
+  if (entryPlaza && !normalize(transaction.EntryPlazaName).includes(normalize(entryPlaza))) {
+    return false;
+  }
+  if (exitPlaza && !normalize(transaction.ExitPlazaName).includes(normalize(exitPlaza))) {
+    return false;
+  }
+  if (vehicle && normalizeId(transaction.VehicleNumber) !== normalizeId(vehicle)) {
+    return false;
+  }
+  if (tagId && normalizeId(transaction.TagId) !== normalizeId(tagId)) {
+    return false;
+  }
+
+  const needsTripTime = (weekdays && weekdays.length > 0) || startTime || endTime;
+  if (needsTripTime) {
+    if (!transaction.Entry_TripDateTime) return false;
+    const tripDate = parseISO(transaction.Entry_TripDateTime);
+    if (isNaN(tripDate.getTime())) return false;
+
+    if (weekdays && weekdays.length > 0 && !weekdays.includes(tripDate.getDay())) {
+      return false;
+    }
+    if ((startTime || endTime) &&
+        !matchesTimeWindow(tripDate.getHours() * 60 + tripDate.getMinutes(), startTime, endTime)) {
+      return false;
+    }
+  }
+
+  const amount = Math.abs(parseFloat(transaction.TollAmount || 0));
+  if (minAmount !== '' && minAmount !== undefined && amount < parseFloat(minAmount)) {
+    return false;
+  }
+  if (maxAmount !== '' && maxAmount !== undefined && amount > parseFloat(maxAmount)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the first rule matching a transaction
+ */
+export function findMatchingRule(rules, transaction) {
+  return rules.find(rule => matchesRule(rule, transaction)) || null;
+}
+
+/**
+ * Suggest purposes for transactions that don't already have one
+ *
+ * Fills trip keys (CustomerTripId) and both day and trip group keys, so the
+ * suggestions apply whichever grouping mode the viewer is in. A group only gets
+ * a purpose when every transaction in it matches the same rule.
+ *
+ * Returns { purposes: { [key]: purpose }, matches: { [key]: { ruleId, ruleName, type } } }
+ */
+export function applyPurposeRules(rules, transactions, existingPurposes = {}) {
+  const purposes = {};
+  const matches = {};
+  const activeRules = (rules || []).filter(rule => rule.enabled);
+
+  if (activeRules.length === 0 || !Array.isArray(transactions)) {
+    return { purposes, matches };
+  }
+
+  const assign = (key, rule, type) => {
+    if (existingPurposes[key]?.trim() || purposes[key]) return;
+    purposes[key] = rule.purpose;
+    matches[key] = { ruleId: rule.id, ruleName: rule.name || rule.purpose, type };
+  };
+
+  // Rule matched by each transaction of a group (null when none matched)
+  const groupRules = new Map();
+  const addToGroup = (key, rule) => {
+    if (!groupRules.has(key)) groupRules.set(key, []);
+    groupRules.get(key).push(rule);
+  };
+
+  transactions.forEach(transaction => {
+    const rule = findMatchingRule(activeRules, transaction);
+    if (rule && transaction.CustomerTripId) {
+      assign(transaction.CustomerTripId, rule, PURPOSE_TYPE_TRIP);
+    }
+    addToGroup(getTransactionGroupKey(transaction, 'day'), rule);
+    addToGroup(getTransactionGroupKey(transaction, 'trip'), rule);
+  });
+
+  groupRules.forEach((groupMatches, key) => {
+    const [rule] = groupMatches;
+    if (rule && groupMatches.every(match => match === rule)) {
+      assign(key, rule, PURPOSE_TYPE_GROUP);
+    }
+  });
+
+  return { purposes, matches };
+}
@@ -0,0 +1,113 @@
+/**
+ * Date Range Planner
+ *
+ * Long searches (a tax year, several years for an audit) are split into
+ * quarter-aligned windows that are fetched one after another, so each request
+ * stays small and a window that fails is reported on its own instead of
+ * failing the whole range. Results are de-duplicated by CustomerTripId, since a
+ * trip can be returned by two windows when it is re-posted.
+ */
+
+import {
+  addMonths,
+  differenceInCalendarDays,
+  format,
+  isValid,
+  min,
+  parseISO,
+  startOfMonth,
+  subDays,
+} from 'date-fns';
+
+export const WINDOW_MONTHS = 3;
+// Ranges up to about one quarter are fetched as a single window
+const MAX_SINGLE_WINDOW_DAYS = 92;
+
+// Date inputs are 'yyyy-MM-dd' strings; parse them as local dates, not UTC
+const toDate = (value) => (typeof value === 'string' ? parseISO(value) : new Date(value));
+
+const toDayKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Split a date range into windows of at most WINDOW_MONTHS calendar months,
+ * aligned to calendar quarters
+ * Returns [{ startDate: 'yyyy-MM-dd', endDate: 'yyyy-MM-dd' }]
+ */
+export function planDateWindows(startDate, endDate, windowMonths = WINDOW_MONTHS) {
+  const start = toDate(startDate);
+  const end = toDate(endDate);
+  if (!isValid(start) || !isValid(end) || start > end) return [];
+
+  if (differenceInCalendarDays(end, start) < MAX_SINGLE_WINDOW_DAYS) {
+    return [{ startDate: toDayKey(start), endDate: toDayKey(end) }];
+  }
+
+  const windows = [];
+  let windowStart = start;
+  while (windowStart <= end) {
+    // First day of the next window: the start of the next quarter
+    const monthsLeft = windowMonths - (windowStart.getMonth() % windowMonths);
+    const nextStart = addMonths(startOfMonth(windowStart), monthsLeft);
+    windows.push({
+      startDate: toDayKey(windowStart),
+      endDate: toDayKey(min([subDays(nextStart, 1), end])),
+    });
+    windowStart = nextStart;
+  }
+  return windows;
+}
+
+/**
+ * Whether a transaction's trip date falls within a window
+ */
+export function isInWindow(transaction, window) {
+  const tripDate = String(transaction.Entry_TripDateTime || '').split('T')[0];
+  return tripDate >= window.startDate && tripDate <= window.endDate;
+}
+
+/**
+ * One entry per CustomerTripId; later entries replace earlier ones
+ */
+export function dedupeTransactions(transactions = []) {
+  const byId = new Map();
+  transactions.forEach((t) => {
+    byId.set(t.CustomerTripId ?? `${t.Entry_TripDateTime}|${t.TagId}|${t.TollAmount}`, t);
+  });
+  return [...byId.values()];
+}
+
+/**
+ * "Jan 1 – Mar 31, 2024", or with both years when the window spans two
+ */
+export function formatWindow(window) {
+  const start = toDate(window.startDate);
+  const end = toDate(window.endDate);
+  const startFormat = start.getFullYear() === end.getFullYear() ? 'MMM d' : 'MMM d, yyyy';
+  return `${format(start, startFormat)} – ${format(end, 'MMM d, yyyy')}`;
+}
+
+/**
+ * Fetch each window in turn with `fetchWindow(window, index)`
+ * Returns { transactions, failures: [{ window, error }] }. A cancelled fetch
+ * rejects rather than counting as a failed window, and so does a range where
+ * every window failed (e.g. an expired session).
+ */
+export async function fetchInWindows(windows, fetchWindow) {
+  const results = [];
+  const failures = [];
+
+  for (const [index, window] of windows.entries()) {
+    try {
+      results.push(...(await fetchWindow(window, index)));
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      failures.push({ window, error });
+    }
+  }
+
+  if (windows.length > 0 && failures.length === windows.length) {
+    throw failures[0].error;
+  }
+
+  return { transactions: dedupeTransactions(results), failures };
+}
@@ -0,0 +1,109 @@
+import { format, parseISO } from 'date-fns';
+
+// Shared helpers for turning transactions into receipt rows, so the PDF and
+// spreadsheet exports render identical values and totals.
+
+// TollAmount is negative (represents charges), receipts use the absolute value
+export const getTransactionAmount = (transaction) => {
+  return Math.abs(parseFloat(transaction.TollAmount || 0));
+};
+
+// Sort transactions by entry date, oldest first
+export const sortTransactionsByDate = (transactions) => {
+  return [...transactions].sort((a, b) => {
+    const dateA = a.Entry_TripDateTime ? new Date(a.Entry_TripDateTime) : 0;
+    const dateB = b.Entry_TripDateTime ? new Date(b.Entry_TripDateTime) : 0;
+    return dateA - dateB;
+  });
+};
+
+export const calculateReceiptTotal = (transactions) => {
+  return transactions.reduce((sum, t) => sum + getTransactionAmount(t), 0);
+};
+
+export const formatReceiptLocation = (transaction) => {
+  return [
+    transaction.LocationName,
+    transaction.EntryPlazaName,
+    transaction.EntryLaneName,
+  ].filter(Boolean).join(' - ') || 'Unknown';
+};
+
+export const formatReceiptDateTime = (transaction) => {
+  return transaction.Entry_TripDateTime
+    ? format(parseISO(transaction.Entry_TripDateTime), 'MMM d, yyyy h:mm a')
+    : 'N/A';
+};
+
+// Get the first and last trip dates for a set of transactions
+export const getReceiptDateRange = (transactions) => {
+  const dates = transactions.map(t =>
+    t.Entry_TripDateTime ? new Date(t.Entry_TripDateTime) : null
+  ).filter(Boolean);
+
+  if (dates.length === 0) return null;
+
+  return {
+    minDate: new Date(Math.min(...dates)),
+    maxDate: new Date(Math.max(...dates)),
+  };
+};
+
+// Human readable date range, e.g. "Jan 1, 2025 - Jan 31, 2025"
+export const formatReceiptDateRange = (transactions) => {
+  const range = getReceiptDateRange(transactions);
+  if (!range) return '';
+
+  const { minDate, maxDate } = range;
+  if (minDate.toDateString() === maxDate.toDateString()) {
+    return format(minDate, 'MMM d, yyyy');
+  }
+  return `${format(minDate, 'MMM d, yyyy')} - ${format(maxDate, 'MMM d, yyyy')}`;
+};
+
+// Label of the NTTA account a transaction was loaded from (set when several
+// accounts are signed in, see TransactionViewer)
+export const getTransactionAccount = (transaction) => {
+  if (transaction.SourceAccountName) return transaction.SourceAccountName;
+  return transaction.SourceAccountId ? `#${transaction.SourceAccountId}` : '';
+};
+
+// Distinct source accounts for a set of transactions, in order of appearance
+export const getReceiptAccounts = (transactions) => {
+  return [...new Set(transactions.map(getTransactionAccount).filter(Boolean))];
+};
+
+// Receipts only label lines by account when they span more than one account
+export const spansMultipleAccounts = (transactions) => getReceiptAccounts(transactions).length > 1;
+
+// Build the row values shown on a receipt for a single transaction
+export const getReceiptRow = (transaction) => ({
+  account: getTransactionAccount(transaction),
+  dateTime: formatReceiptDateTime(transaction),
+  location: formatReceiptLocation(transaction),
+  vehicle: transaction.VehicleNickname || transaction.VehicleNumber || 'N/A',
+  tagId: transaction.TagId || 'N/A',
+  amount: getTransactionAmount(transaction),
+});
+
+const formatReceiptDate = (value) => (value ? format(parseISO(value), 'MMM d, yyyy') : '');
+
+// Columns a PDF receipt can show, in their default order; receipt profiles
+// choose which ones appear and in what order
+export const receiptColumns = [
+  { id: 'dateTime', label: 'Date & Time', value: formatReceiptDateTime },
+  { id: 'location', label: 'Location', value: formatReceiptLocation },
+  { id: 'exitPlaza', label: 'Exit Plaza', value: (t) => t.ExitPlazaName || '' },
+  { id: 'facility', label: 'Facility', value: (t) => t.FacilityDescription || t.Facility || t.LocationName || '' },
+  { id: 'postedDate', label: 'Posted', value: (t) => formatReceiptDate(t.PostedDate) },
+  { id: 'vehicle', label: 'Vehicle', value: (t) => t.VehicleNickname || t.VehicleNumber || 'N/A' },
+  { id: 'plateState', label: 'Plate State', value: (t) => t.VehicleState || '' },
+  { id: 'tagId', label: 'Tag ID', value: (t) => t.TagId || 'N/A' },
+  { id: 'type', label: 'Type', value: (t) => t.TollTransactionTypeCode || '' },
+  { id: 'amount', label: 'Amount', value: (t) => `$${getTransactionAmount(t).toFixed(2)}`, align: 'right' },
+];
+
+export const defaultReceiptColumns = ['dateTime', 'location', 'vehicle', 'tagId', 'amount'];
+
+// Timestamp used in generated receipt file names
+export const getReceiptFileTimestamp = () => format(new Date(), 'yyyy-MM-dd_HHmmss');
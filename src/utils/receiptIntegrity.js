@@ -0,0 +1,146 @@
+/**
+ * Receipt Integrity
+ *
+ * Generated PDFs carry a manifest of the transactions they include
+ * (CustomerTripId, trip date and amount) in their XMP metadata. Every page
+ * prints a short verification code taken from the manifest's SHA-256 hash,
+ * also as a QR code.
+ *
+ * Verifying a PDF reads the manifest back, recomputes its code and compares
+ * each transaction with the cached NTTA data on this device, so an approver
+ * can confirm the receipt lists real transactions. The hash is not keyed, so
+ * it is no evidence against tampering: anyone can edit the manifest and its
+ * code together, and the printed amounts aren't covered at all. The approver
+ * compares the code and total printed on the receipt with the verified ones.
+ *
+ * Only the cache is checked, which holds what was fetched on this device and
+ * is cleared on logout. Transactions it doesn't have are reported as missing,
+ * with the date range to fetch before verifying again.
+ */
+
+import { parseISO } from 'date-fns';
+import { findCachedTransactions } from './transactionCache';
+import { getTransactionAmount } from './receiptData';
+import { formatDateForInput } from './dateUtils';
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_PREFIX = 'ntta-receipt-manifest:v1:';
+export const MANIFEST_NAMESPACE = 'https://ntta-toll-expenser/receipt-manifest/1.0/';
+
+export const VERIFY_MATCH = 'match';
+export const VERIFY_MISMATCH = 'mismatch';
+export const VERIFY_MISSING = 'missing';
+
+const toBase64 = (text) => btoa(unescape(encodeURIComponent(text)));
+const fromBase64 = (base64) => decodeURIComponent(escape(atob(base64)));
+
+// One manifest entry per transaction: [CustomerTripId, trip date, amount]
+const toManifestEntry = (transaction) => [
+  String(transaction.CustomerTripId),
+  transaction.Entry_TripDateTime || '',
+  getTransactionAmount(transaction).toFixed(2),
+];
+
+async function hashEntries(entries) {
+  const canonical = [...entries]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map((entry) => entry.join('|'))
+    .join('\n');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Short code printed on receipts, e.g. "3FA9C-07B21"
+const toVerificationCode = (hash) => `${hash.slice(0, 5)}-${hash.slice(5, 10)}`.toUpperCase();
+
+export const getVerificationQrText = (code) => `NTTA-RECEIPT:${code}`;
+
+/**
+ * Manifest for the transactions in a PDF
+ * Returns { metadata, hash, code }; `metadata` is the XMP value to embed
+ */
+export async function buildReceiptManifest(transactions) {
+  const entries = transactions.map(toManifestEntry);
+  const hash = await hashEntries(entries);
+  const manifest = {
+    v: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    hash,
+    transactions: entries,
+  };
+  return { metadata: MANIFEST_PREFIX + toBase64(JSON.stringify(manifest)), hash, code: toVerificationCode(hash) };
+}
+
+/**
+ * Read the manifest embedded in a PDF file; throws if there is none
+ */
+async function readManifest(file) {
+  // Metadata is stored uncompressed, so a byte-for-byte text scan finds it
+  const text = new TextDecoder('latin1').decode(await file.arrayBuffer());
+  const match = text.match(/ntta-receipt-manifest:v1:([A-Za-z0-9+/=]+)/);
+  if (!match) {
+    throw new Error('This PDF has no verification data. It was not generated by this app, or was re-saved by another program.');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fromBase64(match[1]));
+  } catch (error) {
+    throw new Error('The verification data in this PDF is damaged');
+  }
+  const isEntry = (entry) => Array.isArray(entry) && entry.length === 3 && entry.every((value) => typeof value === 'string');
+  if (manifest?.v !== MANIFEST_VERSION || typeof manifest.hash !== 'string' ||
+      !Array.isArray(manifest.transactions) || !manifest.transactions.every(isEntry)) {
+    throw new Error('The verification data in this PDF is damaged');
+  }
+  return manifest;
+}
+
+// Days spanned by the entries ({ startDate, endDate } as yyyy-MM-dd), or null
+const getEntryRange = (entries) => {
+  const dates = entries.map((entry) => entry.date).filter(Boolean).sort();
+  if (dates.length === 0) return null;
+  return {
+    startDate: formatDateForInput(parseISO(dates[0])),
+    endDate: formatDateForInput(parseISO(dates[dates.length - 1])),
+  };
+};
+
+/**
+ * Check the transactions in a receipt PDF's manifest against the cached ones
+ * Returns { code, generatedAt, total, entries, counts, missingRange }; `code`
+ * and `total` are computed from the manifest, each entry has a status
+ * (VERIFY_MATCH, VERIFY_MISMATCH or VERIFY_MISSING from the cache), and
+ * `missingRange` spans the days of the missing entries
+ */
+export async function verifyReceipt(file) {
+  const manifest = await readManifest(file);
+  const hash = await hashEntries(manifest.transactions);
+  const cached = await findCachedTransactions(manifest.transactions.map(([id]) => id));
+
+  const entries = manifest.transactions.map(([id, date, amount]) => {
+    const transaction = cached.get(id);
+    if (!transaction) {
+      return { id, date, amount, status: VERIFY_MISSING };
+    }
+    const [, cachedDate, cachedAmount] = toManifestEntry(transaction);
+    return {
+      id,
+      date,
+      amount,
+      status: cachedDate === date && cachedAmount === amount ? VERIFY_MATCH : VERIFY_MISMATCH,
+      cachedDate,
+      cachedAmount,
+    };
+  });
+
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  return {
+    code: toVerificationCode(hash),
+    generatedAt: manifest.generatedAt,
+    total: entries.reduce((sum, entry) => sum + parseFloat(entry.amount), 0),
+    entries,
+    counts: { match: count(VERIFY_MATCH), mismatch: count(VERIFY_MISMATCH), missing: count(VERIFY_MISSING) },
+    missingRange: getEntryRange(entries.filter((entry) => entry.status === VERIFY_MISSING)),
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * Receipt Profiles
+ *
+ * Named sets of receipt header information, e.g. one per employer or client,
+ * chosen when receipts are generated. Each field has a value and a "show"
+ * flag; name, account number, address, email and phone fall back to the NTTA
+ * account's details when no value is entered, while employee ID, cost center
+ * and client name are only ever the profile's own values.
+ *
+ * A profile can also brand its receipts: a company logo and name in the
+ * header, an employee attestation with employee and approver signature lines,
+ * and a disclaimer in the footer of every page. The logo is downscaled and
+ * kept with the profile, so it never leaves the device. The profile's layout
+ * sets the table columns and their order, paper size, orientation, font
+ * size and whether PDFs with several receipts start with a summary page.
+ *
+ * Profiles are stored in encrypted localStorage. The single set of include
+ * flags kept in plain localStorage by earlier versions (`receiptSettings`)
+ * becomes the "Default" profile on first use.
+ */
+
+import { secureLocalStorage } from './secureStorage';
+import { sanitizeString } from './validation';
+import { receiptColumns, defaultReceiptColumns } from './receiptData';
+import logger from './logger';
+
+const PROFILES_KEY = 'ntta_receipt_profiles';
+const LEGACY_SETTINGS_KEY = 'receiptSettings';
+
+// Header fields in the order they are printed; `fromAccount` gives the NTTA
+// account's value used when the profile leaves the field empty
+export const receiptProfileFields = [
+  {
+    key: 'name',
+    label: 'Name',
+    fromAccount: ({ user }) => user?.fullName,
+  },
+  {
+    key: 'employeeId',
+    label: 'Employee ID',
+  },
+  {
+    key: 'costCenter',
+    label: 'Cost Center',
+  },
+  {
+    key: 'clientName',
+    label: 'Client',
+  },
+  {
+    key: 'accountNumber',
+    label: 'Account #',
+    // A combined receipt lists its accounts instead
+    fromAccount: ({ accountSummary, isMultiAccount }) => (isMultiAccount ? '' : accountSummary?.AccountId),
+  },
+  {
+    key: 'email',
+    label: 'Email',
+    fromAccount: ({ accountSummary }) => accountSummary?.EmailAddress,
+  },
+  {
+    key: 'phone',
+    label: 'Phone',
+    fromAccount: ({ accountSummary }) => accountSummary?.PhoneNumber,
+  },
+  {
+    key: 'address',
+    label: 'Address',
+    fromAccount: ({ accountSummary }) => accountSummary && [
+      accountSummary.Line1,
+      accountSummary.Line2,
+      `${accountSummary.City}, ${accountSummary.State} ${accountSummary.Zip1}`,
+    ].filter(Boolean).join(', '),
+  },
+];
+
+export const DEFAULT_ATTESTATION =
+  'I certify that the tolls listed above were incurred while conducting company business ' +
+  'and have not been submitted for reimbursement elsewhere.';
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+const MAX_LOGO_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_LOGO_WIDTH = 600; // px, plenty for a 40mm wide logo
+const MAX_LOGO_HEIGHT = 200;
+const MAX_LOGO_DATA_LENGTH = 300 * 1024;
+
+const createDefaultBranding = () => ({
+  companyName: '',
+  logo: null, // PNG data URL
+  approverName: '',
+  signatureBlock: false,
+  attestation: DEFAULT_ATTESTATION,
+  footer: '',
+});
+
+export const receiptPaperSizes = [
+  { value: 'a4', label: 'A4' },
+  { value: 'letter', label: 'Letter' },
+];
+
+export const receiptOrientations = [
+  { value: 'portrait', label: 'Portrait' },
+  { value: 'landscape', label: 'Landscape' },
+];
+
+export const receiptFontSizes = [7, 8, 9, 10, 11];
+
+const createDefaultLayout = () => ({
+  columns: [...defaultReceiptColumns],
+  paperSize: 'a4',
+  orientation: 'portrait',
+  fontSize: 9,
+  coverPage: true, // Summary page when a PDF holds several receipts
+});
+
+const createEmptyFields = () =>
+  Object.fromEntries(receiptProfileFields.map(({ key }) => [key, { show: false, value: '' }]));
+
+export const createReceiptProfile = (label = '') => ({
+  id: `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  label,
+  fields: { ...createEmptyFields(), name: { show: true, value: '' } },
+  branding: createDefaultBranding(),
+  layout: createDefaultLayout(),
+});
+
+/**
+ * A profile with the include flags of the receipt settings kept by earlier
+ * versions ({ includeName, includeAccountNumber, ... })
+ */
+export function createProfileFromLegacySettings(legacy, label) {
+  const profile = createReceiptProfile(label);
+  profile.fields.name.show = legacy.includeName !== false;
+  profile.fields.accountNumber.show = !!legacy.includeAccountNumber;
+  profile.fields.email.show = !!legacy.includeEmail;
+  profile.fields.phone.show = !!legacy.includePhone;
+  profile.fields.address.show = !!legacy.includeAddress;
+  return profile;
+}
+
+/**
+ * The "Default" profile, carrying over the include flags of earlier versions
+ */
+function createDefaultProfile() {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_SETTINGS_KEY));
+    if (legacy) {
+      return createProfileFromLegacySettings(legacy, 'Default');
+    }
+  } catch (error) {
+    logger.warn('Ignoring unreadable receipt settings');
+  }
+  return createReceiptProfile('Default');
+}
+
+/**
+ * Get saved profiles and the one last used
+ * Returns { profiles, selectedId, unreadable }; there is always at least one
+ * profile. `unreadable` is set when saved profiles exist but can't be
+ * decrypted: a default profile is used without touching them, as they may
+ * still be recovered with the right key.
+ */
+export async function getReceiptProfiles() {
+  try {
+    const stored = await secureLocalStorage.getItem(PROFILES_KEY);
+    if (stored === null && secureLocalStorage.hasItem(PROFILES_KEY)) {
+      const profile = createDefaultProfile();
+      return { profiles: [profile], selectedId: profile.id, unreadable: true };
+    }
+    if (Array.isArray(stored?.profiles) && stored.profiles.length > 0) {
+      const profiles = stored.profiles.map((profile) => ({
+        ...profile,
+        fields: { ...createEmptyFields(), ...profile.fields },
+        branding: { ...createDefaultBranding(), ...profile.branding },
+        layout: { ...createDefaultLayout(), ...profile.layout },
+      }));
+      const selectedId = profiles.some((p) => p.id === stored.selectedId) ? stored.selectedId : profiles[0].id;
+      return { profiles, selectedId };
+    }
+  } catch (error) {
+    logger.error('Error reading receipt profiles:', error.message);
+  }
+
+  // First use: start from the settings of earlier versions
+  const profile = createDefaultProfile();
+  const initial = { profiles: [profile], selectedId: profile.id };
+  await saveReceiptProfiles(initial);
+  localStorage.removeItem(LEGACY_SETTINGS_KEY);
+  return initial;
+}
+
+const isLogoDataUrl = (value) =>
+  typeof value === 'string' && value.length <= MAX_LOGO_DATA_LENGTH && /^data:image\/png;base64,[A-Za-z0-9+/=]+$/.test(value);
+
+function sanitizeBranding(branding = {}) {
+  return {
+    companyName: sanitizeString(branding.companyName || '', 100),
+    logo: isLogoDataUrl(branding.logo) ? branding.logo : null,
+    approverName: sanitizeString(branding.approverName || '', 100),
+    signatureBlock: !!branding.signatureBlock,
+    attestation: sanitizeString(branding.attestation || '', 500),
+    footer: sanitizeString(branding.footer || '', 500),
+  };
+}
+
+const isOption = (options, value) => options.some((option) => option.value === value);
+
+function sanitizeLayout(layout = {}) {
+  const defaults = createDefaultLayout();
+  const columns = Array.isArray(layout.columns)
+    ? [...new Set(layout.columns)].filter((id) => receiptColumns.some((column) => column.id === id))
+    : [];
+  return {
+    columns: columns.length > 0 ? columns : defaults.columns,
+    paperSize: isOption(receiptPaperSizes, layout.paperSize) ? layout.paperSize : defaults.paperSize,
+    orientation: isOption(receiptOrientations, layout.orientation) ? layout.orientation : defaults.orientation,
+    fontSize: receiptFontSizes.includes(layout.fontSize) ? layout.fontSize : defaults.fontSize,
+    coverPage: typeof layout.coverPage === 'boolean' ? layout.coverPage : defaults.coverPage,
+  };
+}
+
+/**
+ * Layout for generating receipts, with defaults for anything not set
+ */
+export const getReceiptLayout = (profile) => sanitizeLayout(profile?.layout);
+
+function sanitizeProfile(profile) {
+  return {
+    id: profile.id,
+    label: sanitizeString(profile.label, 50),
+    fields: Object.fromEntries(receiptProfileFields.map(({ key }) => [key, {
+      show: !!profile.fields?.[key]?.show,
+      value: sanitizeString(profile.fields?.[key]?.value || '', key === 'address' ? 200 : 100),
+    }])),
+    branding: sanitizeBranding(profile.branding),
+    layout: sanitizeLayout(profile.layout),
+  };
+}
+
+/**
+ * Save profiles and the selected profile
+ */
+export async function saveReceiptProfiles({ profiles, selectedId }) {
+  try {
+    await secureLocalStorage.setItem(PROFILES_KEY, { profiles: profiles.map(sanitizeProfile), selectedId });
+  } catch (error) {
+    logger.error('Error saving receipt profiles:', error.message);
+  }
+}
+
+/**
+ * Remember the profile chosen for generating receipts
+ */
+export async function selectReceiptProfile(selectedId) {
+  const { profiles, unreadable } = await getReceiptProfiles();
+  if (unreadable) return;
+  await saveReceiptProfiles({ profiles, selectedId });
+}
+
+/**
+ * Validate profiles before saving
+ */
+export function validateReceiptProfiles(profiles) {
+  if (profiles.length === 0) {
+    return { valid: false, error: 'Keep at least one profile' };
+  }
+
+  const labels = profiles.map((p) => sanitizeString(p.label, 50).toLowerCase());
+  if (labels.some((label) => !label)) {
+    return { valid: false, error: 'Every profile needs a name' };
+  }
+  if (new Set(labels).size !== labels.length) {
+    return { valid: false, error: 'Profile names must be unique' };
+  }
+
+  return { valid: true };
+}
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('The logo could not be read'));
+  image.src = url;
+});
+
+/**
+ * Turn an uploaded logo into a downscaled PNG data URL for a profile
+ * Throws with a user-facing message for unsupported or oversized files
+ */
+export async function prepareLogo(file) {
+  if (!LOGO_TYPES.includes(file.type)) {
+    throw new Error('Choose a PNG or JPEG logo');
+  }
+  if (file.size > MAX_LOGO_FILE_SIZE) {
+    throw new Error('The logo must be smaller than 2 MB');
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await loadImage(url);
+    const scale = Math.min(1, MAX_LOGO_WIDTH / image.width, MAX_LOGO_HEIGHT / image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const dataUrl = canvas.toDataURL('image/png');
+    if (!isLogoDataUrl(dataUrl)) {
+      throw new Error('The logo is too detailed; try a simpler or smaller image');
+    }
+    return dataUrl;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Header lines a profile puts on a receipt: [{ label, value }]
+ */
+export function getReceiptHeaderLines(profile, { user, accountSummary, isMultiAccount = false }) {
+  return receiptProfileFields
+    .map(({ key, label, fromAccount }) => {
+      const field = profile?.fields?.[key];
+      if (!field?.show) return null;
+      const value = field.value || fromAccount?.({ user, accountSummary, isMultiAccount }) || '';
+      return value ? { label, value: String(value) } : null;
+    })
+    .filter(Boolean);
+}
@@ -3,6 +3,23 @@
  *
  * Provides encrypted storage for sensitive data using Web Crypto API.
  * Encrypts data before storing in localStorage/sessionStorage.
+ *
+ * By default the keys are derived from a browser fingerprint, with a fixed salt
+ * until the keys are first rotated and a random per-device salt after that.
+ * With the vault enabled (see vault.js) they are derived from the user's
+ * passphrase and a random per-device salt instead, and stay in memory only
+ * while unlocked; storage reads and writes wait while the vault is locked.
+ *
+ * Values are stored in a versioned envelope:
+ *
+ *   ENC:v2:<base64 header>:<base64 iv + ciphertext>
+ *
+ * The header records how the key was made ({ v, alg, kdf, iter, salt, kid }:
+ * KDF, iterations, salt id and key id) and is authenticated with the
+ * ciphertext, so a value can be decrypted after the defaults change. Version 1
+ * values (ENC:<base64 iv + ciphertext>, fingerprint key, no header) are still
+ * read. Values that can't be decrypted are kept and reported (see
+ * subscribeDecryptionFailures) instead of being deleted.
  */
 
 import logger from './logger';
@@ -11,11 +28,31 @@ const ALGORITHM = 'AES-GCM';
 const KEY_LENGTH = 256;
 const IV_LENGTH = 12; // 96 bits for AES-GCM
 const ENCRYPTION_PREFIX = 'ENC:'; // Prefix to identify encrypted data
+const ENVELOPE_VERSION = 2;
+const KDF = 'PBKDF2-SHA256';
+
+// Key id of fingerprint keys, and the salts they have been derived with
+const FINGERPRINT_KEY_ID = 'fingerprint';
+const FINGERPRINT_SALTS = {
+  'fp-v1': 'ntta-toll-tracker-salt-v1',
+};
+const FINGERPRINT_SALT_ID = 'fp-v1';
+const FINGERPRINT_ITERATIONS = 100000;
+
+// Random salt and key id of the fingerprint keys once they have been rotated;
+// the fixed salts above are no longer accepted after that
+const FINGERPRINT_CONFIG_KEY = 'ntta_fingerprint_key';
+
+const VAULT_CONFIG_KEY = 'ntta_vault';
+const VAULT_SALT_LENGTH = 16;
+const VAULT_ITERATIONS = 310000;
+const VAULT_CHECK_VALUE = 'ntta-vault-check';
+const LEGACY_VAULT_KEY_ID = 'vault';
 
 /**
  * Generate a cryptographic key from a password/seed
  */
-async function deriveKey(password) {
+async function deriveKey(password, salt = FINGERPRINT_SALTS[FINGERPRINT_SALT_ID], iterations = FINGERPRINT_ITERATIONS) {
   const encoder = new TextEncoder();
   const keyMaterial = await crypto.subtle.importKey(
     'raw',
@@ -28,8 +65,8 @@ async function deriveKey(password) {
   return crypto.subtle.deriveKey(
     {
       name: 'PBKDF2',
-      salt: encoder.encode('ntta-toll-tracker-salt-v1'),
-      iterations: 100000,
+      salt: encoder.encode(salt),
+      iterations,
       hash: 'SHA-256',
     },
     keyMaterial,
@@ -40,18 +77,143 @@ async function deriveKey(password) {
 }
 
 /**
- * Encrypt data using AES-GCM
+ * Derive an HMAC key for blind indexes (lookups on values that are stored
+ * encrypted, such as plates and tags in the transaction cache)
+ */
+async function deriveIndexKey(password) {
+  const encoder = new TextEncoder();
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits', 'deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: encoder.encode('ntta-toll-tracker-index-salt-v1'),
+      iterations: 100000,
+      hash: 'SHA-256',
+    },
+    keyMaterial,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign']
+  );
+}
+
+/**
+ * Derive the encryption and index keys of the vault from a passphrase
+ */
+async function deriveVaultKeys(passphrase, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      salt,
+      iterations,
+      hash: 'SHA-256',
+    },
+    keyMaterial,
+    512
+  ));
+
+  const [encryptionKey, indexKey] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), { name: ALGORITHM, length: KEY_LENGTH }, false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  ]);
+  return { encryptionKey, indexKey };
+}
+
+/**
+ * Base64 encode bytes in chunks; spreading a large array into
+ * String.fromCharCode overflows the call stack (e.g. a year of transactions)
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const createSalt = () => crypto.getRandomValues(new Uint8Array(VAULT_SALT_LENGTH));
+const createKeyId = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * A value that could not be decrypted; `reason` is shown to the user
+ */
+export class DecryptionError extends Error {
+  constructor(reason) {
+    super(`Decryption failed: ${reason}`);
+    this.name = 'DecryptionError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Split an envelope into { version, header, headerText, iv, ciphertext }
+ */
+function parseEnvelope(encryptedString) {
+  const body = encryptedString.startsWith(ENCRYPTION_PREFIX)
+    ? encryptedString.slice(ENCRYPTION_PREFIX.length)
+    : encryptedString;
+
+  try {
+    // ':' is not a base64 character, so version 1 values have no separators
+    const parts = body.split(':');
+    if (parts.length === 1) {
+      const combined = base64ToBytes(body);
+      return { version: 1, header: null, headerText: null, iv: combined.slice(0, IV_LENGTH), ciphertext: combined.slice(IV_LENGTH) };
+    }
+
+    const [version, headerText, payload] = parts;
+    const header = JSON.parse(atob(headerText));
+    if (version !== `v${header.v}`) throw new Error('version mismatch');
+    const combined = base64ToBytes(payload);
+    return { version: header.v, header, headerText, iv: combined.slice(0, IV_LENGTH), ciphertext: combined.slice(IV_LENGTH) };
+  } catch (error) {
+    throw new DecryptionError('unreadable format');
+  }
+}
+
+/**
+ * Encrypt data using AES-GCM into a versioned envelope
+ * `keys` is { kid, saltId, iterations, encryptionKey }
  */
-async function encrypt(data, key) {
+async function encrypt(data, keys) {
   const encoder = new TextEncoder();
   const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const headerText = btoa(JSON.stringify({
+    v: ENVELOPE_VERSION,
+    alg: ALGORITHM,
+    kdf: KDF,
+    iter: keys.iterations,
+    salt: keys.saltId,
+    kid: keys.kid,
+  }));
 
   const encryptedData = await crypto.subtle.encrypt(
     {
       name: ALGORITHM,
       iv: iv,
+      // The header can't be changed without failing decryption
+      additionalData: encoder.encode(headerText),
     },
-    key,
+    keys.encryptionKey,
     encoder.encode(JSON.stringify(data))
   );
 
@@ -60,42 +222,40 @@ async function encrypt(data, key) {
   combined.set(iv, 0);
   combined.set(new Uint8Array(encryptedData), iv.length);
 
-  // Convert to base64 for storage, add prefix to identify as encrypted
-  return ENCRYPTION_PREFIX + btoa(String.fromCharCode(...combined));
+  return `${ENCRYPTION_PREFIX}v${ENVELOPE_VERSION}:${headerText}:${bytesToBase64(combined)}`;
 }
 
 /**
- * Decrypt data using AES-GCM
+ * Decrypt an envelope of any version; `resolveKeys(envelope)` returns the
+ * keys to decrypt it with (or a list to try, for version 1)
+ * Throws a DecryptionError if it can't be decrypted
  */
-async function decrypt(encryptedString, key) {
-  try {
-    // Remove encryption prefix if present
-    const dataWithoutPrefix = encryptedString.startsWith(ENCRYPTION_PREFIX)
-      ? encryptedString.slice(ENCRYPTION_PREFIX.length)
-      : encryptedString;
-
-    // Convert from base64
-    const combined = Uint8Array.from(atob(dataWithoutPrefix), c => c.charCodeAt(0));
-
-    // Extract IV and encrypted data
-    const iv = combined.slice(0, IV_LENGTH);
-    const encryptedData = combined.slice(IV_LENGTH);
-
-    const decryptedData = await crypto.subtle.decrypt(
-      {
-        name: ALGORITHM,
-        iv: iv,
-      },
-      key,
-      encryptedData
-    );
-
-    const decoder = new TextDecoder();
-    return JSON.parse(decoder.decode(decryptedData));
-  } catch (error) {
-    logger.error('Decryption failed:', error.message);
-    return null;
+async function decrypt(encryptedString, resolveKeys) {
+  const envelope = parseEnvelope(encryptedString);
+  if (envelope.version > ENVELOPE_VERSION) {
+    throw new DecryptionError(`written by a newer version (v${envelope.version})`);
+  }
+
+  const candidates = [].concat(await resolveKeys(envelope));
+  for (const keys of candidates) {
+    try {
+      const decryptedData = await crypto.subtle.decrypt(
+        {
+          name: ALGORITHM,
+          iv: envelope.iv,
+          ...(envelope.headerText ? { additionalData: new TextEncoder().encode(envelope.headerText) } : {}),
+        },
+        keys.encryptionKey,
+        envelope.ciphertext
+      );
+
+      const decoder = new TextDecoder();
+      return JSON.parse(decoder.decode(decryptedData));
+    } catch (error) {
+      // Try the next key
+    }
   }
+  throw new DecryptionError(envelope.version === 1 ? 'key no longer matches' : `wrong key or modified data (${envelope.header.kid})`);
 }
 
 /**
@@ -116,41 +276,466 @@ function generateBrowserFingerprint() {
   return components.join('|');
 }
 
+/**
+ * Keyed hash (hex) of a value, for blind indexes
+ */
+async function hash(value, indexKey) {
+  const signature = await crypto.subtle.sign('HMAC', indexKey, new TextEncoder().encode(String(value)));
+  return Array.from(new Uint8Array(signature).slice(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+const fingerprintKeys = new Map(); // `${saltId}|${iterations}` -> Promise of keys
+let vaultKeys = null; // Keys of the unlocked vault
+let unlockWaiters = [];
+
+/**
+ * Fingerprint keys for a fixed salt and iteration count (the original ones by
+ * default; older ones are only used to read older values)
+ */
+function getFingerprintKeys(saltId = FINGERPRINT_SALT_ID, iterations = FINGERPRINT_ITERATIONS) {
+  const cacheKey = `${saltId}|${iterations}`;
+  if (!fingerprintKeys.has(cacheKey)) {
+    const fingerprint = generateBrowserFingerprint();
+    fingerprintKeys.set(cacheKey, Promise.all([deriveKey(fingerprint, FINGERPRINT_SALTS[saltId], iterations), deriveIndexKey(fingerprint)])
+      .then(([encryptionKey, indexKey]) => ({ kid: FINGERPRINT_KEY_ID, saltId, iterations, encryptionKey, indexKey })));
+  }
+  return fingerprintKeys.get(cacheKey);
+}
+
+/**
+ * The rotated fingerprint key settings of this device ({ keyId, salt,
+ * iterations }), or null while the fixed salt is in use
+ */
+function getFingerprintConfig() {
+  try {
+    const config = JSON.parse(localStorage.getItem(FINGERPRINT_CONFIG_KEY));
+    return config?.keyId && config?.salt ? config : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fingerprint keys derived with a rotated key's random salt
+ */
+function getRotatedFingerprintKeys(config, iterations = config.iterations || FINGERPRINT_ITERATIONS) {
+  const cacheKey = `${config.keyId}|${iterations}`;
+  if (!fingerprintKeys.has(cacheKey)) {
+    fingerprintKeys.set(cacheKey, deriveVaultKeys(generateBrowserFingerprint(), base64ToBytes(config.salt), iterations)
+      .then((keys) => ({ kid: config.keyId, saltId: config.keyId, iterations, ...keys })));
+  }
+  return fingerprintKeys.get(cacheKey);
+}
+
+/**
+ * Fingerprint keys values are written with
+ */
+function getCurrentFingerprintKeys() {
+  const config = getFingerprintConfig();
+  return config ? getRotatedFingerprintKeys(config) : getFingerprintKeys();
+}
+
+/**
+ * The vault settings of this device ({ keyId, salt, iterations, check }), or
+ * null when the vault is not enabled
+ */
+export function getVaultConfig() {
+  try {
+    const config = JSON.parse(localStorage.getItem(VAULT_CONFIG_KEY));
+    return config?.salt && config?.check ? config : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function isVaultEnabled() {
+  return getVaultConfig() !== null;
+}
+
+export function isVaultLocked() {
+  return isVaultEnabled() && !vaultKeys;
+}
+
+/**
+ * Keys in use: the unlocked vault's, or the fingerprint keys when the vault is
+ * not enabled; waits for an unlock while the vault is locked
+ */
+function getActiveKeys() {
+  if (!isVaultEnabled()) return getCurrentFingerprintKeys();
+  if (vaultKeys) return Promise.resolve(vaultKeys);
+  return new Promise((resolve) => unlockWaiters.push(resolve));
+}
+
+function setVaultKeys(keys) {
+  vaultKeys = keys;
+  const waiters = unlockWaiters;
+  unlockWaiters = [];
+  waiters.forEach((resolve) => resolve(getActiveKeys()));
+}
+
+/**
+ * Keys for a stored envelope, chosen by its key id, salt id and iterations
+ */
+async function resolveStoredKeys(envelope) {
+  const fingerprintConfig = getFingerprintConfig();
+  if (envelope.version === 1) {
+    // No key id: the active keys, then the fingerprint keys of version 1
+    // (dropped once the fingerprint keys have been rotated)
+    return fingerprintConfig ? [await getActiveKeys()] : [await getActiveKeys(), await getFingerprintKeys()];
+  }
+
+  const { kid, salt, iter } = envelope.header;
+  if (kid === FINGERPRINT_KEY_ID && !fingerprintConfig) {
+    if (!FINGERPRINT_SALTS[salt]) throw new DecryptionError(`unknown salt (${salt})`);
+    return getFingerprintKeys(salt, iter);
+  }
+  if (fingerprintConfig && kid === fingerprintConfig.keyId) {
+    return getRotatedFingerprintKeys(fingerprintConfig, iter);
+  }
+
+  const config = getVaultConfig();
+  if (config && kid === (config.keyId || LEGACY_VAULT_KEY_ID)) {
+    return getActiveKeys();
+  }
+  throw new DecryptionError(`key is no longer available (${kid})`);
+}
+
+/**
+ * Encrypt, decrypt and hash with a fixed set of keys (same methods as
+ * SecureStorage), for re-encrypting data when the keys change
+ */
+function createCipher(keysPromise) {
+  return {
+    encryptValue: async (value) => encrypt(value, await keysPromise),
+    decryptValue: async (encrypted) => {
+      if (typeof encrypted !== 'string') return null;
+      try {
+        return await decrypt(encrypted, async (envelope) =>
+          (envelope.version === 1 ? [await keysPromise, await getFingerprintKeys()] : keysPromise));
+      } catch (error) {
+        return null;
+      }
+    },
+    hashValue: async (value) => hash(value, (await keysPromise).indexKey),
+  };
+}
+
+export function getFingerprintCipher() {
+  return createCipher(getCurrentFingerprintKeys());
+}
+
+/**
+ * Create fingerprint key settings with a new random salt and key id
+ * Returns { config, keys, cipher }; nothing is stored until
+ * activateFingerprintKey
+ */
+export async function createFingerprintKey() {
+  const config = {
+    keyId: createKeyId(),
+    salt: bytesToBase64(createSalt()),
+    iterations: FINGERPRINT_ITERATIONS,
+    createdAt: new Date().toISOString(),
+  };
+  const keys = await getRotatedFingerprintKeys(config);
+  return { config, cipher: createCipher(Promise.resolve(keys)), keys };
+}
+
+/**
+ * Store fingerprint key settings and use their keys from now on; the keys
+ * they replace are forgotten
+ */
+export function activateFingerprintKey({ config, keys }) {
+  localStorage.setItem(FINGERPRINT_CONFIG_KEY, JSON.stringify(config));
+  fingerprintKeys.clear();
+  fingerprintKeys.set(`${config.keyId}|${config.iterations}`, Promise.resolve(keys));
+}
+
+/**
+ * Derive the vault keys of a passphrase and check them against the stored
+ * config; throws if the passphrase is wrong
+ */
+async function verifyVaultPassphrase(passphrase, config = getVaultConfig()) {
+  if (!config) throw new Error('The vault is not enabled');
+  const iterations = config.iterations || VAULT_ITERATIONS;
+  const keys = {
+    kid: config.keyId || LEGACY_VAULT_KEY_ID,
+    saltId: config.keyId || LEGACY_VAULT_KEY_ID,
+    iterations,
+    ...(await deriveVaultKeys(passphrase, base64ToBytes(config.salt), iterations)),
+  };
+  try {
+    if (await decrypt(config.check, () => keys) !== VAULT_CHECK_VALUE) throw new Error();
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+  return keys;
+}
+
+/**
+ * Cipher of the current vault passphrase; throws if it is wrong
+ */
+export async function getVaultCipher(passphrase) {
+  return createCipher(Promise.resolve(await verifyVaultPassphrase(passphrase)));
+}
+
+/**
+ * Create vault settings with a new random salt and key id for a passphrase
+ * Returns { config, keys, cipher }; nothing is stored until activateVault
+ */
+export async function createVault(passphrase) {
+  const salt = createSalt();
+  const keyId = createKeyId();
+  const keys = {
+    kid: keyId,
+    saltId: keyId,
+    iterations: VAULT_ITERATIONS,
+    ...(await deriveVaultKeys(passphrase, salt, VAULT_ITERATIONS)),
+  };
+  const config = {
+    version: 2,
+    keyId,
+    salt: bytesToBase64(salt),
+    iterations: VAULT_ITERATIONS,
+    check: await encrypt(VAULT_CHECK_VALUE, keys),
+    createdAt: new Date().toISOString(),
+  };
+  return { config, cipher: createCipher(Promise.resolve(keys)), keys };
+}
+
+/**
+ * Store vault settings and use their keys from now on (unlocked)
+ */
+export function activateVault({ config, keys }) {
+  localStorage.setItem(VAULT_CONFIG_KEY, JSON.stringify(config));
+  setVaultKeys(keys);
+}
+
+/**
+ * Go back to fingerprint keys
+ */
+export function deactivateVault() {
+  localStorage.removeItem(VAULT_CONFIG_KEY);
+  setVaultKeys(null);
+}
+
+export async function unlockVault(passphrase) {
+  setVaultKeys(await verifyVaultPassphrase(passphrase));
+}
+
+/**
+ * Forget the vault keys; encrypted data can't be read until the next unlock
+ */
+export function lockVault() {
+  vaultKeys = null;
+}
+
+/**
+ * Encrypt a value with a passphrase alone, for data that leaves this device
+ * (backups); the result carries its own salt and KDF settings
+ */
+export async function encryptWithPassphrase(value, passphrase) {
+  const salt = createSalt();
+  const keys = {
+    kid: 'passphrase',
+    saltId: 'embedded',
+    iterations: VAULT_ITERATIONS,
+    ...(await deriveVaultKeys(passphrase, salt, VAULT_ITERATIONS)),
+  };
+  return {
+    kdf: KDF,
+    iterations: VAULT_ITERATIONS,
+    salt: bytesToBase64(salt),
+    data: await encrypt(value, keys),
+  };
+}
+
+/**
+ * Decrypt the result of encryptWithPassphrase; throws if the passphrase is
+ * wrong or the data was modified
+ */
+export async function decryptWithPassphrase(sealed, passphrase) {
+  if (sealed?.kdf !== KDF || !sealed.salt || typeof sealed.data !== 'string') {
+    throw new DecryptionError('unsupported encryption settings');
+  }
+  const iterations = Number(sealed.iterations) || VAULT_ITERATIONS;
+  try {
+    const keys = await deriveVaultKeys(passphrase, base64ToBytes(sealed.salt), iterations);
+    return await decrypt(sealed.data, () => keys);
+  } catch (error) {
+    throw new DecryptionError('incorrect passphrase or damaged file');
+  }
+}
+
+// Values that could not be decrypted, by storage and key
+const decryptionFailures = new Map();
+const failureListeners = new Set();
+
+const notifyFailureListeners = () => {
+  const failures = getDecryptionFailures();
+  failureListeners.forEach((listener) => listener(failures));
+};
+
+/**
+ * Record a value that could not be decrypted, for the UI to report
+ */
+export function reportDecryptionFailure(source, key, error) {
+  const reason = error instanceof DecryptionError ? error.reason : error?.message || 'unknown error';
+  logger.warn(`Failed to decrypt ${key} (${source}): ${reason}`);
+  decryptionFailures.set(`${source}|${key}`, { source, key, reason, at: new Date().toISOString() });
+  notifyFailureListeners();
+}
+
+function clearDecryptionFailure(source, key) {
+  if (decryptionFailures.delete(`${source}|${key}`)) notifyFailureListeners();
+}
+
+/**
+ * Values that could not be decrypted: [{ source, key, reason, at }]
+ */
+export function getDecryptionFailures() {
+  return [...decryptionFailures.values()];
+}
+
+/**
+ * Call `listener(failures)` whenever a decryption failure is reported or
+ * cleared; returns an unsubscribe function
+ */
+export function subscribeDecryptionFailures(listener) {
+  failureListeners.add(listener);
+  return () => failureListeners.delete(listener);
+}
+
+/**
+ * Re-encrypt every encrypted Web Storage value from one cipher to another
+ * The new values are prepared up front; returns { commit, reencrypted, failed }
+ * where `commit` writes them, so a failure part way leaves storage untouched.
+ * Values that can't be decrypted are left as they are and counted as failed.
+ */
+export async function prepareWebStorageReencryption(from, to) {
+  const updates = [];
+  let failed = 0;
+  for (const [source, storage] of [['local', localStorage], ['session', sessionStorage]]) {
+    for (const key of Object.keys(storage)) {
+      const stored = storage.getItem(key);
+      if (!stored?.startsWith(ENCRYPTION_PREFIX)) continue;
+      const value = await from.decryptValue(stored);
+      if (value === null) {
+        reportDecryptionFailure(source, key, new DecryptionError('could not be re-encrypted'));
+        failed++;
+        continue;
+      }
+      updates.push({ storage, key, value: await to.encryptValue(value) });
+    }
+  }
+
+  return {
+    reencrypted: updates.length,
+    failed,
+    commit: () => updates.forEach(({ storage, key, value }) => storage.setItem(key, value)),
+  };
+}
+
+// Web Storage writes are held while stored data is re-encrypted, so none is
+// overwritten by a value prepared before it or written with keys being dropped
+let writesPaused = null; // Promise resolved when writes resume
+const pendingWrites = new Set();
+
+/**
+ * Hold secure Web Storage writes, once the ones in progress have finished
+ * Resolves to a function that lets them continue
+ */
+export async function pauseSecureWrites() {
+  let resume;
+  const paused = new Promise((resolve) => { resume = resolve; });
+  writesPaused = paused;
+  await Promise.allSettled([...pendingWrites]);
+  return () => {
+    if (writesPaused === paused) writesPaused = null;
+    resume();
+  };
+}
+
+async function waitForWrites() {
+  while (writesPaused) await writesPaused;
+}
+
+/**
+ * Remove every encrypted Web Storage value (the vault passphrase was forgotten)
+ */
+export function removeEncryptedWebStorage() {
+  for (const storage of [localStorage, sessionStorage]) {
+    Object.keys(storage)
+      .filter((key) => storage.getItem(key)?.startsWith(ENCRYPTION_PREFIX))
+      .forEach((key) => storage.removeItem(key));
+  }
+  decryptionFailures.clear();
+  notifyFailureListeners();
+}
+
 /**
  * Secure Storage Class
  */
 class SecureStorage {
-  constructor(storage = sessionStorage) {
+  constructor(storage = sessionStorage, name = 'session') {
     this.storage = storage;
-    this.keyPromise = null;
+    this.name = name;
   }
 
   /**
    * Initialize encryption key
    */
   async init() {
-    if (!this.keyPromise) {
-      const fingerprint = generateBrowserFingerprint();
-      this.keyPromise = deriveKey(fingerprint);
-    }
-    return this.keyPromise;
+    return getActiveKeys();
   }
 
   /**
-   * Set encrypted item
+   * Encrypt a value without storing it (for records kept outside Web Storage,
+   * e.g. IndexedDB)
    */
-  async setItem(key, value) {
+  async encryptValue(value) {
+    return encrypt(value, await this.init());
+  }
+
+  /**
+   * Decrypt a value from encryptValue; returns null if it can't be decrypted
+   */
+  async decryptValue(encrypted) {
+    if (typeof encrypted !== 'string') return null;
     try {
-      const encryptionKey = await this.init();
-      const encrypted = await encrypt(value, encryptionKey);
-      this.storage.setItem(key, encrypted);
-      return true;
+      return await decrypt(encrypted, resolveStoredKeys);
     } catch (error) {
-      logger.error('SecureStorage setItem error:', error.message);
-      return false;
+      return null;
     }
   }
 
+  /**
+   * Keyed hash of a value, so encrypted records can be looked up by it
+   */
+  async hashValue(value) {
+    return hash(value, (await getActiveKeys()).indexKey);
+  }
+
+  /**
+   * Set encrypted item
+   */
+  async setItem(key, value) {
+    if (writesPaused) await waitForWrites();
+
+    const write = (async () => {
+      try {
+        const encrypted = await encrypt(value, await this.init());
+        this.storage.setItem(key, encrypted);
+        clearDecryptionFailure(this.name, key);
+        return true;
+      } catch (error) {
+        logger.error('SecureStorage setItem error:', error.message);
+        return false;
+      }
+    })();
+    pendingWrites.add(write);
+    return write.finally(() => pendingWrites.delete(write));
+  }
+
   /**
    * Get and decrypt item
    * Handles migration from plain text to encrypted storage
@@ -162,32 +747,29 @@ class SecureStorage {
 
       // Check if data is already encrypted
       if (stored.startsWith(ENCRYPTION_PREFIX)) {
-        const encryptionKey = await this.init();
-        const decrypted = await decrypt(stored, encryptionKey);
-
-        // If decryption fails, the data might be corrupted - clear it
-        if (decrypted === null) {
-          logger.warn(`Failed to decrypt ${key}, clearing corrupted data`);
-          this.storage.removeItem(key);
+        try {
+          return await decrypt(stored, resolveStoredKeys);
+        } catch (error) {
+          // Keep the value (it may be readable with another key) and let the UI know
+          reportDecryptionFailure(this.name, key, error);
           return null;
         }
-
-        return decrypted;
       }
 
-      // Data is plain text - migrate it to encrypted format
+      // Data is plain text - migrate it to encrypted format. Not awaited: writes
+      // wait while stored data is re-encrypted, which may be what is reading it
       logger.info(`Migrating ${key} from plain text to encrypted storage`);
       try {
         const plainData = JSON.parse(stored);
 
         // Re-save as encrypted
-        await this.setItem(key, plainData);
+        this.setItem(key, plainData);
 
         return plainData;
       } catch (parseError) {
         // If it's not valid JSON, treat as string
         const plainData = stored;
-        await this.setItem(key, plainData);
+        this.setItem(key, plainData);
         return plainData;
       }
     } catch (error) {
@@ -197,17 +779,23 @@ class SecureStorage {
   }
 
   /**
-   * Remove item
+   * Remove item (after re-encryption, if stored data is being re-encrypted)
    */
   removeItem(key) {
+    if (writesPaused) return waitForWrites().then(() => this.removeItem(key));
     this.storage.removeItem(key);
+    clearDecryptionFailure(this.name, key);
   }
 
   /**
    * Clear all items
    */
   clear() {
+    if (writesPaused) return waitForWrites().then(() => this.clear());
     this.storage.clear();
+    getDecryptionFailures()
+      .filter(({ source }) => source === this.name)
+      .forEach(({ key }) => clearDecryptionFailure(this.name, key));
   }
 
   /**
@@ -219,8 +807,23 @@ class SecureStorage {
 }
 
 // Create singleton instances
-export const secureSessionStorage = new SecureStorage(sessionStorage);
-export const secureLocalStorage = new SecureStorage(localStorage);
+export const secureSessionStorage = new SecureStorage(sessionStorage, 'session');
+export const secureLocalStorage = new SecureStorage(localStorage, 'local');
+
+/**
+ * Remove the stored values that could not be decrypted (Web Storage only;
+ * unreadable cache records are dropped by the cache itself)
+ */
+export function discardUndecryptableValues() {
+  const stores = { session: secureSessionStorage, local: secureLocalStorage };
+  getDecryptionFailures().forEach(({ source, key }) => {
+    if (stores[source]) {
+      stores[source].removeItem(key);
+    } else {
+      clearDecryptionFailure(source, key);
+    }
+  });
+}
 
 /**
  * Helper to migrate existing plain storage to encrypted
@@ -0,0 +1,166 @@
+import writeXlsxFile from 'write-excel-file/browser';
+import {
+  sortTransactionsByDate,
+  calculateReceiptTotal,
+  formatReceiptDateRange,
+  getReceiptRow,
+  getReceiptFileTimestamp,
+  spansMultipleAccounts,
+} from './receiptData';
+import { downloadBlob, toCSV, createCSVBlob } from './fileExport';
+
+// Columns shared by the CSV and Excel exports (same as the PDF table plus the business purpose)
+const EXPORT_COLUMNS = ['Date & Time', 'Location', 'Vehicle', 'Tag ID', 'Amount', 'Business Purpose'];
+
+// Leading column added when the export includes tolls from more than one account
+const ACCOUNT_COLUMN = 'Account';
+
+// Excel limits sheet names to 31 characters and forbids a few characters
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[[\]:*?/\\]/g;
+
+// Flatten the grouped transactions into sorted export rows, one group per business purpose
+const getExportGroups = (groupedTransactions) => {
+  return Object.entries(groupedTransactions).map(([businessPurpose, transactions]) => {
+    const sortedTransactions = sortTransactionsByDate(transactions);
+    return {
+      businessPurpose: businessPurpose || 'Not specified',
+      transactions: sortedTransactions,
+      rows: sortedTransactions.map(getReceiptRow),
+      total: calculateReceiptTotal(sortedTransactions),
+    };
+  });
+};
+
+const includesMultipleAccounts = (groups) => {
+  return spansMultipleAccounts(groups.flatMap(group => group.transactions));
+};
+
+// Prefix the account cell to a row when the export spans accounts
+const withAccount = (includeAccount, accountCell, cells) => {
+  return includeAccount ? [accountCell, ...cells] : cells;
+};
+
+// Generate a single CSV of all selected transactions, labelled by business purpose
+export const generateCSV = (groupedTransactions) => {
+  const groups = getExportGroups(groupedTransactions);
+  const includeAccount = includesMultipleAccounts(groups);
+  const rows = [withAccount(includeAccount, ACCOUNT_COLUMN, EXPORT_COLUMNS)];
+
+  groups.forEach(group => {
+    group.rows.forEach(row => {
+      rows.push(withAccount(includeAccount, row.account, [
+        row.dateTime,
+        row.location,
+        row.vehicle,
+        row.tagId,
+        row.amount.toFixed(2),
+        group.businessPurpose,
+      ]));
+    });
+  });
+
+  downloadBlob(createCSVBlob(toCSV(rows)), `NTTA_Receipts_${getReceiptFileTimestamp()}.csv`);
+};
+
+// Make a valid, unique Excel sheet name from a business purpose
+const getSheetName = (businessPurpose, usedNames) => {
+  const base = businessPurpose
+    .replace(INVALID_SHEET_NAME_CHARS, ' ')
+    .replace(/^'+|'+$/g, '')
+    .trim()
+    .slice(0, MAX_SHEET_NAME_LENGTH) || 'Receipt';
+
+  let name = base;
+  let counter = 2;
+  while (usedNames.has(name.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    name = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+  }
+
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+const headerCell = (value, align) => ({ value, fontWeight: 'bold', align });
+const amountCell = (value, extra = {}) => ({ value, type: Number, format: '#,##0.00', align: 'right', ...extra });
+
+// Generate an .xlsx workbook with a summary sheet and one sheet per business purpose
+export const generateXLSX = async (groupedTransactions) => {
+  const groups = getExportGroups(groupedTransactions);
+  const includeAccount = includesMultipleAccounts(groups);
+  const usedNames = new Set(['summary']);
+
+  const summaryData = [
+    [
+      headerCell('Business Purpose'),
+      headerCell('Date Range'),
+      headerCell('Transactions', 'right'),
+      headerCell('Total', 'right'),
+    ],
+  ];
+
+  const purposeSheets = groups.map(group => {
+    summaryData.push([
+      { value: group.businessPurpose },
+      { value: formatReceiptDateRange(group.transactions) },
+      { value: group.transactions.length, type: Number, align: 'right' },
+      amountCell(group.total),
+    ]);
+
+    const data = [
+      withAccount(
+        includeAccount,
+        headerCell(ACCOUNT_COLUMN),
+        EXPORT_COLUMNS.map(label => headerCell(label, label === 'Amount' ? 'right' : undefined))
+      ),
+      ...group.rows.map(row => withAccount(includeAccount, { value: row.account }, [
+        { value: row.dateTime },
+        { value: row.location },
+        { value: row.vehicle },
+        { value: row.tagId, format: '@' },
+        amountCell(row.amount),
+        { value: group.businessPurpose },
+      ])),
+      withAccount(includeAccount, null, [
+        { value: 'Total Amount', fontWeight: 'bold' },
+        null,
+        null,
+        null,
+        amountCell(group.total, { fontWeight: 'bold' }),
+        null,
+      ]),
+    ];
+
+    const columns = [{ width: 22 }, { width: 40 }, { width: 14 }, { width: 16 }, { width: 12 }, { width: 36 }];
+
+    return {
+      data,
+      sheet: getSheetName(group.businessPurpose, usedNames),
+      columns: withAccount(includeAccount, { width: 30 }, columns),
+      stickyRowsCount: 1,
+    };
+  });
+
+  const grandTotal = groups.reduce((sum, group) => sum + group.total, 0);
+  const transactionCount = groups.reduce((sum, group) => sum + group.transactions.length, 0);
+  summaryData.push([
+    { value: 'Grand Total', fontWeight: 'bold' },
+    null,
+    { value: transactionCount, type: Number, align: 'right', fontWeight: 'bold' },
+    amountCell(grandTotal, { fontWeight: 'bold' }),
+  ]);
+
+  const sheets = [
+    {
+      data: summaryData,
+      sheet: 'Summary',
+      columns: [{ width: 40 }, { width: 28 }, { width: 14 }, { width: 12 }],
+      stickyRowsCount: 1,
+    },
+    ...purposeSheets,
+  ];
+
+  const blob = await writeXlsxFile(sheets).toBlob();
+  downloadBlob(blob, `NTTA_Receipts_${getReceiptFileTimestamp()}.xlsx`);
+};
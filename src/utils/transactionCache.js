@@ -6,48 +6,104 @@
  * transactions (last 3 days) have a shorter cache duration (1 hour) since they
  * may still be updated.
  *
- * Now uses encrypted storage for sensitive financial data.
+ * Transactions are stored in IndexedDB, one encrypted record per transaction,
+ * indexed by account, trip date, vehicle and tag. Plates and tags are indexed by
+ * keyed hash, so they are never stored in plain text, and a date range query
+ * only decrypts the records in that range. Each NTTA account has its own
+ * records so signing into several accounts keeps their transactions apart.
+ *
+ * Each fetch also records the date interval it covered, the filter it was made
+ * with and when. A search only fetches the sub-intervals that are missing or
+ * stale, so extending "Last 30 Days" to "Last 90 Days" only downloads the extra
+ * 60 days. Only an unfiltered interval counts as complete coverage; a filtered
+ * interval only covers later searches with the same filter.
+ *
+ * Caches from earlier versions (one encrypted localStorage blob per account,
+ * `ntta_transaction_cache_<accountId>`, or a single `ntta_transaction_cache`
+ * before that, which goes to the signed in account) are migrated on first use.
+ * Records that can't be decrypted are reported and dropped together with the
+ * account's fetched intervals, so those days are downloaded again.
  */
 
-import { secureLocalStorage } from './secureStorage';
+import { addDays, format, parseISO } from 'date-fns';
+import { secureLocalStorage, reportDecryptionFailure, DecryptionError } from './secureStorage';
+import { getFilterKey, normalizeFilters } from './transactionFilters';
+import { getActiveAccountId } from './accountSession';
+import {
+  TRANSACTIONS_STORE,
+  CACHE_RANGES_STORE,
+  isIndexedDbSupported,
+  openDatabase,
+  requestToPromise,
+  transactionDone,
+  iterateCursor,
+} from './indexedDb';
 import logger from './logger';
 
-const CACHE_KEY = 'ntta_transaction_cache';
+const LEGACY_CACHE_KEY_PREFIX = 'ntta_transaction_cache';
 const RECENT_TRANSACTION_THRESHOLD_DAYS = 3;
 const RECENT_CACHE_DURATION_MS = 60 * 60 * 1000; // 1 hour for recent transactions
 const OLD_CACHE_DURATION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days for older transactions
+const MAX_FETCHED_RANGES = 200;
 
-/**
- * Get the cache from encrypted localStorage
- */
-async function getCache() {
-  try {
-    const cached = await secureLocalStorage.getItem(CACHE_KEY);
-    if (!cached) return { transactions: {}, metadata: {} };
-    return cached;
-  } catch (error) {
-    logger.error('Error reading transaction cache:', error.message);
-    return { transactions: {}, metadata: {} };
-  }
+// Writes are read-modify-write across both stores (with encryption in between,
+// which can't happen inside an IndexedDB transaction), so run operations one
+// at a time; reads go through the queue too so they see pending writes
+let cacheQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+  const next = cacheQueue.then(task, task);
+  cacheQueue = next.catch(() => {});
+  return next;
 }
 
+// Date inputs are 'yyyy-MM-dd' strings; parse them as local dates, not UTC
+const toDate = (value) => (typeof value === 'string' ? parseISO(value) : new Date(value));
+
+const toDayKey = (value) => format(toDate(value), 'yyyy-MM-dd');
+
+const getTripDate = (transaction) => toDate(transaction.Entry_TripDateTime || transaction.TripDate);
+
+const getTripDayKey = (transaction) =>
+  String(transaction?.Entry_TripDateTime || transaction?.TripDate || '').split('T')[0];
+
+const shiftDayKey = (dayKey, days) => format(addDays(parseISO(dayKey), days), 'yyyy-MM-dd');
+
+const normalizeIndexValue = (value) => String(value || '').trim().toUpperCase();
+
 /**
- * Save the cache to encrypted localStorage
+ * Parts of an interval not covered by any of the given intervals
+ * Intervals are { startDate, endDate } day keys, both inclusive
  */
-async function saveCache(cache) {
-  try {
-    await secureLocalStorage.setItem(CACHE_KEY, cache);
-  } catch (error) {
-    logger.error('Error saving transaction cache:', error.message);
-  }
+function subtractIntervals(interval, covered) {
+  let remaining = [interval];
+  covered.forEach(c => {
+    remaining = remaining.flatMap(r => {
+      if (c.endDate < r.startDate || c.startDate > r.endDate) return [r];
+      const parts = [];
+      if (c.startDate > r.startDate) {
+        parts.push({ ...r, endDate: shiftDayKey(c.startDate, -1) });
+      }
+      if (c.endDate < r.endDate) {
+        parts.push({ ...r, startDate: shiftDayKey(c.endDate, 1) });
+      }
+      return parts;
+    });
+  });
+  return remaining;
 }
 
+// First day that can hold recent transactions (a day early, since recency is
+// measured from the trip time)
+const getRecentStartKey = () =>
+  toDayKey(Date.now() - (RECENT_TRANSACTION_THRESHOLD_DAYS + 1) * 24 * 60 * 60 * 1000);
+
 /**
  * Determine if a transaction is "recent" (within the last 3 days)
  */
 function isRecentTransaction(transaction) {
   try {
-    const tripDate = new Date(transaction.TripDate);
+    const tripDate = getTripDate(transaction);
     const now = new Date();
     const daysAgo = (now - tripDate) / (1000 * 60 * 60 * 24);
     return daysAgo < RECENT_TRANSACTION_THRESHOLD_DAYS;
@@ -67,111 +123,358 @@ function getCacheDuration(transaction) {
 }
 
 /**
- * Add transactions to the cache
+ * Build the stored record of a transaction: plain index fields and the
+ * encrypted transaction
  */
-export async function cacheTransactions(transactions) {
-  try {
-    if (!Array.isArray(transactions)) {
-      logger.warn('cacheTransactions: transactions is not an array');
-      return;
-    }
-
-    const cache = await getCache();
-    const now = Date.now();
+async function toRecord(accountId, transaction, now, cipher = secureLocalStorage) {
+  const isRecent = isRecentTransaction(transaction);
+  return {
+    accountId: String(accountId),
+    id: String(transaction.CustomerTripId),
+    tripDay: getTripDayKey(transaction),
+    vehicleKey: await cipher.hashValue(normalizeIndexValue(transaction.VehicleNumber)),
+    tagKey: await cipher.hashValue(normalizeIndexValue(transaction.TagId)),
+    typeCode: normalizeIndexValue(transaction.TollTransactionTypeCode),
+    cachedAt: now,
+    expiresAt: now + getCacheDuration(transaction),
+    isRecent,
+    data: await cipher.encryptValue(transaction),
+  };
+}
 
-    transactions.forEach(transaction => {
-      const id = transaction.CustomerTripId;
-      if (!id) return;
+/**
+ * Filters with plates and tags replaced by their index hashes
+ */
+async function hashFilters(filters) {
+  const { trnsTypes, plates, transponders } = normalizeFilters(filters);
+  return {
+    trnsTypes,
+    vehicleKeys: await Promise.all(plates.map(p => secureLocalStorage.hashValue(p))),
+    tagKeys: await Promise.all(transponders.map(t => secureLocalStorage.hashValue(t))),
+  };
+}
 
-      const cacheDuration = getCacheDuration(transaction);
+// The transaction filter, checked on a record's index fields without decrypting it
+function recordMatchesFilters(record, hashedFilters) {
+  const { trnsTypes, vehicleKeys, tagKeys } = hashedFilters;
+  return (trnsTypes.length === 0 || trnsTypes.includes(record.typeCode)) &&
+    (vehicleKeys.length === 0 || vehicleKeys.includes(record.vehicleKey)) &&
+    (tagKeys.length === 0 || tagKeys.includes(record.tagKey));
+}
 
-      cache.transactions[id] = transaction;
-      cache.metadata[id] = {
-        cachedAt: now,
-        expiresAt: now + cacheDuration,
-        isRecent: isRecentTransaction(transaction),
-      };
-    });
+/**
+ * Key ranges to scan for a date range: the vehicle or tag index when filtering
+ * by plate or tag, otherwise the trip date index
+ */
+function getScanRanges(accountId, startDay, endDay, hashedFilters) {
+  const account = String(accountId);
+  if (hashedFilters.vehicleKeys.length > 0) {
+    return hashedFilters.vehicleKeys.map(key => ({
+      index: 'account_vehicle_tripDay',
+      range: IDBKeyRange.bound([account, key, startDay], [account, key, endDay]),
+    }));
+  }
+  if (hashedFilters.tagKeys.length > 0) {
+    return hashedFilters.tagKeys.map(key => ({
+      index: 'account_tag_tripDay',
+      range: IDBKeyRange.bound([account, key, startDay], [account, key, endDay]),
+    }));
+  }
+  return [{ index: 'account_tripDay', range: IDBKeyRange.bound([account, startDay], [account, endDay]) }];
+}
 
-    await saveCache(cache);
-  } catch (error) {
-    logger.error('Error caching transactions:', error.message);
+async function readRanges(db, accountId) {
+  const record = await requestToPromise(
+    db.transaction(CACHE_RANGES_STORE).objectStore(CACHE_RANGES_STORE).get(String(accountId))
+  );
+  if (!record) return [];
+  const ranges = await secureLocalStorage.decryptValue(record.data);
+  if (!Array.isArray(ranges)) {
+    reportDecryptionFailure('cache', `Fetched days of account ${accountId}`, new DecryptionError('they will be downloaded again'));
+    return [];
   }
+  return ranges;
 }
 
 /**
- * Get cached transactions for a date range
- * Returns cached transactions array
+ * Drop records that can't be decrypted and the account's fetched intervals,
+ * so the missing days are fetched again
+ */
+async function dropUndecryptable(db, accountId, ids) {
+  const tx = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE], 'readwrite');
+  ids.forEach(id => tx.objectStore(TRANSACTIONS_STORE).delete([String(accountId), id]));
+  tx.objectStore(CACHE_RANGES_STORE).delete(String(accountId));
+  await transactionDone(tx);
+
+  reportDecryptionFailure(
+    'cache',
+    `Cached transactions of account ${accountId}`,
+    new DecryptionError(`${ids.length} could not be decrypted and will be downloaded again`)
+  );
+}
+
+async function toRangesRecord(accountId, ranges, cipher = secureLocalStorage) {
+  return { accountId: String(accountId), data: await cipher.encryptValue(ranges) };
+}
+
+/**
+ * Move one cache stored in localStorage by an earlier version into IndexedDB
+ * The localStorage copy is only removed once the records are committed; a
+ * cache that can't be decrypted is left in place (and reported)
  */
-export async function getCachedTransactions(startDate, endDate) {
+async function migrateLegacyCache(db, key, accountId) {
   try {
-    const cache = await getCache();
+    const legacy = await secureLocalStorage.getItem(key);
+    if (legacy === null) return;
+
     const now = Date.now();
-    const cached = [];
+    const records = [];
+    for (const [id, transaction] of Object.entries(legacy.transactions || {})) {
+      const expiresAt = legacy.metadata?.[id]?.expiresAt ?? 0;
+      if (!transaction?.CustomerTripId || expiresAt <= now) continue;
+      records.push({ ...(await toRecord(accountId, transaction, now)), expiresAt });
+    }
+    const ranges = (legacy.ranges || []).filter(r => r.expiresAt > now);
+    // Encrypt before opening the transaction, which would commit during the await
+    const rangesRecord = ranges.length > 0 ? await toRangesRecord(accountId, ranges) : null;
+
+    const tx = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE], 'readwrite');
+    records.forEach(record => tx.objectStore(TRANSACTIONS_STORE).put(record));
+    if (rangesRecord) {
+      tx.objectStore(CACHE_RANGES_STORE).put(rangesRecord);
+    }
+    await transactionDone(tx);
 
-    // Clean up expired entries while we're at it
-    let hasExpired = false;
+    secureLocalStorage.removeItem(key);
+    logger.info(`Migrated ${records.length} cached transactions for account ${accountId} to IndexedDB`);
+  } catch (error) {
+    logger.error('Error migrating transaction cache:', error.message);
+  }
+}
 
-    // Create date objects for comparison (without mutating originals)
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
+/**
+ * Move the per-account caches stored in localStorage by earlier versions
+ */
+async function migrateLegacyCaches(db) {
+  const legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(`${LEGACY_CACHE_KEY_PREFIX}_`));
+  for (const key of legacyKeys) {
+    await migrateLegacyCache(db, key, key.slice(LEGACY_CACHE_KEY_PREFIX.length + 1));
+  }
+}
 
-    Object.keys(cache.transactions).forEach(id => {
-      const metadata = cache.metadata[id];
+// The unprefixed cache predates per-account caches. It was written for the
+// account signed in at the time, so it moves to the signed in account once
+// one is known.
+let unassignedCachePending = true;
+
+async function migrateUnassignedLegacyCache(db) {
+  if (localStorage.getItem(LEGACY_CACHE_KEY_PREFIX) === null) {
+    unassignedCachePending = false;
+    return;
+  }
+  const accountId = await getActiveAccountId();
+  if (!accountId) return;
+
+  unassignedCachePending = false;
+  await migrateLegacyCache(db, LEGACY_CACHE_KEY_PREFIX, accountId);
+}
+
+let databasePromise = null;
+
+/**
+ * Open the database and migrate earlier caches once; resolves to null when
+ * IndexedDB is unavailable (the cache is then skipped)
+ */
+async function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = (async () => {
+      if (!isIndexedDbSupported()) {
+        logger.warn('IndexedDB is not available, transactions will not be cached');
+        return null;
+      }
+      const db = await openDatabase();
+      await migrateLegacyCaches(db);
+      return db;
+    })().catch(error => {
+      logger.error('Error opening transaction cache:', error.message);
+      databasePromise = null;
+      return null;
+    });
+  }
+
+  const db = await databasePromise;
+  if (db && unassignedCachePending) {
+    await migrateUnassignedLegacyCache(db);
+  }
+  return db;
+}
+
+/**
+ * Open the cache and finish migrating earlier caches (which write to storage),
+ * e.g. before storage writes are paused for re-encryption
+ */
+export function openTransactionCache() {
+  return enqueueWrite(async () => {
+    await getDatabase();
+  });
+}
 
-      // Remove expired entries
-      if (metadata && metadata.expiresAt < now) {
-        delete cache.transactions[id];
-        delete cache.metadata[id];
-        hasExpired = true;
+/**
+ * Add transactions to the cache
+ * `range` ({ startDate, endDate, filters }) records the interval the fetch fully
+ * covered; cached transactions in that interval that matched the filter but were
+ * not returned again are dropped (e.g. voided trips)
+ */
+export function cacheTransactions(accountId, transactions, range) {
+  return enqueueWrite(async () => {
+    try {
+      if (!Array.isArray(transactions)) {
+        logger.warn('cacheTransactions: transactions is not an array');
         return;
       }
 
-      const transaction = cache.transactions[id];
-      if (!transaction) return;
+      const db = await getDatabase();
+      if (!db) return;
+
+      const now = Date.now();
+      const records = await Promise.all(
+        transactions
+          .filter(transaction => transaction?.CustomerTripId)
+          .map(transaction => toRecord(accountId, transaction, now))
+      );
+
+      let fetched = null;
+      let hashedFilters = null;
+      let rangesRecord = null;
+      if (range?.startDate && range?.endDate) {
+        fetched = { startDate: toDayKey(range.startDate), endDate: toDayKey(range.endDate) };
+        hashedFilters = await hashFilters(range.filters);
+        const filterKey = getFilterKey(range.filters);
+
+        // Recent days expire with their recent transactions, older days keep the long duration
+        const recentStart = getRecentStartKey();
+        const fetchedIntervals = [
+          { startDate: fetched.startDate, endDate: fetched.endDate < recentStart ? fetched.endDate : shiftDayKey(recentStart, -1), duration: OLD_CACHE_DURATION_MS },
+          { startDate: fetched.startDate > recentStart ? fetched.startDate : recentStart, endDate: fetched.endDate, duration: RECENT_CACHE_DURATION_MS },
+        ].filter(i => i.startDate <= i.endDate);
+
+        // The new interval supersedes the parts of older ones with the same filter
+        const ranges = [
+          ...(await readRanges(db, accountId))
+            .filter(r => r.expiresAt > now)
+            .flatMap(r => (r.filterKey === filterKey ? subtractIntervals(r, [fetched]) : [r])),
+          ...fetchedIntervals.map(({ startDate, endDate, duration }) => ({
+            startDate,
+            endDate,
+            filterKey,
+            fetchedAt: now,
+            expiresAt: now + duration,
+          })),
+        ].slice(-MAX_FETCHED_RANGES);
+        rangesRecord = await toRangesRecord(accountId, ranges);
+      }
 
-      // Check if transaction falls within the requested date range
-      try {
-        const tripDate = new Date(transaction.TripDate);
+      const tx = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE], 'readwrite');
+      const store = tx.objectStore(TRANSACTIONS_STORE);
 
-        if (tripDate >= start && tripDate <= end) {
-          cached.push(transaction);
+      if (fetched) {
+        // Drop what was cached for the fetched interval and filter before adding the fresh copy
+        for (const { index, range: keyRange } of getScanRanges(accountId, fetched.startDate, fetched.endDate, hashedFilters)) {
+          await iterateCursor(store.index(index).openCursor(keyRange), cursor => {
+            if (recordMatchesFilters(cursor.value, hashedFilters)) cursor.delete();
+          });
         }
-      } catch (error) {
-        logger.error('Error checking transaction date:', error);
+        tx.objectStore(CACHE_RANGES_STORE).put(rangesRecord);
       }
-    });
+      records.forEach(record => store.put(record));
 
-    // Save cache if we removed expired entries
-    if (hasExpired) {
-      await saveCache(cache);
+      await transactionDone(tx);
+    } catch (error) {
+      logger.error('Error caching transactions:', error.message);
     }
+  });
+}
 
-    return cached;
-  } catch (error) {
-    logger.error('Error getting cached transactions:', error);
-    return [];
-  }
+/**
+ * Get cached transactions for a date range, optionally limited to a filter
+ * ({ trnsTypes, plates, transponders }); only matching records are decrypted
+ * Returns cached transactions array
+ */
+export function getCachedTransactions(accountId, startDate, endDate, filters) {
+  return enqueueWrite(async () => {
+    try {
+      const db = await getDatabase();
+      if (!db) return [];
+
+      const now = Date.now();
+      const hashedFilters = await hashFilters(filters);
+      const encrypted = new Map();
+
+      // Clean up expired entries while we're at it
+      const tx = db.transaction(TRANSACTIONS_STORE, 'readwrite');
+      const store = tx.objectStore(TRANSACTIONS_STORE);
+      for (const { index, range } of getScanRanges(accountId, toDayKey(startDate), toDayKey(endDate), hashedFilters)) {
+        await iterateCursor(store.index(index).openCursor(range), cursor => {
+          if (cursor.value.expiresAt < now) {
+            cursor.delete();
+          } else if (recordMatchesFilters(cursor.value, hashedFilters)) {
+            encrypted.set(cursor.value.id, cursor.value.data);
+          }
+        });
+      }
+      await transactionDone(tx);
+
+      const entries = [...encrypted.entries()];
+      const cached = await Promise.all(entries.map(([, data]) => secureLocalStorage.decryptValue(data)));
+      const unreadable = entries.filter((entry, index) => !cached[index]).map(([id]) => id);
+      if (unreadable.length > 0) {
+        await dropUndecryptable(db, accountId, unreadable);
+      }
+      return cached.filter(Boolean);
+    } catch (error) {
+      logger.error('Error getting cached transactions:', error);
+      return [];
+    }
+  });
 }
 
 /**
- * Check if we need to fetch transactions for a given date range
- * Returns true if we should fetch, false if cache is sufficient
+ * The parts of a date range that are missing from the cache or stale, for an
+ * account and filter
+ * Returns [{ startDate, endDate }] as 'yyyy-MM-dd' day keys, oldest first
  */
-export async function shouldFetchTransactions(startDate, endDate) {
-  const cached = await getCachedTransactions(startDate, endDate);
+export function getMissingIntervals(accountId, startDate, endDate, filters) {
+  return enqueueWrite(async () => {
+    const requested = { startDate: toDayKey(startDate), endDate: toDayKey(endDate) };
+    if (requested.startDate > requested.endDate) return [];
+
+    let ranges = [];
+    try {
+      const db = await getDatabase();
+      if (db) ranges = await readRanges(db, accountId);
+    } catch (error) {
+      logger.error('Error reading cached ranges:', error.message);
+    }
+
+    const now = Date.now();
+    const filterKey = getFilterKey(filters);
 
-  // If we have no cached transactions, we need to fetch
-  if (cached.length === 0) return true;
+    // An unfiltered interval covers every filter; a filtered one only covers itself
+    const covered = ranges.filter(r =>
+      r.expiresAt > now && (r.filterKey === '' || r.filterKey === filterKey)
+    );
 
-  // Check if any transactions in the range are recent and might need updating
-  const hasRecentTransactions = cached.some(t => isRecentTransaction(t));
+    return subtractIntervals(requested, covered)
+      .map(({ startDate: start, endDate: end }) => ({ startDate: start, endDate: end }));
+  });
+}
 
-  // If there are recent transactions, we should fetch to get updates
-  // Otherwise, we can rely on the cache
-  return hasRecentTransactions;
+/**
+ * Check if we need to fetch transactions for a given date range
+ * Returns true if we should fetch, false if cache is sufficient
+ */
+export async function shouldFetchTransactions(accountId, startDate, endDate, filters) {
+  return (await getMissingIntervals(accountId, startDate, endDate, filters)).length > 0;
 }
 
 /**
@@ -209,42 +512,256 @@ export function mergeWithCache(freshTransactions, cachedTransactions) {
 }
 
 /**
- * Clear all cached transactions (useful for logout or manual refresh)
+ * Clear cached transactions for one account, or for every account when no
+ * accountId is given (useful for logout or manual refresh)
  */
-export async function clearTransactionCache() {
-  try {
-    await secureLocalStorage.removeItem(CACHE_KEY);
-  } catch (error) {
-    logger.error('Error clearing transaction cache:', error);
-  }
+export function clearTransactionCache(accountId) {
+  // Queued so a pending write can't restore the cache after it is cleared
+  return enqueueWrite(async () => {
+    try {
+      const db = await getDatabase();
+      if (!db) return;
+
+      const tx = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE], 'readwrite');
+      if (accountId) {
+        await iterateCursor(
+          tx.objectStore(TRANSACTIONS_STORE).index('account').openCursor(IDBKeyRange.only(String(accountId))),
+          cursor => cursor.delete()
+        );
+        tx.objectStore(CACHE_RANGES_STORE).delete(String(accountId));
+      } else {
+        tx.objectStore(TRANSACTIONS_STORE).clear();
+        tx.objectStore(CACHE_RANGES_STORE).clear();
+      }
+      await transactionDone(tx);
+    } catch (error) {
+      logger.error('Error clearing transaction cache:', error);
+    }
+  });
 }
 
 /**
- * Get cache statistics (for debugging/UI display)
+ * Re-encrypt every cached record from one cipher to another (the vault
+ * passphrase changed or keys were rotated, see vault.js); `onReencrypted` runs
+ * before other cache operations resume, so it can switch the keys in use
+ * Returns { reencrypted, failed } record counts
+ */
+export function reencryptTransactionCache(from, to, onReencrypted) {
+  return enqueueWrite(async () => {
+    const result = { reencrypted: 0, failed: 0 };
+    const db = await getDatabase();
+    if (db) {
+      const read = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE]);
+      const [records, rangesRecords] = await Promise.all([
+        requestToPromise(read.objectStore(TRANSACTIONS_STORE).getAll()),
+        requestToPromise(read.objectStore(CACHE_RANGES_STORE).getAll()),
+      ]);
+
+      // Records that can't be decrypted are dropped with their account's
+      // fetched intervals, so those days are downloaded again
+      const updated = [];
+      const failedAccounts = new Set();
+      for (const record of records) {
+        const transaction = await from.decryptValue(record.data);
+        if (!transaction) {
+          failedAccounts.add(record.accountId);
+          result.failed++;
+          continue;
+        }
+        updated.push({
+          ...(await toRecord(record.accountId, transaction, record.cachedAt, to)),
+          expiresAt: record.expiresAt,
+          isRecent: record.isRecent,
+        });
+      }
+      const updatedRanges = [];
+      for (const record of rangesRecords) {
+        const ranges = await from.decryptValue(record.data);
+        if (Array.isArray(ranges) && !failedAccounts.has(record.accountId)) {
+          updatedRanges.push(await toRangesRecord(record.accountId, ranges, to));
+        }
+      }
+
+      const tx = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE], 'readwrite');
+      tx.objectStore(TRANSACTIONS_STORE).clear();
+      tx.objectStore(CACHE_RANGES_STORE).clear();
+      updated.forEach(record => tx.objectStore(TRANSACTIONS_STORE).put(record));
+      updatedRanges.forEach(record => tx.objectStore(CACHE_RANGES_STORE).put(record));
+      await transactionDone(tx);
+
+      result.reencrypted = updated.length;
+      failedAccounts.forEach(accountId => reportDecryptionFailure(
+        'cache',
+        `Cached transactions of account ${accountId}`,
+        new DecryptionError('some could not be decrypted and will be downloaded again')
+      ));
+    }
+    onReencrypted?.();
+    return result;
+  });
+}
+
+/**
+ * Every cached transaction and fetched interval, decrypted, for backups
+ * Returns { [accountId]: { transactions, ranges } }
  */
-export async function getCacheStats() {
-  const cache = await getCache();
-  const now = Date.now();
+export function exportTransactionCache() {
+  return enqueueWrite(async () => {
+    const accounts = {};
+    const db = await getDatabase();
+    if (!db) return accounts;
+
+    const read = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE]);
+    const [records, rangesRecords] = await Promise.all([
+      requestToPromise(read.objectStore(TRANSACTIONS_STORE).getAll()),
+      requestToPromise(read.objectStore(CACHE_RANGES_STORE).getAll()),
+    ]);
+
+    const getAccount = (accountId) => {
+      accounts[accountId] = accounts[accountId] || { transactions: [], ranges: [] };
+      return accounts[accountId];
+    };
+    for (const record of records) {
+      const transaction = await secureLocalStorage.decryptValue(record.data);
+      if (transaction) getAccount(record.accountId).transactions.push(transaction);
+    }
+    for (const record of rangesRecords) {
+      const ranges = await secureLocalStorage.decryptValue(record.data);
+      if (Array.isArray(ranges)) getAccount(record.accountId).ranges = ranges;
+    }
+    return accounts;
+  });
+}
 
-  const stats = {
-    total: Object.keys(cache.transactions).length,
-    recent: 0,
-    old: 0,
-    expired: 0,
-  };
+/**
+ * CustomerTripIds cached for an account (to find overlaps with a backup)
+ */
+export function getCachedTransactionIds(accountId) {
+  return enqueueWrite(async () => {
+    const db = await getDatabase();
+    if (!db) return new Set();
+
+    const keys = await requestToPromise(
+      db.transaction(TRANSACTIONS_STORE).objectStore(TRANSACTIONS_STORE).index('account').getAllKeys(IDBKeyRange.only(String(accountId)))
+    );
+    return new Set(keys.map(([, id]) => id));
+  });
+}
 
-  Object.keys(cache.transactions).forEach(id => {
-    const metadata = cache.metadata[id];
-    const transaction = cache.transactions[id];
+/**
+ * Cached transactions with the given CustomerTripIds, from any account and
+ * including expired records (to verify receipts)
+ * Returns Map of CustomerTripId -> transaction
+ */
+export function findCachedTransactions(tripIds) {
+  return enqueueWrite(async () => {
+    const found = new Map();
+    const db = await getDatabase();
+    if (!db) return found;
+
+    const wanted = new Set(tripIds.map(String));
+    const store = db.transaction(TRANSACTIONS_STORE).objectStore(TRANSACTIONS_STORE);
+    const keys = (await requestToPromise(store.getAllKeys())).filter(([, id]) => wanted.has(id));
+    const records = await Promise.all(keys.map((key) => requestToPromise(store.get(key))));
+
+    for (const record of records) {
+      const transaction = record && await secureLocalStorage.decryptValue(record.data);
+      if (transaction) found.set(record.id, transaction);
+    }
+    return found;
+  });
+}
+
+/**
+ * Add transactions and fetched intervals from a backup
+ * Transactions already cached are kept when `keepExisting` is set, otherwise
+ * replaced. Imported transactions count as freshly cached, while the imported
+ * intervals keep their own expiry, so stale days are still fetched again.
+ * Returns { added, replaced, kept }
+ */
+export function importTransactionCache(accounts, { keepExisting = false } = {}) {
+  return enqueueWrite(async () => {
+    const result = { added: 0, replaced: 0, kept: 0 };
+    const db = await getDatabase();
+    if (!db) return result;
 
-    if (metadata && metadata.expiresAt < now) {
-      stats.expired++;
-    } else if (transaction && isRecentTransaction(transaction)) {
-      stats.recent++;
-    } else {
-      stats.old++;
+    const now = Date.now();
+    const records = [];
+    const rangesRecords = [];
+    for (const [accountId, { transactions = [], ranges = [] }] of Object.entries(accounts)) {
+      const keys = await requestToPromise(
+        db.transaction(TRANSACTIONS_STORE).objectStore(TRANSACTIONS_STORE).index('account').getAllKeys(IDBKeyRange.only(String(accountId)))
+      );
+      const existing = new Set(keys.map(([, id]) => id));
+
+      for (const transaction of transactions) {
+        if (!transaction?.CustomerTripId) continue;
+        const isCached = existing.has(String(transaction.CustomerTripId));
+        if (isCached && keepExisting) {
+          result.kept++;
+          continue;
+        }
+        records.push(await toRecord(accountId, transaction, now));
+        result[isCached ? 'replaced' : 'added']++;
+      }
+
+      const merged = [
+        ...(await readRanges(db, accountId)),
+        ...ranges.filter(r => r?.startDate && r?.endDate && r.expiresAt > now),
+      ].filter(r => r.expiresAt > now).slice(-MAX_FETCHED_RANGES);
+      rangesRecords.push(await toRangesRecord(accountId, merged));
     }
+
+    const tx = db.transaction([TRANSACTIONS_STORE, CACHE_RANGES_STORE], 'readwrite');
+    records.forEach(record => tx.objectStore(TRANSACTIONS_STORE).put(record));
+    rangesRecords.forEach(record => tx.objectStore(CACHE_RANGES_STORE).put(record));
+    await transactionDone(tx);
+    return result;
   });
+}
 
-  return stats;
+/**
+ * Get cache statistics (for debugging/UI display)
+ */
+export function getCacheStats(accountId) {
+  return enqueueWrite(async () => {
+    const stats = {
+      total: 0,
+      recent: 0,
+      old: 0,
+      expired: 0,
+      ranges: 0,
+      filteredRanges: 0,
+    };
+
+    try {
+      const db = await getDatabase();
+      if (!db) return stats;
+
+      const now = Date.now();
+      const tx = db.transaction(TRANSACTIONS_STORE);
+      await iterateCursor(
+        tx.objectStore(TRANSACTIONS_STORE).index('account').openCursor(IDBKeyRange.only(String(accountId))),
+        cursor => {
+          const record = cursor.value;
+          stats.total++;
+          if (record.expiresAt < now) {
+            stats.expired++;
+          } else if (record.isRecent) {
+            stats.recent++;
+          } else {
+            stats.old++;
+          }
+        }
+      );
+
+      const ranges = await readRanges(db, accountId);
+      stats.ranges = ranges.length;
+      stats.filteredRanges = ranges.filter(r => r.filterKey !== '').length;
+    } catch (error) {
+      logger.error('Error reading cache stats:', error.message);
+    }
+
+    return stats;
+  });
 }
@@ -0,0 +1,77 @@
+/**
+ * Transaction History Filters
+ *
+ * NTTA's transhistory endpoint filters by transaction type (TrnsTypes), license
+ * plate (Plates) and TollTag (Transponder), each a comma separated list. Only the
+ * matching pages are downloaded, so a filtered fetch of a large account is much
+ * smaller than the full history. The same filters are applied to cached
+ * transactions, and the filter key records what a cached range was fetched with.
+ */
+
+export const EMPTY_FILTERS = Object.freeze({ trnsTypes: [], plates: [], transponders: [] });
+
+const normalizeValues = (values) =>
+  [...new Set((values || []).map((v) => String(v).trim().toUpperCase()).filter(Boolean))].sort();
+
+/**
+ * Normalized copy of a filter object: trimmed, upper case, de-duplicated and sorted
+ */
+export function normalizeFilters(filters = {}) {
+  return {
+    trnsTypes: normalizeValues(filters.trnsTypes),
+    plates: normalizeValues(filters.plates),
+    transponders: normalizeValues(filters.transponders),
+  };
+}
+
+export function hasFilters(filters) {
+  const { trnsTypes, plates, transponders } = normalizeFilters(filters);
+  return trnsTypes.length > 0 || plates.length > 0 || transponders.length > 0;
+}
+
+export function countFilters(filters) {
+  const { trnsTypes, plates, transponders } = normalizeFilters(filters);
+  return trnsTypes.length + plates.length + transponders.length;
+}
+
+/**
+ * Stable key for a filter; '' means unfiltered (complete coverage)
+ */
+export function getFilterKey(filters) {
+  if (!hasFilters(filters)) return '';
+  const { trnsTypes, plates, transponders } = normalizeFilters(filters);
+  return `types:${trnsTypes.join(',')}|plates:${plates.join(',')}|tags:${transponders.join(',')}`;
+}
+
+/**
+ * The filter fields of a transhistory request body
+ */
+export function toRequestFilters(filters) {
+  const { trnsTypes, plates, transponders } = normalizeFilters(filters);
+  return {
+    TrnsTypes: trnsTypes.join(','),
+    Transponder: transponders.join(','),
+    Plates: plates.join(','),
+  };
+}
+
+/**
+ * Whether a transaction matches the filters, for filtering cached transactions
+ * the same way NTTA filters the history
+ */
+export function matchesFilters(transaction, filters) {
+  const { trnsTypes, plates, transponders } = normalizeFilters(filters);
+  const value = (field) => String(transaction[field] || '').trim().toUpperCase();
+
+  return (trnsTypes.length === 0 || trnsTypes.includes(value('TollTransactionTypeCode'))) &&
+    (plates.length === 0 || plates.includes(value('VehicleNumber'))) &&
+    (transponders.length === 0 || transponders.includes(value('TagId')));
+}
+
+/**
+ * The TagId of a single-tag filter, or '' when not filtering by exactly one tag
+ */
+export function getSingleTag(filters) {
+  const { transponders } = normalizeFilters(filters);
+  return transponders.length === 1 ? transponders[0] : '';
+}
@@ -0,0 +1,77 @@
+/**
+ * Transponder (TollTag) helpers
+ *
+ * The Transponders endpoint only lists tag numbers and agency labels, so the
+ * vehicle a tag is linked to (and whether it is in use) comes from the
+ * vehicles endpoint. Per-tag totals are built from loaded transactions, since
+ * tags shared across cars are reimbursed per tag.
+ */
+
+import { getTransactionAmount } from './receiptData';
+
+export const TAG_STATUS_ACTIVE = 'Active';
+export const TAG_STATUS_UNASSIGNED = 'Unassigned';
+export const TAG_STATUS_OTHER = 'Not on account';
+
+/**
+ * Combine the account's tags with the vehicles they are linked to
+ * Returns [{ tagId, label, agency, status, vehicles: [{ plate, description }] }]
+ */
+export function buildTransponderList(transponders = [], vehicles = []) {
+  const byTag = new Map();
+
+  transponders.forEach((t) => {
+    const tagId = String(t.value || '').trim();
+    if (!tagId || byTag.has(tagId)) return;
+    const label = t.label || tagId;
+    byTag.set(tagId, {
+      tagId,
+      label,
+      agency: label.endsWith(tagId) ? label.slice(0, -tagId.length).replace(/\.$/, '') : '',
+      status: TAG_STATUS_UNASSIGNED,
+      vehicles: [],
+    });
+  });
+
+  vehicles.forEach((v) => {
+    const tagId = String(v.TagSerialNumber || '').trim();
+    if (!tagId) return;
+    if (!byTag.has(tagId)) {
+      byTag.set(tagId, {
+        tagId,
+        label: v.TagAgency ? `${v.TagAgency}.${tagId}` : tagId,
+        agency: v.TagAgency || '',
+        status: TAG_STATUS_UNASSIGNED,
+        vehicles: [],
+      });
+    }
+
+    const tag = byTag.get(tagId);
+    tag.status = TAG_STATUS_ACTIVE;
+    tag.vehicles.push({
+      plate: v.VehicleNumber,
+      description: v.VehicleDescription || [v.Year, v.Make, v.Model].filter(Boolean).join(' '),
+    });
+  });
+
+  return [...byTag.values()].sort((a, b) =>
+    Number(b.status === TAG_STATUS_ACTIVE) - Number(a.status === TAG_STATUS_ACTIVE) ||
+    a.tagId.localeCompare(b.tagId)
+  );
+}
+
+/**
+ * Toll count and total per TagId
+ * Returns { [tagId]: { count, total } }
+ */
+export function getTagTotals(transactions = []) {
+  return transactions.reduce((acc, t) => {
+    const tagId = t.TagId || 'N/A';
+    if (!acc[tagId]) {
+      acc[tagId] = { count: 0, total: 0 };
+    }
+    acc[tagId].count++;
+    acc[tagId].total += getTransactionAmount(t);
+    return acc;
+  }, {});
+}
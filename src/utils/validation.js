@@ -85,6 +85,26 @@ export function validatePassword(password) {
   return { valid: true };
 }
 
+/**
+ * Validate a vault passphrase or PIN
+ * - 6-128 characters
+ */
+export function validatePassphrase(passphrase) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    return { valid: false, error: 'Passphrase is required' };
+  }
+
+  if (passphrase.length < 6) {
+    return { valid: false, error: 'Passphrase must be at least 6 characters' };
+  }
+
+  if (passphrase.length > 128) {
+    return { valid: false, error: 'Passphrase must be less than 128 characters' };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate email format
  */
@@ -137,6 +157,9 @@ export function validateDate(dateString) {
   return { valid: true, date };
 }
 
+// Longest range that can be searched (tax records are kept for up to 7 years)
+export const MAX_DATE_RANGE_YEARS = 7;
+
 /**
  * Validate date range
  */
@@ -158,10 +181,12 @@ export function validateDateRange(startDate, endDate) {
     return { valid: false, error: 'Start date must be before end date' };
   }
 
-  // Check if range is not too large (max 1 year)
-  const maxRange = 365 * 24 * 60 * 60 * 1000; // 1 year in milliseconds
-  if (end - start > maxRange) {
-    return { valid: false, error: 'Date range cannot exceed 1 year' };
+  // Long ranges are fetched in windows (see rangePlanner), so allow several
+  // years of history for tax and audit work
+  const maxEnd = new Date(start);
+  maxEnd.setFullYear(maxEnd.getFullYear() + MAX_DATE_RANGE_YEARS);
+  if (end > maxEnd) {
+    return { valid: false, error: `Date range cannot exceed ${MAX_DATE_RANGE_YEARS} years` };
   }
 
   return { valid: true };
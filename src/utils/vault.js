@@ -0,0 +1,138 @@
+/**
+ * Passphrase Vault
+ *
+ * Opt-in protection for everything the app encrypts (sessions, business
+ * purposes, vehicles, the transaction cache). Without the vault the keys come
+ * from a browser fingerprint, which anyone with the same browser profile can
+ * recompute. With it they are derived from a passphrase or PIN and a random
+ * salt stored on this device, and the app starts locked until the passphrase
+ * is entered.
+ *
+ * Turning the vault on or off and changing the passphrase re-encrypt the
+ * existing data with the new keys. A forgotten passphrase can't be recovered;
+ * resetting the vault deletes the encrypted data instead. Rotation derives
+ * new keys with a fresh random salt and key id (from the passphrase, or the
+ * browser fingerprint without the vault), re-encrypts everything with them in
+ * the current envelope version and forgets the old keys.
+ */
+
+import {
+  secureLocalStorage,
+  isVaultEnabled,
+  getFingerprintCipher,
+  getVaultCipher,
+  createVault,
+  activateVault,
+  createFingerprintKey,
+  activateFingerprintKey,
+  deactivateVault,
+  prepareWebStorageReencryption,
+  removeEncryptedWebStorage,
+  pauseSecureWrites,
+} from './secureStorage';
+import { reencryptTransactionCache, clearTransactionCache, openTransactionCache } from './transactionCache';
+import { flushBusinessPurposeSaves } from './businessPurposeStore';
+import { validatePassphrase } from './validation';
+import logger from './logger';
+
+export { isVaultEnabled, isVaultLocked, unlockVault, lockVault } from './secureStorage';
+
+/**
+ * Re-encrypt all data from one cipher to another, then run `onSwitch` to start
+ * using the new keys
+ * Returns { reencrypted, failed } counts of stored values and cache records;
+ * values that can't be decrypted are left as they are (and reported)
+ */
+async function reencryptAll(from, to, onSwitch = () => {}) {
+  // Save purposes still queued from typing and finish cache migrations first;
+  // Web Storage writes then wait until the new keys are in use (cache writes
+  // are already queued behind the re-encryption)
+  await flushBusinessPurposeSaves();
+  await openTransactionCache();
+  const resumeWrites = await pauseSecureWrites();
+  try {
+    const webStorage = await prepareWebStorageReencryption(from, to);
+    const cache = await reencryptTransactionCache(from, to, () => {
+      webStorage.commit();
+      onSwitch();
+    });
+    return {
+      reencrypted: webStorage.reencrypted + cache.reencrypted,
+      failed: webStorage.failed + cache.failed,
+    };
+  } finally {
+    resumeWrites();
+  }
+}
+
+function checkPassphrase(passphrase) {
+  const validation = validatePassphrase(passphrase);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+}
+
+/**
+ * Turn the vault on: existing data moves from the fingerprint key to the
+ * passphrase key
+ */
+export async function enableVault(passphrase) {
+  checkPassphrase(passphrase);
+  const vault = await createVault(passphrase);
+  await reencryptAll(getFingerprintCipher(), vault.cipher, () => activateVault(vault));
+  logger.info('Vault enabled');
+}
+
+/**
+ * Change the passphrase (and salt); throws if the current passphrase is wrong
+ */
+export async function changeVaultPassphrase(currentPassphrase, newPassphrase) {
+  checkPassphrase(newPassphrase);
+  const current = await getVaultCipher(currentPassphrase);
+  const vault = await createVault(newPassphrase);
+  await reencryptAll(current, vault.cipher, () => activateVault(vault));
+  logger.info('Vault passphrase changed');
+}
+
+/**
+ * Turn the vault off: data moves back to the fingerprint key
+ */
+export async function disableVault(passphrase) {
+  const current = await getVaultCipher(passphrase);
+  await reencryptAll(current, getFingerprintCipher(), deactivateVault);
+  logger.info('Vault disabled');
+}
+
+/**
+ * Rotate the keys: re-encrypt every stored value with new keys from a fresh
+ * salt and key id, then drop the old keys. With the vault on the new keys come
+ * from the passphrase, so it is required (and checked)
+ * Returns { reencrypted, failed }
+ */
+export async function rotateEncryption(passphrase) {
+  let next;
+  let activate;
+  if (isVaultEnabled()) {
+    await getVaultCipher(passphrase);
+    next = await createVault(passphrase);
+    activate = () => activateVault(next);
+  } else {
+    next = await createFingerprintKey();
+    activate = () => activateFingerprintKey(next);
+  }
+
+  // SecureStorage reads values of any supported envelope and key still in use
+  const result = await reencryptAll(secureLocalStorage, next.cipher, activate);
+  logger.info(`Re-encrypted ${result.reencrypted} values with new keys, ${result.failed} could not be decrypted`);
+  return result;
+}
+
+/**
+ * Forgotten passphrase: delete the encrypted data and turn the vault off
+ */
+export async function resetVault() {
+  removeEncryptedWebStorage();
+  deactivateVault();
+  await clearTransactionCache();
+  logger.warn('Vault reset, encrypted data deleted');
+}
@@ -0,0 +1,133 @@
+/**
+ * Vehicle Profiles
+ *
+ * Nicknames ("Company F-150") and ownership types for the plates on an NTTA
+ * account. Profiles are stored per account in encrypted localStorage, keyed by
+ * plate number (VehicleNumber), and used in place of the raw plate in the
+ * transaction list and on receipts.
+ */
+
+import { secureLocalStorage } from './secureStorage';
+import { sanitizeString } from './validation';
+import logger from './logger';
+
+const STORE_KEY_PREFIX = 'ntta_vehicle_profiles';
+const MAX_NICKNAME_LENGTH = 60;
+
+export const OWNERSHIP_PERSONAL = 'personal';
+export const OWNERSHIP_COMPANY = 'company';
+
+export const ownershipTypes = [
+  { value: '', label: 'Not set' },
+  { value: OWNERSHIP_PERSONAL, label: 'Personal' },
+  { value: OWNERSHIP_COMPANY, label: 'Company' },
+];
+
+// Profiles are read-modify-write on a single encrypted blob, so serialize writes
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+  const next = writeQueue.then(task, task);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+function getStoreKey(accountId) {
+  return `${STORE_KEY_PREFIX}_${accountId}`;
+}
+
+const normalizePlate = (plate) => String(plate || '').trim().toUpperCase();
+
+/**
+ * Get the vehicle profiles for an account
+ * Returns { [plate]: { nickname, ownership, updatedAt } }
+ */
+export async function getVehicleProfiles(accountId) {
+  if (!accountId) return {};
+
+  try {
+    return (await secureLocalStorage.getItem(getStoreKey(accountId))) || {};
+  } catch (error) {
+    logger.error('Error reading vehicle profiles:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Save the profile of a single plate; a profile with no nickname and no
+ * ownership type is removed
+ */
+export function saveVehicleProfile(accountId, plate, { nickname, ownership }) {
+  const key = normalizePlate(plate);
+  if (!accountId || !key) return Promise.resolve();
+
+  return enqueueWrite(async () => {
+    const profiles = await getVehicleProfiles(accountId);
+    const sanitized = sanitizeString(nickname || '', MAX_NICKNAME_LENGTH);
+    const ownershipType = ownershipTypes.some((t) => t.value === ownership) ? ownership : '';
+
+    if (!sanitized && !ownershipType) {
+      delete profiles[key];
+    } else {
+      profiles[key] = { nickname: sanitized, ownership: ownershipType, updatedAt: Date.now() };
+    }
+
+    try {
+      await secureLocalStorage.setItem(getStoreKey(accountId), profiles);
+    } catch (error) {
+      logger.error('Error saving vehicle profiles:', error.message);
+    }
+  });
+}
+
+/**
+ * Combine the registered vehicles and the account's plate list into one entry
+ * per plate. Vehicles carry the make/model and tag; CustomerPlates adds plates
+ * that are no longer active.
+ */
+export function buildVehicleList(vehicles = [], plates = []) {
+  const byPlate = new Map();
+
+  vehicles.forEach((v) => {
+    const plate = normalizePlate(v.VehicleNumber);
+    if (!plate) return;
+    byPlate.set(plate, {
+      plate,
+      state: v.State || '',
+      description: v.VehicleDescription || [v.Year, v.Make, v.Model].filter(Boolean).join(' '),
+      tagId: v.TagSerialNumber || '',
+      isActive: true,
+    });
+  });
+
+  plates.forEach((p) => {
+    const plate = normalizePlate(p.value);
+    if (!plate || byPlate.has(plate)) return;
+    byPlate.set(plate, {
+      plate,
+      state: p.state || '',
+      description: '',
+      tagId: '',
+      // Unknown for plates that only appear in transactions
+      isActive: p.vehicleStatus ? p.vehicleStatus === 'Active' : null,
+    });
+  });
+
+  return [...byPlate.values()].sort((a, b) =>
+    Number(b.isActive) - Number(a.isActive) || a.plate.localeCompare(b.plate)
+  );
+}
+
+/**
+ * Get the stored profile for a plate, if any
+ */
+export function getVehicleProfile(profiles, plate) {
+  return profiles?.[normalizePlate(plate)] || null;
+}
+
+/**
+ * Display name for a plate: its nickname, or the plate itself
+ */
+export function getVehicleDisplayName(profiles, plate) {
+  return getVehicleProfile(profiles, plate)?.nickname || plate;
+}
@@ -1,6 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// `vite --mode mock` proxies /api to the local mock server (npm run mock:server)
+const NTTA_TARGET = 'https://sptrips.ntta.org/CustomerPortal'
+const MOCK_TARGET = `${process.env.NTTA_MOCK_URL || 'http://localhost:4010'}/CustomerPortal`
+
 // https://vitejs.dev/config/
 export default defineConfig(({ mode }) => ({
   plugins: [react()],
@@ -40,7 +44,7 @@ export default defineConfig(({ mode }) => ({
     host: true, // Listen on all addresses including localhost
     proxy: {
       '/api': {
-        target: 'https://sptrips.ntta.org/CustomerPortal',
+        target: mode === 'mock' ? MOCK_TARGET : NTTA_TARGET,
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api/, '/api'),
         secure: false,
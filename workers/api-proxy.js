@@ -7,10 +7,11 @@
  *
  * Security features:
  * - CSRF protection via Origin/Referer validation
- * - Rate limiting per IP
+ * - Sliding window rate limiting per IP and per username (Durable Object)
  * - Strict CORS policy
  */
 
+// Override with the NTTA_API_BASE var (e.g. the local mock server in [env.mock])
 const NTTA_API_BASE = 'https://sptrips.ntta.org/CustomerPortal/api';
 const ALLOWED_ORIGINS = [
   'http://localhost:5174',
@@ -27,10 +28,17 @@ const corsHeaders = {
   'Access-Control-Max-Age': '86400', // 24 hours
 };
 
-// Rate limiting configuration
-const RATE_LIMIT = {
-  requests: 100, // Max requests
-  window: 60 * 1000, // Per minute
+// Rate limiting configuration (sliding window)
+// The authenticate route gets a much stricter budget to slow down credential stuffing
+const RATE_LIMITS = {
+  authenticate: {
+    ip: { limit: 10, windowMs: 15 * 60 * 1000 }, // 10 attempts per 15 minutes per IP
+    user: { limit: 5, windowMs: 15 * 60 * 1000 }, // 5 attempts per 15 minutes per username
+  },
+  api: {
+    ip: { limit: 100, windowMs: 60 * 1000 }, // 100 requests per minute per IP
+    user: { limit: 60, windowMs: 60 * 1000 }, // 60 requests per minute per customer account
+  },
 };
 
 /**
@@ -82,18 +90,188 @@ function validateRequest(request) {
 }
 
 /**
- * Simple rate limiting using Cloudflare KV (or in-memory for basic version)
+ * Durable Object holding a sliding window log of request timestamps for one key
+ * (e.g. "ip:authenticate:203.0.113.7"). Each key gets its own instance, so
+ * checks are strongly consistent across all Worker locations.
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.timestamps = null;
+  }
+
+  async fetch(request) {
+    if (this.timestamps === null) {
+      this.timestamps = (await this.state.storage.get('timestamps')) || [];
+    }
+
+    if (new URL(request.url).pathname === '/release') {
+      return this.release(await request.json());
+    }
+
+    const { limit, windowMs } = await request.json();
+    const now = Date.now();
+
+    // Drop requests that have slid out of the window
+    this.timestamps = this.timestamps.filter((timestamp) => timestamp > now - windowMs);
+
+    let allowed = false;
+    if (this.timestamps.length < limit) {
+      this.timestamps.push(now);
+      allowed = true;
+    }
+
+    await this.state.storage.put('timestamps', this.timestamps);
+
+    // Clean up storage once the window has fully passed with no new requests
+    await this.state.storage.setAlarm(now + windowMs);
+
+    // The window frees up a slot when the oldest request expires
+    const reset = this.timestamps.length > 0 ? this.timestamps[0] + windowMs : now + windowMs;
+
+    return Response.json({
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - this.timestamps.length),
+      reset,
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((reset - now) / 1000)),
+      recordedAt: allowed ? now : null,
+    });
+  }
+
+  /**
+   * Give back a recorded request, when another limit denied it
+   */
+  async release({ recordedAt }) {
+    const index = this.timestamps.indexOf(recordedAt);
+    if (index >= 0) {
+      this.timestamps.splice(index, 1);
+      await this.state.storage.put('timestamps', this.timestamps);
+    }
+    return Response.json({ released: index >= 0 });
+  }
+
+  async alarm() {
+    // Every request pushes the alarm back, so by now all timestamps have expired
+    this.timestamps = [];
+    await this.state.storage.deleteAll();
+  }
+}
+
+/**
+ * Determine which rate limit budget applies to a request
+ */
+function getRateLimitRoute(url) {
+  return url.pathname.replace(/\/+$/, '').toLowerCase() === '/api/authenticate'
+    ? 'authenticate'
+    : 'api';
+}
+
+/**
+ * Identify the user a request acts for: the UserName being authenticated,
+ * or the customer account in the path for data routes
+ */
+async function getRateLimitUser(request, route) {
+  if (route === 'authenticate') {
+    try {
+      const body = await request.clone().json();
+      return typeof body.UserName === 'string' && body.UserName
+        ? body.UserName.trim().toLowerCase()
+        : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const match = new URL(request.url).pathname.match(/\/customers\/([^/]+)/i);
+  return match ? match[1] : null;
+}
+
+const getRateLimiter = (env, key) => env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+
+/**
+ * Check and record a request against one rate limit key
+ */
+async function checkRateLimitKey(env, key, { limit, windowMs }) {
+  const response = await getRateLimiter(env, key).fetch('https://rate-limiter/check', {
+    method: 'POST',
+    body: JSON.stringify({ limit, windowMs }),
+  });
+  return { ...(await response.json()), key };
+}
+
+/**
+ * Undo the record of a request the check allowed
+ */
+async function releaseRateLimitKey(env, { key, recordedAt }) {
+  await getRateLimiter(env, key).fetch('https://rate-limiter/release', {
+    method: 'POST',
+    body: JSON.stringify({ recordedAt }),
+  });
+}
+
+/**
+ * Sliding window rate limiting per IP and per username using Durable Objects
+ * Returns the most restrictive result of the IP and username checks. A
+ * request only counts against the limits when both allow it, so a client
+ * blocked by one doesn't use up the other's budget.
  */
 async function checkRateLimit(request, env) {
+  // Without the Durable Object binding (e.g. a misconfigured deploy) fail open
+  if (!env || !env.RATE_LIMITER) {
+    console.warn('RATE_LIMITER binding missing, rate limiting disabled');
+    return { allowed: true };
+  }
+
   // Get client IP
   const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const route = getRateLimitRoute(new URL(request.url));
+  const limits = RATE_LIMITS[route];
 
-  // In production, use Cloudflare KV for distributed rate limiting
-  // For now, this is a simple header-based approach
-  // You would need to configure KV namespace in wrangler.toml
+  const checks = [checkRateLimitKey(env, `ip:${route}:${clientIP}`, limits.ip)];
+
+  const user = await getRateLimitUser(request, route);
+  if (user) {
+    checks.push(checkRateLimitKey(env, `user:${route}:${user}`, limits.user));
+  }
 
-  return { allowed: true }; // Basic implementation - always allow
-  // TODO: Implement proper rate limiting with Cloudflare KV or Durable Objects
+  try {
+    const results = await Promise.all(checks);
+    const denied = results.filter((result) => !result.allowed);
+
+    if (denied.length > 0) {
+      // Give back the request recorded by the checks that allowed it
+      await Promise.all(results
+        .filter((result) => result.allowed)
+        .map((result) => releaseRateLimitKey(env, result).catch((error) => {
+          console.error('Rate limit release failed:', error);
+        })));
+
+      // Report the check that blocks the longest
+      return denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a));
+    }
+
+    // Report the check closest to its limit
+    return results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  } catch (error) {
+    console.error('Rate limit check failed:', error);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Build X-RateLimit-* headers for a rate limit result
+ */
+function getRateLimitHeaders(rateLimit) {
+  if (rateLimit.limit === undefined) {
+    return {};
+  }
+
+  return {
+    'X-RateLimit-Limit': String(rateLimit.limit),
+    'X-RateLimit-Remaining': String(rateLimit.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rateLimit.reset / 1000)), // Unix time in seconds
+  };
 }
 
 /**
@@ -118,25 +296,31 @@ async function handleRequest(request, env) {
   // Rate limiting check
   const rateLimitCheck = await checkRateLimit(request, env);
   if (!rateLimitCheck.allowed) {
-    return new Response(JSON.stringify({ error: 'Rate limit exceeded' }), {
+    return new Response(JSON.stringify({
+      error: 'Rate limit exceeded',
+      retryAfter: rateLimitCheck.retryAfter,
+    }), {
       status: 429,
       headers: {
         'Content-Type': 'application/json',
-        'Retry-After': '60',
+        'Retry-After': String(rateLimitCheck.retryAfter || 60),
+        ...getRateLimitHeaders(rateLimitCheck),
         'Access-Control-Allow-Origin': origin || '*',
+        'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
       },
     });
   }
 
   // Extract the API path (everything after /api)
   const apiPath = url.pathname.replace('/api', '');
-  const nttaUrl = `${NTTA_API_BASE}${apiPath}${url.search}`;
+  const apiBase = env.NTTA_API_BASE || NTTA_API_BASE;
+  const nttaUrl = `${apiBase}${apiPath}${url.search}`;
 
   // Clone the request headers and add NTTA-specific headers
   const headers = new Headers(request.headers);
   headers.set('Origin', 'https://ssptrips.ntta.org');
   headers.set('Referer', 'https://ssptrips.ntta.org/');
-  headers.set('Host', 'sptrips.ntta.org');
+  headers.set('Host', new URL(apiBase).host);
 
   // Remove headers that might cause issues
   headers.delete('cf-connecting-ip');
@@ -160,6 +344,10 @@ async function handleRequest(request, env) {
     const responseHeaders = new Headers(response.headers);
     responseHeaders.set('Access-Control-Allow-Origin', origin || '*');
     responseHeaders.set('Access-Control-Allow-Credentials', 'true');
+    responseHeaders.set('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+    Object.entries(getRateLimitHeaders(rateLimitCheck)).forEach(([name, value]) => {
+      responseHeaders.set(name, value);
+    });
 
     // Return the proxied response
     return new Response(response.body, {